@@ -1,5 +1,6 @@
 // App.js — Tabs: Mix (Direct), Stock (1:ratio), Fertilizers, Saved
-// Stack contains FertilizerDetail.
+// Stack contains FertilizerDetail, PurchaseOrder and Suppliers.
+// The workspace switcher sits in the tab header (left).
 
 import React from "react";
 import { NavigationContainer } from "@react-navigation/native";
@@ -14,6 +15,10 @@ import MixStockScreen from "./MixStockScreen";
 import FertilizerListScreen from "./FertilizerListScreen";
 import FertilizerDetailScreen from "./FertilizerDetailScreen";
 import SavedRecipesScreen from "./SavedRecipesScreen";
+import PurchaseOrderScreen from "./PurchaseOrderScreen";
+import SuppliersScreen from "./SuppliersScreen";
+import { TeamSettingsProvider } from "./TeamSettings";
+import { WorkspaceButton, WorkspaceProvider } from "./Workspace";
 
 const Stack = createNativeStackNavigator();
 const Tabs = createBottomTabNavigator();
@@ -23,6 +28,7 @@ function TabsNav() {
     <Tabs.Navigator
       screenOptions={({ route }) => ({
         headerShown: true,
+        headerLeft: () => <WorkspaceButton />,
         tabBarIcon: ({ color, size }) => {
           const map = {
             Mix: "beaker-outline",          // direct mix
@@ -47,14 +53,20 @@ export default function App() {
     <SafeAreaProvider>
       <NavigationContainer>
         <AuthGate>
-          <Stack.Navigator>
-            <Stack.Screen name="HomeTabs" component={TabsNav} options={{ headerShown: false }} />
-            <Stack.Screen
-              name="FertilizerDetail"
-              component={FertilizerDetailScreen}
-              options={{ title: "Fertilizer" }}
-            />
-          </Stack.Navigator>
+          <WorkspaceProvider>
+            <TeamSettingsProvider>
+              <Stack.Navigator>
+                <Stack.Screen name="HomeTabs" component={TabsNav} options={{ headerShown: false }} />
+                <Stack.Screen
+                  name="FertilizerDetail"
+                  component={FertilizerDetailScreen}
+                  options={{ title: "Fertilizer" }}
+                />
+                <Stack.Screen name="PurchaseOrder" component={PurchaseOrderScreen} options={{ title: "Purchase order" }} />
+                <Stack.Screen name="Suppliers" component={SuppliersScreen} options={{ title: "Suppliers" }} />
+              </Stack.Navigator>
+            </TeamSettingsProvider>
+          </WorkspaceProvider>
         </AuthGate>
       </NavigationContainer>
     </SafeAreaProvider>
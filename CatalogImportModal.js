@@ -0,0 +1,251 @@
+// CatalogImportModal.js — CSV / spreadsheet import for the fertilizer catalog
+// - Pick a .csv / .tsv / .xlsx file (web) or paste the text (cells copied from Excel / Sheets work too)
+// - Map each column to a catalog field, preview new / update / unchanged / invalid rows
+// - Apply sends the new and changed rows as one upsert, so the import lands whole or not at all;
+//   imported prices are then added to the price history from today (priceHistory.js)
+// - New rows go into the current workspace, shared with its members
+
+import React, { useMemo, useState } from "react";
+import { Alert, Modal, Platform, Pressable, ScrollView, StyleSheet, Text, TextInput, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { supabase } from "./supabaseClient";
+import { readSheet } from "read-excel-file/universal";
+import { CSV_FIELDS, buildPreview, guessMapping, parseCsv, rowFor, sheetToText } from "./catalogCsv";
+import { logFertilizerChange } from "./fertilizerAudit";
+import { today } from "./priceHistory";
+
+const STATUS = {
+  new: { label: "new", color: "#2e7d32" },
+  update: { label: "update", color: "#1565c0" },
+  same: { label: "unchanged", color: "#888" },
+  invalid: { label: "invalid", color: "#c00" },
+};
+const FIELD_LABEL = Object.fromEntries(CSV_FIELDS.map((f) => [f.key, f.label]));
+
+export default function CatalogImportModal({ visible, catalog, workspaceId, onClose, onDone }) {
+  const [text, setText] = useState("");
+  const [mapping, setMapping] = useState([]);
+  const [mapCol, setMapCol] = useState(null); // column whose field list is open
+  const [busy, setBusy] = useState(false);
+
+  const parsed = useMemo(() => parseCsv(text), [text]);
+  const preview = useMemo(
+    () => (parsed.rows.length ? buildPreview({ rows: parsed.rows, mapping, catalog }) : []),
+    [parsed, mapping, catalog]
+  );
+  const counts = preview.reduce((c, l) => ({ ...c, [l.status]: (c[l.status] || 0) + 1 }), {});
+  const changes = preview.filter((l) => l.status === "new" || l.status === "update");
+
+  const load = (t) => {
+    setText(t);
+    setMapping(guessMapping(parseCsv(t).header));
+    setMapCol(null);
+  };
+
+  // web only: native builds paste the text instead
+  const pickFile = () => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".csv,.tsv,.txt,.xlsx,text/csv";
+    input.onchange = async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+      try {
+        if (/\.xls$/i.test(file.name)) {
+          Alert.alert("Spreadsheet", "Old .xls files can't be read. Save the sheet as .xlsx or CSV, or copy the cells and paste them here.");
+          return;
+        }
+        // first sheet only
+        load(/\.xlsx$/i.test(file.name) ? sheetToText(await readSheet(file)) : await file.text());
+      } catch (e) {
+        Alert.alert("File error", e.message ?? String(e));
+      }
+    };
+    input.click();
+  };
+
+  const setField = (col, key) => {
+    setMapping((p) => p.map((k, i) => (i === col ? key : k === key && key ? null : k)));
+    setMapCol(null);
+  };
+
+  const close = () => {
+    setText("");
+    setMapping([]);
+    onClose();
+  };
+
+  const apply = async () => {
+    if (!mapping.includes("name")) {
+      Alert.alert("Mapping", "Map one column to Name.");
+      return;
+    }
+    try {
+      setBusy(true);
+      const { data: u } = await supabase.auth.getUser();
+      if (!u?.user) {
+        Alert.alert("Not signed in", "Please sign in first.");
+        return;
+      }
+      const inserts = changes.filter((l) => l.status === "new").map((l) => ({ ...rowFor(l, u.user.id), workspace_id: workspaceId, shared: true }));
+      const updates = changes.filter((l) => l.status === "update");
+      // one statement: updated rows are sent whole (matched on id), new rows without an id
+      // take the column default, so a bad row rolls the whole import back
+      const { data: written, error } = await supabase
+        .from("fertilizers")
+        .upsert([...updates.map((l) => ({ ...l.existing, ...rowFor(l) })), ...inserts], { defaultToNull: false })
+        .select("id,name,price_per_bag");
+      if (error) throw error;
+
+      // imported prices go into the history from today, which is what the mix screens cost with
+      const priced = new Set(
+        changes
+          .filter((l) => (l.status === "new" ? l.record.price_per_bag != null : l.diff.some((d) => d.key === "price_per_bag")))
+          .map((l) => l.name.trim().toLowerCase())
+      );
+      const entries = (written ?? [])
+        .filter((f) => priced.has(String(f.name).trim().toLowerCase()))
+        .map((f) => ({ fertilizer_id: f.id, effective_date: today(), price_per_bag: f.price_per_bag, supplier: null, created_by: u.user.id }));
+      const { error: phErr } = entries.length ? await supabase.from("fertilizer_prices").insert(entries) : {};
+      if (phErr) {
+        Alert.alert("Import", `The catalog was updated, but the new prices could not be added to the price history (${phErr.message}). Set them again on each fertilizer.`);
+        close();
+        onDone?.();
+        return;
+      }
+      // new rows are logged too, against the ids the upsert gave them
+      const added = new Map(inserts.map((r) => [String(r.name).trim().toLowerCase(), r]));
+      const logged = await Promise.all([
+        ...updates.map((l) => logFertilizerChange(l.existing, rowFor(l), "import")),
+        ...(written ?? [])
+          .filter((f) => added.has(String(f.name).trim().toLowerCase()))
+          .map((f) => logFertilizerChange(null, { ...added.get(String(f.name).trim().toLowerCase()), id: f.id }, "import")),
+      ]);
+      const auditErr = logged.find((r) => r.error)?.error;
+      Alert.alert("Import", `Added ${inserts.length}, updated ${updates.length}.` + (auditErr ? ` Note: ${auditErr.message}.` : ""));
+      close();
+      onDone?.();
+    } catch (e) {
+      Alert.alert("Import error", e.message ?? String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.modalCard}>
+          <Text style={styles.modalTitle}>Import catalog (CSV / Excel)</Text>
+          <ScrollView style={{ maxHeight: 520 }}>
+            <View style={{ flexDirection: "row", gap: 8 }}>
+              {Platform.OS === "web" && (
+                <Pressable onPress={pickFile} style={[styles.pillBtn, { backgroundColor: "#222", flexDirection: "row", gap: 6 }]}>
+                  <Ionicons name="document-outline" size={16} color="#fff" />
+                  <Text style={{ color: "#fff", fontWeight: "600" }}>Choose file</Text>
+                </Pressable>
+              )}
+              {!!text && (
+                <Pressable onPress={() => load("")} style={[styles.pillBtn, { backgroundColor: "#eee" }]}>
+                  <Text>Clear</Text>
+                </Pressable>
+              )}
+            </View>
+            <TextInput
+              value={text}
+              onChangeText={load}
+              multiline
+              placeholder={"…or paste here, first row = headers\nname,bag_size_kg,price_per_bag,npk.N,npk.K2O"}
+              style={[styles.input, { minHeight: 90, marginTop: 8, textAlignVertical: "top" }]}
+            />
+
+            {parsed.header.length > 0 && (
+              <>
+                <Text style={styles.section}>Columns</Text>
+                {parsed.header.map((h, col) => (
+                  <View key={col}>
+                    <Pressable onPress={() => setMapCol(mapCol === col ? null : col)} style={styles.mapRow}>
+                      <Text style={{ flex: 1 }} numberOfLines={1}>{h || `(column ${col + 1})`}</Text>
+                      <Ionicons name="arrow-forward" size={14} color="#888" />
+                      <Text style={[{ flex: 1, textAlign: "right" }, !mapping[col] && { color: "#888" }]}>
+                        {mapping[col] ? FIELD_LABEL[mapping[col]] : "skip"}
+                      </Text>
+                    </Pressable>
+                    {mapCol === col && (
+                      <View style={styles.chips}>
+                        <Chip active={!mapping[col]} label="skip" onPress={() => setField(col, null)} />
+                        {CSV_FIELDS.map((f) => (
+                          <Chip key={f.key} active={mapping[col] === f.key} label={f.label} onPress={() => setField(col, f.key)} />
+                        ))}
+                      </View>
+                    )}
+                  </View>
+                ))}
+
+                <Text style={styles.section}>Preview</Text>
+                <Text style={{ color: "#555", fontSize: 12 }}>
+                  {Object.entries(STATUS).map(([k, s]) => `${counts[k] || 0} ${s.label}`).join(" · ")}
+                </Text>
+                {preview.map((l) => (
+                  <View key={l.line} style={styles.previewRow}>
+                    <View style={{ flexDirection: "row", alignItems: "center", gap: 8 }}>
+                      <Text style={[styles.badge, { color: STATUS[l.status].color, borderColor: STATUS[l.status].color }]}>
+                        {STATUS[l.status].label}
+                      </Text>
+                      <Text style={{ flex: 1, fontWeight: "600" }} numberOfLines={1}>{l.name || `(row ${l.line})`}</Text>
+                    </View>
+                    {l.diff.map((d) => (
+                      <Text key={d.key} style={styles.detail}>
+                        {d.label}: {d.from ?? "—"} → <Text style={{ fontWeight: "700" }}>{d.to}</Text>
+                      </Text>
+                    ))}
+                    {l.errors.map((e) => (
+                      <Text key={e} style={[styles.detail, { color: "#c00" }]}>{e}</Text>
+                    ))}
+                  </View>
+                ))}
+              </>
+            )}
+          </ScrollView>
+
+          <View style={{ flexDirection: "row", justifyContent: "flex-end", gap: 10, marginTop: 12 }}>
+            <Pressable onPress={close} style={[styles.pillBtn, { backgroundColor: "#eee" }]}>
+              <Text>Cancel</Text>
+            </Pressable>
+            <Pressable
+              onPress={apply}
+              disabled={busy || changes.length === 0}
+              style={[styles.pillBtn, { backgroundColor: "#222", opacity: busy || changes.length === 0 ? 0.4 : 1 }]}
+            >
+              <Text style={{ color: "#fff", fontWeight: "600" }}>Apply {changes.length} changes</Text>
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+function Chip({ active, label, onPress }) {
+  return (
+    <Pressable onPress={onPress} style={[styles.chip, active && styles.chipActive]}>
+      <Text style={[{ fontSize: 12, fontWeight: "600" }, active && { color: "#fff" }]}>{label}</Text>
+    </Pressable>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: { fontSize: 15, fontWeight: "700", marginTop: 12, marginBottom: 4 },
+  input: { borderWidth: 1, borderColor: "#ddd", borderRadius: 10, minHeight: 44, paddingHorizontal: 12, paddingVertical: 8, backgroundColor: "#fff" },
+  mapRow: { flexDirection: "row", alignItems: "center", gap: 8, paddingVertical: 8, borderBottomWidth: StyleSheet.hairlineWidth, borderColor: "#eee" },
+  chips: { flexDirection: "row", flexWrap: "wrap", gap: 6, paddingVertical: 6 },
+  chip: { borderWidth: 1, borderColor: "#ddd", borderRadius: 14, paddingHorizontal: 10, height: 28, justifyContent: "center" },
+  chipActive: { backgroundColor: "#222", borderColor: "#222" },
+  previewRow: { paddingVertical: 6, borderBottomWidth: StyleSheet.hairlineWidth, borderColor: "#eee" },
+  badge: { borderWidth: 1, borderRadius: 8, paddingHorizontal: 6, fontSize: 11, fontWeight: "700" },
+  detail: { color: "#444", fontSize: 12, marginLeft: 4, marginTop: 2 },
+  modalBackdrop: { flex: 1, backgroundColor: "rgba(0,0,0,0.3)", justifyContent: "center", padding: 20 },
+  modalCard: { backgroundColor: "#fff", borderRadius: 14, padding: 16 },
+  modalTitle: { fontSize: 18, fontWeight: "700", marginBottom: 8 },
+  pillBtn: { paddingHorizontal: 14, height: 40, alignItems: "center", justifyContent: "center", borderRadius: 10 },
+});
@@ -6,9 +6,20 @@ import {
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { supabase } from "./supabaseClient";
+import { DECLARED_FORMS, N_FORMS, mlToGrams } from "./mixCalc";
+import { legacyForms } from "./catalogMigration";
+import { ACIDS, acidComposition, hco3Neutralised } from "./acidDosing";
+import { useTeamSettings } from "./TeamSettings";
+import { parseLabel, parsedCount } from "./labelParser";
+import { isDate, priceOn, priceTrend, today } from "./priceHistory";
+import { MOVE_LABEL, stockStatus } from "./inventory";
+import { ACTION_LABEL, logFertilizerChange, revertFertilizer } from "./fertilizerAudit";
+import { ofWorkspace, useWorkspace } from "./Workspace";
+import { confirmAsync } from "./confirm";
 
 const MACROS = ["N", "P2O5", "K2O", "Ca", "Mg", "S"];
 const MICROS = ["Fe", "Mn", "Zn", "Cu", "B", "Mo"];
+const N_FORM_LABEL = { NO3: "NO₃-N", NH4: "NH₄-N", Urea: "Urea-N" };
 
 const toStr = (v) => (v === null || v === undefined ? "" : String(v));
 const numOrNull = (s) => {
@@ -18,6 +29,8 @@ const numOrNull = (s) => {
 };
 
 export default function FertilizerDetailScreen({ route, navigation }) {
+  const team = useTeamSettings();
+  const ws = useWorkspace();
   const id = route.params?.id;
 
   const [loading, setLoading] = useState(true);
@@ -26,9 +39,51 @@ export default function FertilizerDetailScreen({ route, navigation }) {
   const [name, setName] = useState("");
   const [bagSizeKg, setBagSizeKg] = useState("");
   const [pricePerBag, setPricePerBag] = useState("");
+  const [priceFrom, setPriceFrom] = useState(today()); // effective date of a price change
+  const [supplier, setSupplier] = useState("");
+  const [history, setHistory] = useState([]); // fertilizer_prices rows
+  const [saved, setSaved] = useState({ price: null, createdOn: null }); // as loaded, to spot a price change
+  const [moves, setMoves] = useState([]); // latest inventory_moves rows, newest first
+  const [onHandG, setOnHandG] = useState(0); // grams on hand (stock_on_hand view)
+  const [reorderKg, setReorderKg] = useState(""); // reorder_kg
+  const [shared, setShared] = useState(true); // false / null = private to its owner
+  const [receive, setReceive] = useState({ qty: "", unit: "bags" });
+  const [countKg, setCountKg] = useState("");
+  const [suppliers, setSuppliers] = useState([]); // suppliers registry
+  const [offers, setOffers] = useState([]); // supplier_products for this fertilizer
+  const [offer, setOffer] = useState({ supplierId: null, sku: "", bag: "", price: "" });
+  const [original, setOriginal] = useState(null); // row as last loaded / saved, the "before" of the next audit entry
+  const [audit, setAudit] = useState([]); // fertilizer_audit rows, newest first
+  const [auditAll, setAuditAll] = useState(false);
 
   const [npk, setNpk] = useState({ N: "", P2O5: "", K2O: "", Ca: "", Mg: "", S: "" });
   const [micro, setMicro] = useState({ Fe: "", Mn: "", Zn: "", Cu: "", B: "", Mo: "" });
+  const [nForm, setNForm] = useState({ NO3: "", NH4: "", Urea: "" }); // stored in npk
+  const [forms, setForms] = useState({ P2O5: "P2O5", Ca: "Ca", Mg: "Mg", S: "S" });
+  const [ecPerGl, setEcPerGl] = useState("");
+  const [solub, setSolub] = useState({ gl: "", refC: "", tc: "" }); // solubility_gl / _ref_c / _tc
+  const [kind, setKind] = useState("solid"); // "solid" | "liquid" | "acid"
+  const [liquid, setLiquid] = useState({ density: "", containerL: "", basis: "w/w" }); // density_kg_l / container_l / pct_basis
+  const [acid, setAcid] = useState({ type: "nitric", conc: "" }); // acid_type / conc_pct
+  const [labelText, setLabelText] = useState("");
+  const [labelSrc, setLabelSrc] = useState(null); // parseLabel result: where each pre-filled value came from
+
+  // Pre-fill from a product name / label text; only the values found are touched
+  const applyLabel = (text, { quiet = false } = {}) => {
+    const p = parseLabel(text);
+    if (!parsedCount(p)) {
+      setLabelSrc(null);
+      if (!quiet) Alert.alert("Label", "No analysis found in this text (e.g. 15-9-20 +2MgO, or \"MgO 2%\").");
+      return;
+    }
+    const pick = (vals, keys) => Object.fromEntries(keys.filter((k) => vals[k] != null).map((k) => [k, String(vals[k])]));
+    setNpk((prev) => ({ ...prev, ...pick(p.npk, MACROS) }));
+    setNForm((prev) => ({ ...prev, ...pick(p.npk, N_FORMS) }));
+    setMicro((prev) => ({ ...prev, ...pick(p.micro, MICROS) }));
+    setForms((prev) => ({ ...prev, ...p.forms }));
+    setLabelSrc(p);
+  };
+  const srcOf = (path) => labelSrc?.sources[path];
 
   // Load record
   const load = useCallback(async () => {
@@ -41,9 +96,51 @@ export default function FertilizerDetailScreen({ route, navigation }) {
         .single();
       if (error) throw error;
 
+      setOriginal(data);
       setName(data.name ?? "");
       setBagSizeKg(toStr(data.bag_size_kg));
       setPricePerBag(toStr(data.price_per_bag));
+      setSaved({ price: data.price_per_bag ?? null, createdOn: String(data.created_at || "").slice(0, 10) || null });
+
+      const { data: ph, error: phErr } = await supabase
+        .from("fertilizer_prices")
+        .select("*")
+        .eq("fertilizer_id", id)
+        .order("effective_date", { ascending: true });
+      if (phErr) throw phErr;
+      setHistory(ph ?? []);
+      setPriceFrom(today());
+      setSupplier(priceOn(ph ?? [], today())?.supplier || "");
+
+      setReorderKg(toStr(data.reorder_kg));
+      setShared(data.shared !== false);
+      const { data: mv, error: mvErr } = await supabase
+        .from("inventory_moves")
+        .select("*")
+        .eq("fertilizer_id", id)
+        .order("created_at", { ascending: false })
+        .limit(8);
+      if (mvErr) throw mvErr;
+      setMoves(mv ?? []);
+      const { data: st, error: stErr } = await supabase.from("stock_on_hand").select("grams").eq("fertilizer_id", id).maybeSingle();
+      if (stErr) throw stErr;
+      setOnHandG(Number(st?.grams) || 0);
+
+      const { data: sup, error: supErr } = await ofWorkspace(supabase.from("suppliers").select("id,name"), ws).order("name", { ascending: true });
+      if (supErr) throw supErr;
+      setSuppliers(sup ?? []);
+      const { data: sp, error: spErr } = await supabase.from("supplier_products").select("*").eq("fertilizer_id", id);
+      if (spErr) throw spErr;
+      setOffers(sp ?? []);
+
+      const { data: au, error: auErr } = await supabase
+        .from("fertilizer_audit")
+        .select("*")
+        .eq("fertilizer_id", id)
+        .order("changed_at", { ascending: false })
+        .limit(50);
+      if (auErr) throw auErr;
+      setAudit(au ?? []);
 
       const n = data.npk || {};
       const m = data.micro || {};
@@ -55,6 +152,19 @@ export default function FertilizerDetailScreen({ route, navigation }) {
         Fe: toStr(m.Fe), Mn: toStr(m.Mn), Zn: toStr(m.Zn),
         Cu: toStr(m.Cu), B: toStr(m.B), Mo: toStr(m.Mo),
       });
+      // older records only carry total N; forms stay blank
+      setNForm({ NO3: toStr(n.NO3), NH4: toStr(n.NH4), Urea: toStr(n.Urea) });
+      setForms(data.forms || legacyForms(data));
+      setEcPerGl(toStr(data.ec_per_gl));
+      setSolub({ gl: toStr(data.solubility_gl), refC: toStr(data.solubility_ref_c), tc: toStr(data.solubility_tc) });
+      setKind(data.kind || "solid");
+      setLiquid({ density: toStr(data.density_kg_l), containerL: toStr(data.container_l), basis: data.pct_basis || "w/w" });
+      setAcid({ type: data.acid_type || "nitric", conc: toStr(data.conc_pct) });
+
+      // new rows from the list: read the analysis out of the name, for review before saving
+      const blank = [...Object.values(n), ...Object.values(m)].every((v) => v == null);
+      setLabelText(route.params?.labelText || data.name || "");
+      if (route.params?.labelText && blank) applyLabel(route.params.labelText, { quiet: true });
 
       navigation.setOptions({ title: data.name || "Fertilizer" });
     } catch (e) {
@@ -63,7 +173,7 @@ export default function FertilizerDetailScreen({ route, navigation }) {
     } finally {
       setLoading(false);
     }
-  }, [id, navigation]);
+  }, [id, navigation, route.params?.labelText, ws.current?.id]);
 
   useEffect(() => {
     load();
@@ -78,7 +188,7 @@ export default function FertilizerDetailScreen({ route, navigation }) {
         </Pressable>
       ),
     });
-  }, [navigation, saving, name, bagSizeKg, pricePerBag, npk, micro]);
+  }, [navigation, saving, name, bagSizeKg, pricePerBag, priceFrom, supplier, history, saved, reorderKg, original, npk, micro, nForm, forms, ecPerGl, solub, kind, liquid, acid]);
 
   const onSave = async () => {
     const trimmed = name.trim();
@@ -86,13 +196,65 @@ export default function FertilizerDetailScreen({ route, navigation }) {
       Alert.alert("Name required", "Please enter a fertilizer name.");
       return;
     }
+
+    // N forms must fit inside total N (blank total = sum of the forms)
+    const formSum = N_FORMS.reduce((s, k) => s + (numOrNull(nForm[k]) ?? 0), 0);
+    const totalN = numOrNull(npk.N);
+    if (totalN != null && formSum > totalN + 0.05) {
+      Alert.alert(
+        "Nitrogen forms",
+        `NO₃ + NH₄ + urea add up to ${formSum}% but total N is ${totalN}%.`
+      );
+      return;
+    }
+
+    const isAcid = kind === "acid";
+    const isLiquid = kind !== "solid";
+    const conc = numOrNull(acid.conc);
+    const density = numOrNull(liquid.density);
+    const containerL = numOrNull(liquid.containerL);
+    if (isAcid && !(conc > 0 && conc <= 100)) {
+      Alert.alert("Acid", "Enter the acid concentration (% w/w, 1–100).");
+      return;
+    }
+    if (isLiquid && !(density > 0)) {
+      Alert.alert("Density", "Enter the density of this liquid (kg/L), e.g. 1.37.");
+      return;
+    }
+
+    const price = numOrNull(pricePerBag);
+    if (price != null && !isDate(priceFrom)) {
+      Alert.alert("Price date", "Enter the date the price applies from as YYYY-MM-DD.");
+      return;
+    }
+
     try {
       setSaving(true);
 
+      // Price change → new history entries, written once the fertilizer itself is saved;
+      // the catalog keeps the price in force today
+      const add = [];
+      const inForce = priceOn(history, priceFrom);
+      const sup = supplier.trim() || null;
+      if (price != null && (Number(inForce?.price_per_bag) !== price || (inForce?.supplier || null) !== sup)) {
+        const { data: u } = await supabase.auth.getUser();
+        const by = u?.user?.id ?? null;
+        // first entry: keep the old catalog price as where the history starts
+        if (!history.length && saved.price != null && saved.price !== price && saved.createdOn && saved.createdOn < priceFrom) {
+          add.push({ fertilizer_id: id, effective_date: saved.createdOn, price_per_bag: saved.price, supplier: null, created_by: by });
+        }
+        add.push({ fertilizer_id: id, effective_date: priceFrom, price_per_bag: price, supplier: sup, created_by: by });
+      }
+      // new entries win over older ones of the same day
+      const now = new Date().toISOString();
+      const current = priceOn([...history, ...add.map((e) => ({ ...e, created_at: now }))], today());
+
       // Build patch
-      const npkPatch = Object.fromEntries(
-        MACROS.map((k) => [k, numOrNull(npk[k])])
-      );
+      const npkPatch = {
+        ...Object.fromEntries(MACROS.map((k) => [k, numOrNull(npk[k])])),
+        ...Object.fromEntries(N_FORMS.map((k) => [k, numOrNull(nForm[k])])),
+      };
+      if (npkPatch.N == null && formSum > 0) npkPatch.N = formSum;
       const microPatch = Object.fromEntries(
         MICROS.map((k) => [k, numOrNull(micro[k])])
       );
@@ -101,18 +263,49 @@ export default function FertilizerDetailScreen({ route, navigation }) {
         .from("fertilizers")
         .update({
           name: trimmed,
-          bag_size_kg: numOrNull(bagSizeKg),
-          price_per_bag: numOrNull(pricePerBag),
+          // liquids: container mass, so anything reading bag_size_kg stays right
+          bag_size_kg: isLiquid ? (containerL ? containerL * density : null) : numOrNull(bagSizeKg),
+          price_per_bag: current ? Number(current.price_per_bag) : price,
           npk: npkPatch,
           micro: microPatch,
+          forms,
+          ec_per_gl: numOrNull(ecPerGl),
+          solubility_gl: numOrNull(solub.gl),
+          solubility_ref_c: numOrNull(solub.refC),
+          solubility_tc: numOrNull(solub.tc),
+          kind,
+          acid_type: isAcid ? acid.type : null,
+          conc_pct: isAcid ? conc : null,
+          density_kg_l: isLiquid ? density : null,
+          container_l: isLiquid ? containerL : null,
+          pct_basis: kind === "liquid" ? liquid.basis : null,
+          reorder_kg: numOrNull(reorderKg),
+          shared,
         })
         .eq("id", id)
         .select()
         .single();
       if (error) throw error;
 
+      let priceErr = null;
+      if (add.length) {
+        const { data: ins, error: phErr } = await supabase.from("fertilizer_prices").insert(add).select();
+        if (phErr) priceErr = new Error(`the price could not be added to the price history (${phErr.message})`);
+        else setHistory((prev) => [...prev, ...(ins ?? [])]);
+      }
+
+      const { entry, error: auditErr } = await logFertilizerChange(original, data);
+      if (entry) setAudit((prev) => [entry, ...prev]);
+      setOriginal(data);
       navigation.setOptions({ title: data.name || "Fertilizer" });
-      Alert.alert("Saved", "Fertilizer updated.");
+      setSaved((p) => ({ ...p, price: data.price_per_bag ?? null }));
+      Alert.alert(
+        "Saved",
+        (price != null && priceFrom > today()
+          ? `Fertilizer updated. The new price applies from ${priceFrom}.`
+          : "Fertilizer updated.") +
+          [priceErr, auditErr].filter(Boolean).map((e) => ` Note: ${e.message}.`).join("")
+      );
     } catch (e) {
       console.warn("save error", e);
       Alert.alert("Save error", e.message ?? String(e));
@@ -121,8 +314,110 @@ export default function FertilizerDetailScreen({ route, navigation }) {
     }
   };
 
+  // Inventory: receipts and counts go straight into the ledger
+  const bagKg = kind === "solid"
+    ? numOrNull(bagSizeKg)
+    : (numOrNull(liquid.containerL) ?? 0) * (numOrNull(liquid.density) ?? 0) || null;
+  const stock = stockStatus({ bag_size_kg: bagKg, reorder_kg: numOrNull(reorderKg) }, onHandG);
+
+  const addMove = async (move, done) => {
+    try {
+      const { data: u } = await supabase.auth.getUser();
+      const { data, error } = await supabase
+        .from("inventory_moves")
+        .insert([{ fertilizer_id: id, created_by: u?.user?.id ?? null, ...move }])
+        .select()
+        .single();
+      if (error) throw error;
+      setMoves((prev) => [data, ...prev]);
+      setOnHandG((g) => g + Number(data.grams));
+      done();
+    } catch (e) {
+      Alert.alert("Inventory error", e.message ?? String(e));
+    }
+  };
+
+  const onReceive = () => {
+    const qty = numOrNull(receive.qty);
+    if (!(qty > 0)) return;
+    if (receive.unit === "bags" && !(bagKg > 0)) {
+      Alert.alert("Bag size", "Enter the bag size first, or receive in kg.");
+      return;
+    }
+    const kg = receive.unit === "bags" ? qty * bagKg : qty;
+    addMove({ kind: "receipt", grams: kg * 1000, note: supplier.trim() || null }, () => setReceive((p) => ({ ...p, qty: "" })));
+  };
+
+  const onCount = () => {
+    const kg = numOrNull(countKg);
+    if (kg == null || kg < 0) return;
+    const delta = kg * 1000 - stock.grams;
+    if (Math.abs(delta) < 1) {
+      setCountKg("");
+      return;
+    }
+    addMove({ kind: "adjust", grams: delta, note: `counted ${kg} kg` }, () => setCountKg(""));
+  };
+
+  // Supplier SKU / bag / price for this product
+  const addOffer = async () => {
+    if (!offer.supplierId) {
+      Alert.alert("Supplier", "Pick a supplier (add them under Purchase order → Suppliers).");
+      return;
+    }
+    try {
+      const { data, error } = await supabase
+        .from("supplier_products")
+        .insert([{
+          supplier_id: offer.supplierId,
+          fertilizer_id: id,
+          sku: offer.sku.trim() || null,
+          bag_size_kg: numOrNull(offer.bag) ?? bagKg,
+          price_per_bag: numOrNull(offer.price),
+        }])
+        .select()
+        .single();
+      if (error) throw error;
+      setOffers((prev) => [...prev, data]);
+      setOffer({ supplierId: null, sku: "", bag: "", price: "" });
+    } catch (e) {
+      Alert.alert("Supplier error", e.message ?? String(e));
+    }
+  };
+
+  const removeOffer = async (oid) => {
+    try {
+      const { error } = await supabase.from("supplier_products").delete().eq("id", oid);
+      if (error) throw error;
+      setOffers((prev) => prev.filter((o) => o.id !== oid));
+    } catch (e) {
+      Alert.alert("Supplier error", e.message ?? String(e));
+    }
+  };
+
+  // Put the record back to how it was before an audited change
+  const onRevert = async (entry) => {
+    const when = new Date(entry.changed_at).toLocaleString();
+    const msg = `Revert "${name}" to how it was before the change of ${when}? Unsaved edits on this screen are lost.`;
+    if (!(await confirmAsync("Revert", msg, { confirmText: "Revert", destructive: true }))) return;
+    try {
+      const { error } = await revertFertilizer(original, entry);
+      await load();
+      if (error) Alert.alert("Reverted", `"${name}" was reverted, but ${error.message}.`);
+    } catch (e) {
+      Alert.alert("Revert error", e.message ?? String(e));
+    }
+  };
+
   const setN = (k, v) => setNpk((prev) => ({ ...prev, [k]: v }));
   const setM = (k, v) => setMicro((prev) => ({ ...prev, [k]: v }));
+  const setF = (k, v) => setNForm((prev) => ({ ...prev, [k]: v }));
+
+  // what the acid supplies, from type + concentration
+  const acidRow = { acid_type: acid.type, conc_pct: acid.conc, density_kg_l: liquid.density };
+  const acidInfo = kind === "acid" ? acidComposition(acidRow) : null;
+
+  const isOwner = !original?.owner || original.owner === ws.userId;
 
   if (loading) {
     return (
@@ -141,19 +436,48 @@ export default function FertilizerDetailScreen({ route, navigation }) {
         <Label>Fertilizer name</Label>
         <Input value={name} onChangeText={setName} placeholder="e.g. FertiCare Vegetables" />
 
+        <Label>Visible to</Label>
+        <View style={[styles.segment, { alignSelf: "flex-start", marginBottom: 4 }, !isOwner && { opacity: 0.5 }]}>
+          {[[true, `Everyone in ${ws.current?.name ?? "workspace"}`], [false, "Only me"]].map(([v, label]) => (
+            <Pressable
+              key={label}
+              disabled={!isOwner}
+              onPress={() => setShared(v)}
+              style={[styles.segBtn, shared === v && styles.segActive]}
+            >
+              <Text style={[styles.segText, shared === v && styles.segTextActive]}>{label}</Text>
+            </Pressable>
+          ))}
+        </View>
+        {!isOwner && <Text style={styles.hint}>Only the person who added it can make it private.</Text>}
+
         <View style={styles.row}>
           <View style={{ flex: 1 }}>
-            <Label>Bag size (kg)</Label>
-            <Input
-              value={bagSizeKg}
-              onChangeText={setBagSizeKg}
-              keyboardType="decimal-pad"
-              placeholder="e.g. 25"
-            />
+            {kind === "solid" ? (
+              <>
+                <Label>Bag size (kg)</Label>
+                <Input
+                  value={bagSizeKg}
+                  onChangeText={setBagSizeKg}
+                  keyboardType="decimal-pad"
+                  placeholder="e.g. 25"
+                />
+              </>
+            ) : (
+              <>
+                <Label>Container (L)</Label>
+                <Input
+                  value={liquid.containerL}
+                  onChangeText={(t) => setLiquid((p) => ({ ...p, containerL: t }))}
+                  keyboardType="decimal-pad"
+                  placeholder="e.g. 20"
+                />
+              </>
+            )}
           </View>
           <View style={{ width: 12 }} />
           <View style={{ flex: 1 }}>
-            <Label>Price per bag (RM)</Label>
+            <Label>{kind === "solid" ? `Price per bag (${team.symbol})` : `Price per container (${team.symbol})`}</Label>
             <Input
               value={pricePerBag}
               onChangeText={setPricePerBag}
@@ -162,24 +486,304 @@ export default function FertilizerDetailScreen({ route, navigation }) {
             />
           </View>
         </View>
-        <Text style={styles.hint}>Used for cost per batch in the Mix tab.</Text>
+        <View style={styles.row}>
+          <View style={{ flex: 1 }}>
+            <Label>Price applies from</Label>
+            <Input value={priceFrom} onChangeText={setPriceFrom} placeholder="YYYY-MM-DD" />
+          </View>
+          <View style={{ width: 12 }} />
+          <View style={{ flex: 1 }}>
+            <Label>Supplier</Label>
+            <Input value={supplier} onChangeText={setSupplier} placeholder="optional" />
+          </View>
+        </View>
+        <Text style={styles.hint}>
+          Used for cost per batch in the Mix tab. Price changes are kept; a batch is costed with the price in force on its date.
+        </Text>
+      </View>
+
+      {/* Inventory */}
+      <View style={styles.card}>
+        <View style={[styles.row, { alignItems: "center", gap: 8, marginBottom: 8 }]}>
+          <Text style={[styles.section, { marginBottom: 0, flex: 1 }]}>Inventory</Text>
+          {stock.low && <Text style={styles.lowBadge}>Low stock</Text>}
+        </View>
+        <Text style={{ fontSize: 16, marginBottom: 10 }}>
+          On hand: <Text style={{ fontWeight: "700" }}>{team.number(stock.kg, 1)} kg</Text>
+          {stock.bags != null ? ` · ${team.number(stock.bags, 1)} ${kind === "solid" ? "bags" : "containers"}` : ""}
+        </Text>
+        <Label>Received</Label>
+        <View style={[styles.row, { gap: 8, alignItems: "flex-start" }]}>
+          <Input
+            value={receive.qty}
+            onChangeText={(t) => setReceive((p) => ({ ...p, qty: t }))}
+            keyboardType="decimal-pad"
+            placeholder="e.g. 10"
+            style={{ flex: 1 }}
+          />
+          <View style={[styles.segment, { height: 44 }]}>
+            {["bags", "kg"].map((u) => (
+              <Pressable
+                key={u}
+                onPress={() => setReceive((p) => ({ ...p, unit: u }))}
+                style={[styles.segBtn, { height: 42 }, receive.unit === u && styles.segActive]}
+              >
+                <Text style={[styles.segText, receive.unit === u && styles.segTextActive]}>{u}</Text>
+              </Pressable>
+            ))}
+          </View>
+          <Pressable onPress={onReceive} style={styles.smallBtn}>
+            <Text style={styles.saveText}>Add</Text>
+          </Pressable>
+        </View>
+        <Label>Counted stock (kg)</Label>
+        <View style={[styles.row, { gap: 8, alignItems: "flex-start" }]}>
+          <Input value={countKg} onChangeText={setCountKg} keyboardType="decimal-pad" placeholder="physical count" style={{ flex: 1 }} />
+          <Pressable onPress={onCount} style={styles.smallBtn}>
+            <Text style={styles.saveText}>Set</Text>
+          </Pressable>
+        </View>
+        <Label>Reorder at (kg)</Label>
+        <Input value={reorderKg} onChangeText={setReorderKg} keyboardType="decimal-pad" placeholder="blank = no alert" />
+        {moves.slice(0, 8).map((m) => (
+          <View key={m.id} style={styles.priceRow}>
+            <Text style={{ width: 96 }}>{String(m.created_at || "").slice(0, 10)}</Text>
+            <Text style={{ flex: 1, color: "#666" }} numberOfLines={1}>
+              {MOVE_LABEL[m.kind] || m.kind}{m.batch_id ? ` · ${m.batch_id}` : ""}{m.note ? ` · ${m.note}` : ""}
+            </Text>
+            <Text style={{ fontWeight: "600", color: m.grams < 0 ? "#c00" : "#2e7d32" }}>
+              {m.grams > 0 ? "+" : ""}{team.number(m.grams / 1000, 1)} kg
+            </Text>
+          </View>
+        ))}
+        <Text style={[styles.hint, { marginTop: 6 }]}>
+          Batches marked "Mixed" in the Mix and Stock tabs are taken out automatically. Reorder level is saved with Save.
+        </Text>
+      </View>
+
+      {/* Price history */}
+      {history.length > 0 && <PriceHistory entries={history} money={team.money} />}
+
+      {/* Suppliers */}
+      <View style={styles.card}>
+        <Text style={styles.section}>Suppliers</Text>
+        {offers.map((o) => (
+          <View key={o.id} style={styles.priceRow}>
+            <Text style={{ flex: 1, fontWeight: "600" }} numberOfLines={1}>
+              {suppliers.find((x) => x.id === o.supplier_id)?.name ?? "?"}
+              <Text style={{ color: "#666", fontWeight: "400" }}>{o.sku ? ` · ${o.sku}` : ""}</Text>
+            </Text>
+            <Text style={{ color: "#666" }}>{o.bag_size_kg != null ? `${o.bag_size_kg} kg` : "—"}</Text>
+            <Text style={{ fontWeight: "600" }}>{o.price_per_bag != null ? team.money(o.price_per_bag) : "no price"}</Text>
+            <Pressable onPress={() => removeOffer(o.id)} style={{ paddingHorizontal: 4 }}>
+              <Ionicons name="close-circle-outline" size={18} color="#c00" />
+            </Pressable>
+          </View>
+        ))}
+        {suppliers.length > 0 ? (
+          <>
+            <View style={[styles.row, { flexWrap: "wrap", gap: 6, marginTop: 8, marginBottom: 8 }]}>
+              {suppliers.map((x) => (
+                <Pressable
+                  key={x.id}
+                  onPress={() => setOffer((p) => ({ ...p, supplierId: x.id }))}
+                  style={[styles.chip, offer.supplierId === x.id && styles.segActive]}
+                >
+                  <Text style={[styles.segText, { fontSize: 12 }, offer.supplierId === x.id && styles.segTextActive]}>{x.name}</Text>
+                </Pressable>
+              ))}
+            </View>
+            <View style={[styles.row, { gap: 8, alignItems: "flex-start" }]}>
+              <Input value={offer.sku} onChangeText={(t) => setOffer((p) => ({ ...p, sku: t }))} placeholder="SKU" style={{ flex: 1 }} />
+              <Input value={offer.bag} onChangeText={(t) => setOffer((p) => ({ ...p, bag: t }))} keyboardType="decimal-pad" placeholder="bag kg" style={{ width: 72 }} />
+              <Input value={offer.price} onChangeText={(t) => setOffer((p) => ({ ...p, price: t }))} keyboardType="decimal-pad" placeholder={team.symbol} style={{ width: 80 }} />
+              <Pressable onPress={addOffer} style={styles.smallBtn}>
+                <Text style={styles.saveText}>Add</Text>
+              </Pressable>
+            </View>
+          </>
+        ) : (
+          <Text style={styles.hint}>No suppliers yet — add them under Purchase order → Suppliers.</Text>
+        )}
+        <Text style={styles.hint}>The purchase order picks the cheapest supplier per kg unless you choose another.</Text>
+      </View>
+
+      {/* Read from label */}
+      <View style={styles.card}>
+        <Text style={styles.section}>Read from label</Text>
+        <Input
+          value={labelText}
+          onChangeText={setLabelText}
+          multiline
+          placeholder={"Product name or guaranteed analysis, e.g.\nYaraMila 15-9-20 +2MgO +4S +TE"}
+          style={{ height: undefined, minHeight: 44, paddingVertical: 10, textAlignVertical: "top" }}
+        />
+        <Pressable onPress={() => applyLabel(labelText)} style={[styles.saveBtn, { marginTop: 0, height: 40 }]}>
+          <Ionicons name="scan-outline" size={18} color="#fff" />
+          <Text style={styles.saveText}>Fill from label</Text>
+        </Pressable>
+        {labelSrc && (
+          <Text style={[styles.hint, { marginTop: 8 }]}>
+            Pre-filled {parsedCount(labelSrc)} values — check them below (source text under each field), then Save.
+          </Text>
+        )}
+        {labelSrc?.tags.map((t) => (
+          <Text key={t.tag} style={[styles.hint, { marginTop: 4 }]}>
+            “{t.text}”: {t.note}
+          </Text>
+        ))}
+      </View>
+
+      {/* Type */}
+      <View style={styles.card}>
+        <Text style={styles.section}>Type</Text>
+        <View style={[styles.segment, { alignSelf: "flex-start" }]}>
+          {[["solid", "Solid"], ["liquid", "Liquid"], ["acid", "Liquid acid"]].map(([k, label]) => (
+            <Pressable key={k} onPress={() => setKind(k)} style={[styles.segBtn, kind === k && styles.segActive]}>
+              <Text style={[styles.segText, kind === k && styles.segTextActive]}>{label}</Text>
+            </Pressable>
+          ))}
+        </View>
+        {kind !== "solid" && (
+          <>
+            <View style={{ height: 10 }} />
+            <Grid>
+              <Field label="Density (kg/L)" value={liquid.density} onChangeText={(t) => setLiquid((p) => ({ ...p, density: t }))} />
+            </Grid>
+          </>
+        )}
+        {kind === "liquid" && (
+          <>
+            <Label>Label percentages are</Label>
+            <View style={[styles.segment, { alignSelf: "flex-start" }]}>
+              {[["w/w", "% w/w (by weight)"], ["w/v", "% w/v (g per 100 mL)"]].map(([k, label]) => (
+                <Pressable
+                  key={k}
+                  onPress={() => setLiquid((p) => ({ ...p, basis: k }))}
+                  style={[styles.segBtn, liquid.basis === k && styles.segActive]}
+                >
+                  <Text style={[styles.segText, liquid.basis === k && styles.segTextActive]}>{label}</Text>
+                </Pressable>
+              ))}
+            </View>
+            <Text style={[styles.hint, { marginTop: 6 }]}>Dosed in mL/L or L per tank in the Mix tabs.</Text>
+          </>
+        )}
+        {kind === "acid" && (
+          <>
+            <View style={[styles.segment, { alignSelf: "flex-start" }]}>
+              {Object.entries(ACIDS).map(([k, a]) => (
+                <Pressable
+                  key={k}
+                  onPress={() => setAcid((p) => ({ ...p, type: k }))}
+                  style={[styles.segBtn, acid.type === k && styles.segActive]}
+                >
+                  <Text style={[styles.segText, acid.type === k && styles.segTextActive]}>{a.label}</Text>
+                </Pressable>
+              ))}
+            </View>
+            <View style={{ height: 10 }} />
+            <Grid>
+              <Field label="Concentration (% w/w)" value={acid.conc} onChangeText={(t) => setAcid((p) => ({ ...p, conc: t }))} />
+            </Grid>
+            <Text style={styles.hint}>
+              {acidInfo.pct > 0
+                ? `Supplies ${acidInfo.pct.toFixed(1)}% ${acidInfo.nutrient === "P2O5" ? "P₂O₅" : acidInfo.nutrient} by weight; 1 mL neutralises ${hco3Neutralised(acidRow, mlToGrams(acidRow, 1)).toFixed(0)} mg HCO₃. Entered in mL in the Mix tabs.`
+                : "e.g. nitric 60% at 1.37 kg/L, phosphoric 85% at 1.69 kg/L."}
+            </Text>
+          </>
+        )}
       </View>
 
       {/* Macros */}
+      {kind !== "acid" && (
+        <View style={styles.card}>
+          <Text style={styles.section}>Macros (%)</Text>
+          <Grid>
+            {MACROS.map((k) => (
+              <Field
+                key={k}
+                label={k}
+                value={npk[k]}
+                onChangeText={(t) => setN(k, t)}
+                source={srcOf(`npk.${k}`)}
+              />
+            ))}
+          </Grid>
+          <Text style={styles.hint}>
+            {kind === "liquid" && liquid.basis === "w/v"
+              ? "Enter percentages as g per 100 mL, as on the label."
+              : <>Enter percentages by weight. Example: type <Text style={{fontWeight:"700"}}>14</Text> for 14%.</>}
+          </Text>
+        </View>
+      )}
+
+      {/* Declared forms + EC */}
+      <View style={styles.card}>
+        <Text style={styles.section}>Label declares</Text>
+        {Object.entries(DECLARED_FORMS).map(([k, options]) => (
+          <View key={k} style={[styles.row, { alignItems: "center", marginBottom: 8 }]}>
+            <Text style={[styles.smallLabel, { width: 60, marginBottom: 0 }]}>{k === "P2O5" ? "P" : k}</Text>
+            <View style={styles.segment}>
+              {options.map((o) => (
+                <Pressable
+                  key={o}
+                  onPress={() => setForms((prev) => ({ ...prev, [k]: o }))}
+                  style={[styles.segBtn, forms[k] === o && styles.segActive]}
+                >
+                  <Text style={[styles.segText, forms[k] === o && styles.segTextActive]}>{o}</Text>
+                </Pressable>
+              ))}
+            </View>
+            {labelSrc?.forms[k] && (
+              <Text style={[styles.source, { marginLeft: 8, marginTop: 0, marginBottom: 0, flexShrink: 1 }]}>from “{srcOf(`npk.${k}`)}”</Text>
+            )}
+          </View>
+        ))}
+        <Text style={styles.hint}>
+          The % you enter under Macros is read in this form and converted (e.g. MgO × 0.603 → Mg).
+        </Text>
+
+        <View style={{ height: 12 }} />
+        <Label>EC contribution (mS/cm per 1 g/L)</Label>
+        <Input
+          value={ecPerGl}
+          onChangeText={setEcPerGl}
+          keyboardType="decimal-pad"
+          placeholder="blank = estimate from the analysis"
+        />
+        <Text style={styles.hint}>Only needed when the ion estimate is off, e.g. chelates or organics.</Text>
+      </View>
+
+      {/* Solubility */}
+      <View style={styles.card}>
+        <Text style={styles.section}>Solubility</Text>
+        <Grid>
+          <Field label="g/L" value={solub.gl} onChangeText={(t) => setSolub((p) => ({ ...p, gl: t }))} />
+          <Field label="at °C" value={solub.refC} onChangeText={(t) => setSolub((p) => ({ ...p, refC: t }))} />
+          <Field label="% per °C" value={solub.tc} onChangeText={(t) => setSolub((p) => ({ ...p, tc: t }))} />
+        </Grid>
+        <Text style={styles.hint}>
+          Used by the Stock tab to warn about over-loaded tanks. Defaults: 20 °C, 1.5% per °C.
+        </Text>
+      </View>
+
+      {/* Nitrogen forms */}
       <View style={styles.card}>
-        <Text style={styles.section}>Macros (%)</Text>
+        <Text style={styles.section}>Nitrogen forms (% N)</Text>
         <Grid>
-          {MACROS.map((k) => (
+          {N_FORMS.map((k) => (
             <Field
               key={k}
-              label={k}
-              value={npk[k]}
-              onChangeText={(t) => setN(k, t)}
+              label={N_FORM_LABEL[k]}
+              value={nForm[k]}
+              onChangeText={(t) => setF(k, t)}
+              source={srcOf(`npk.${k}`)}
             />
           ))}
         </Grid>
         <Text style={styles.hint}>
-          Enter percentages by weight. Example: type <Text style={{fontWeight:"700"}}>14</Text> for 14%.
+          Split of total N by form, e.g. Calcinit 15.5 N = 14.4 NO₃-N + 1.1 NH₄-N. Leave blank if unknown.
         </Text>
       </View>
 
@@ -193,12 +797,44 @@ export default function FertilizerDetailScreen({ route, navigation }) {
               label={k}
               value={micro[k]}
               onChangeText={(t) => setM(k, t)}
+              source={srcOf(`micro.${k}`)}
             />
           ))}
         </Grid>
         <Text style={styles.hint}>Micros are typically &lt; 1%.</Text>
       </View>
 
+      {/* Change history */}
+      <View style={styles.card}>
+        <Text style={styles.section}>Change history</Text>
+        {audit.length === 0 && <Text style={styles.hint}>No recorded changes yet.</Text>}
+        {(auditAll ? audit : audit.slice(0, 5)).map((a) => (
+          <View key={a.id} style={styles.auditRow}>
+            <Text style={{ fontWeight: "600" }}>
+              {ACTION_LABEL[a.action] || a.action} · {new Date(a.changed_at).toLocaleString()}
+            </Text>
+            <Text style={styles.hint}>{a.changed_by_email || a.changed_by || "unknown user"}</Text>
+            {(a.changes || []).map((c) => (
+              <Text key={c.field} style={{ fontSize: 13, marginTop: 2 }}>
+                {c.label}: <Text style={{ color: "#c00" }}>{c.from == null ? "—" : String(c.from)}</Text> →{" "}
+                <Text style={{ color: "#2e7d32", fontWeight: "600" }}>{c.to == null ? "—" : String(c.to)}</Text>
+              </Text>
+            ))}
+            {a.snapshot && (
+              <Pressable onPress={() => onRevert(a)} style={styles.revertBtn}>
+                <Ionicons name="arrow-undo-outline" size={14} />
+                <Text style={{ fontSize: 12, fontWeight: "600" }}>Revert to before this</Text>
+              </Pressable>
+            )}
+          </View>
+        ))}
+        {audit.length > 5 && (
+          <Pressable onPress={() => setAuditAll((v) => !v)} style={{ marginTop: 6 }}>
+            <Text style={{ fontWeight: "600" }}>{auditAll ? "Show less" : `Show all ${audit.length}`}</Text>
+          </Pressable>
+        )}
+      </View>
+
       {/* Save button (in case header button isn't visible on mobile) */}
       <Pressable onPress={onSave} disabled={saving} style={[styles.saveBtn, saving && { opacity: 0.6 }]}>
         <Ionicons name="save-outline" size={18} color="#fff" />
@@ -209,6 +845,36 @@ export default function FertilizerDetailScreen({ route, navigation }) {
 }
 
 // — UI bits —
+function PriceHistory({ entries, money }) {
+  const trend = priceTrend(entries);
+  const max = Math.max(...trend.map((t) => t.price), 0) || 1;
+  const current = priceOn(entries, today());
+  return (
+    <View style={styles.card}>
+      <Text style={styles.section}>Price history</Text>
+      <View style={styles.trend}>
+        {trend.map((t) => (
+          <View
+            key={t.id ?? t.date}
+            style={[styles.trendBar, { height: Math.max(4, (t.price / max) * 60) }, t.date > today() && { opacity: 0.4 }]}
+          />
+        ))}
+      </View>
+      {[...trend].reverse().map((t) => (
+        <View key={t.id ?? t.date} style={styles.priceRow}>
+          <Text style={{ width: 96, fontWeight: current?.id === t.id ? "700" : "400" }}>{t.date}</Text>
+          <Text style={{ flex: 1, color: "#666" }} numberOfLines={1}>{t.supplier || "—"}</Text>
+          <Text style={{ fontWeight: "600" }}>{money(t.price)}</Text>
+          <Text style={{ width: 64, textAlign: "right", color: t.change > 0 ? "#c00" : t.change < 0 ? "#2e7d32" : "#666" }}>
+            {t.change == null ? "" : `${t.change > 0 ? "+" : ""}${t.change.toFixed(1)}%`}
+          </Text>
+        </View>
+      ))}
+      <Text style={styles.hint}>Bold = in force today; faded bars are future prices.</Text>
+    </View>
+  );
+}
+
 function Label({ children }) {
   return <Text style={styles.label}>{children}</Text>;
 }
@@ -218,7 +884,7 @@ function Input(props) {
 function Grid({ children }) {
   return <View style={styles.grid}>{children}</View>;
 }
-function Field({ label, value, onChangeText }) {
+function Field({ label, value, onChangeText, source }) {
   return (
     <View style={{ width: "31%", minWidth: 120 }}>
       <Text style={styles.smallLabel}>{label}</Text>
@@ -229,6 +895,7 @@ function Field({ label, value, onChangeText }) {
         placeholder="0"
         style={styles.input}
       />
+      {!!source && <Text style={styles.source} numberOfLines={2}>from “{source}”</Text>}
     </View>
   );
 }
@@ -250,6 +917,23 @@ const styles = StyleSheet.create({
   section: { fontSize: 16, fontWeight: "700", marginBottom: 8 },
   grid: { flexDirection: "row", flexWrap: "wrap", gap: 8 },
   hint: { color: "#666", fontSize: 12 },
+  source: { color: "#1565c0", fontSize: 11, marginTop: -6, marginBottom: 6 },
+  auditRow: { paddingVertical: 8, borderBottomWidth: StyleSheet.hairlineWidth, borderColor: "#eee" },
+  revertBtn: {
+    flexDirection: "row", alignItems: "center", gap: 4, alignSelf: "flex-start", marginTop: 6,
+    borderWidth: 1, borderColor: "#ddd", borderRadius: 8, paddingHorizontal: 8, height: 28,
+  },
+  chip: { borderWidth: 1, borderColor: "#ddd", borderRadius: 14, paddingHorizontal: 10, height: 28, justifyContent: "center" },
+  smallBtn: { backgroundColor: "#222", height: 44, borderRadius: 10, paddingHorizontal: 14, alignItems: "center", justifyContent: "center" },
+  lowBadge: { color: "#c00", borderColor: "#c00", borderWidth: 1, borderRadius: 8, paddingHorizontal: 6, fontSize: 11, fontWeight: "700" },
+  trend: { flexDirection: "row", alignItems: "flex-end", gap: 4, height: 64, marginBottom: 8 },
+  trendBar: { flex: 1, maxWidth: 24, backgroundColor: "#222", borderRadius: 3 },
+  priceRow: { flexDirection: "row", alignItems: "center", gap: 8, paddingVertical: 4, borderBottomWidth: StyleSheet.hairlineWidth, borderColor: "#eee" },
+  segment: { flexDirection: "row", borderWidth: 1, borderColor: "#ddd", borderRadius: 10, overflow: "hidden" },
+  segBtn: { paddingHorizontal: 12, height: 36, alignItems: "center", justifyContent: "center" },
+  segActive: { backgroundColor: "#222" },
+  segText: { color: "#222", fontWeight: "600" },
+  segTextActive: { color: "#fff" },
   saveBtn: {
     marginTop: 8, backgroundColor: "#222", height: 46,
     borderRadius: 10, alignItems: "center", justifyContent: "center",
@@ -1,4 +1,4 @@
-// FertilizerListScreen.js — Supabase + Import + Sign-out + web-friendly delete confirm
+// FertilizerListScreen.js — Supabase + Import (JSON seeds / CSV) + CSV export + Sign-out + web-friendly delete confirm
 
 import React, {
   useCallback,
@@ -18,11 +18,21 @@ import {
   FlatList,
   ActivityIndicator,
   Platform,
+  Share,
 } from "react-native";
 import { Swipeable } from "react-native-gesture-handler";
 import { Ionicons } from "@expo/vector-icons";
 import { supabase } from "./supabaseClient";
 import seeds from "./assets/fertilizers.full"; // JS module with export default [...]
+import { legacyForms, migrateCatalog } from "./catalogMigration";
+import { TeamSettingsModal, useTeamSettings } from "./TeamSettings";
+import CatalogImportModal from "./CatalogImportModal";
+import { toCsv } from "./catalogCsv";
+import { parsedCount, parseLabel } from "./labelParser";
+import { stockOnHand, stockStatus } from "./inventory";
+import { logFertilizerChange } from "./fertilizerAudit";
+import { confirmAsync } from "./confirm";
+import { ShareBadge, inWorkspace, ofWorkspace, useWorkspace } from "./Workspace";
 
 export default function FertilizerListScreen({ navigation }) {
   const [items, setItems] = useState([]);
@@ -30,17 +40,32 @@ export default function FertilizerListScreen({ navigation }) {
   const [refreshing, setRefreshing] = useState(false);
 
   const [query, setQuery] = useState("");
+  const [onHand, setOnHand] = useState(new Map()); // fertilizer_id → grams
+  const [lowOnly, setLowOnly] = useState(false);
   const [newName, setNewName] = useState("");
 
   const [editing, setEditing] = useState(null);
   const [editText, setEditText] = useState("");
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [csvOpen, setCsvOpen] = useState(false);
+  const team = useTeamSettings();
+  const ws = useWorkspace();
 
-  // Header buttons: Import + Sign-out
+  // Header buttons: Currency + Import + CSV import/export + Purchase order + Sign-out
   useLayoutEffect(() => {
     navigation.setOptions({
       title: "Fertilizer List",
       headerRight: () => (
         <View style={{ flexDirection: "row", gap: 8 }}>
+          <Pressable
+            onPress={() => setSettingsOpen(true)}
+            style={{ paddingHorizontal: 8, flexDirection: "row", alignItems: "center", gap: 4 }}
+            accessibilityLabel="Team currency"
+            title="Currency"
+          >
+            <Ionicons name="cash-outline" size={22} />
+            <Text style={{ fontWeight: "600" }}>{team.symbol}</Text>
+          </Pressable>
           <Pressable
             onPress={bulkImportFromJson}
             style={{ paddingHorizontal: 8 }}
@@ -49,6 +74,30 @@ export default function FertilizerListScreen({ navigation }) {
           >
             <Ionicons name="cloud-upload-outline" size={22} />
           </Pressable>
+          <Pressable
+            onPress={() => setCsvOpen(true)}
+            style={{ paddingHorizontal: 8 }}
+            accessibilityLabel="Import CSV"
+            title="Import CSV"
+          >
+            <Ionicons name="document-text-outline" size={22} />
+          </Pressable>
+          <Pressable
+            onPress={exportCsv}
+            style={{ paddingHorizontal: 8 }}
+            accessibilityLabel="Export CSV"
+            title="Export CSV"
+          >
+            <Ionicons name="download-outline" size={22} />
+          </Pressable>
+          <Pressable
+            onPress={() => navigation.navigate("PurchaseOrder")}
+            style={{ paddingHorizontal: 8 }}
+            accessibilityLabel="Purchase order"
+            title="Purchase order"
+          >
+            <Ionicons name="cart-outline" size={22} />
+          </Pressable>
           <Pressable
             onPress={async () => {
               try {
@@ -64,25 +113,28 @@ export default function FertilizerListScreen({ navigation }) {
         </View>
       ),
     });
-  }, [navigation]);
+  }, [navigation, team.symbol, items]);
 
   // Load list
   const fetchList = useCallback(async () => {
     try {
       setLoading(true);
-      const { data, error } = await supabase
-        .from("fertilizers")
-        .select("*")
+      const { data, error } = await inWorkspace(supabase.from("fertilizers").select("*"), ws)
         .order("name", { ascending: true });
       if (error) throw error;
-      setItems(data ?? []);
+      setItems(migrateCatalog(data ?? []));
+      const { data: mv, error: mvErr } = await ofWorkspace(supabase
+        .from("stock_on_hand")
+        .select("fertilizer_id,grams"), ws);
+      if (mvErr) throw mvErr;
+      setOnHand(stockOnHand(mv ?? []));
     } catch (e) {
       console.warn("load error", e);
       Alert.alert("Load error", e.message ?? String(e));
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [ws.current?.id, ws.userId]);
 
   useEffect(() => {
     fetchList();
@@ -111,9 +163,7 @@ export default function FertilizerListScreen({ navigation }) {
         return;
       }
 
-      const { data: existing, error: selErr } = await supabase
-        .from("fertilizers")
-        .select("name");
+      const { data: existing, error: selErr } = await inWorkspace(supabase.from("fertilizers").select("name"), ws);
       if (selErr) throw selErr;
       const existingNames = new Set(
         (existing ?? []).map((x) => x.name?.trim()?.toLowerCase())
@@ -129,8 +179,10 @@ export default function FertilizerListScreen({ navigation }) {
         const micro = f.micro || {};
         rows.push({
           owner: user.id,
+          workspace_id: ws.current.id,
+          shared: true,
           name: nm,
-          bag_size_kg: toNum(f.bagSizeKg),
+          bag_size_kg: toNum(f.bagSizeKg) ?? (f.containerL && f.densityKgL ? f.containerL * f.densityKgL : null),
           price_per_bag: toNum(f.pricePerBag),
           npk: {
             N: toNum(npk.N),
@@ -139,6 +191,9 @@ export default function FertilizerListScreen({ navigation }) {
             Ca: toNum(npk.Ca),
             Mg: toNum(npk.Mg),
             S: toNum(npk.S),
+            NO3: toNum(npk.NO3),
+            NH4: toNum(npk.NH4),
+            Urea: toNum(npk.Urea),
           },
           micro: {
             Fe: toNum(micro.Fe),
@@ -148,6 +203,16 @@ export default function FertilizerListScreen({ navigation }) {
             B: toNum(micro.B),
             Mo: toNum(micro.Mo),
           },
+          forms: legacyForms({ name: nm }),
+          solubility_gl: toNum(f.solubilityGL),
+          solubility_ref_c: toNum(f.solubilityRefC),
+          solubility_tc: toNum(f.solubilityTC),
+          kind: f.kind || "solid",
+          acid_type: f.acidType ?? null,
+          conc_pct: toNum(f.concPct),
+          density_kg_l: toNum(f.densityKgL),
+          container_l: toNum(f.containerL),
+          pct_basis: f.pctBasis ?? null,
         });
       }
 
@@ -167,24 +232,24 @@ export default function FertilizerListScreen({ navigation }) {
     }
   };
 
-  // Mobile/web confirm helper
-  const confirmDelete = (name) =>
-    new Promise((resolve) => {
+  // CSV export (same columns the CSV import reads)
+  const exportCsv = async () => {
+    try {
+      const csv = toCsv(items);
       if (Platform.OS === "web") {
-        // Browser confirm returns true/false
-        resolve(window.confirm(`Delete "${name}"?`));
+        const url = URL.createObjectURL(new Blob([csv], { type: "text/csv;charset=utf-8" }));
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = `fertilizers-${new Date().toISOString().slice(0, 10)}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
       } else {
-        Alert.alert(
-          "Delete fertilizer",
-          `Delete "${name}"?`,
-          [
-            { text: "Cancel", style: "cancel", onPress: () => resolve(false) },
-            { text: "Delete", style: "destructive", onPress: () => resolve(true) },
-          ],
-          { cancelable: true }
-        );
+        await Share.share({ title: "fertilizers.csv", message: csv });
       }
-    });
+    } catch (e) {
+      Alert.alert("Export error", e.message ?? String(e));
+    }
+  };
 
   // CRUD
   const addItem = async () => {
@@ -204,11 +269,19 @@ export default function FertilizerListScreen({ navigation }) {
         .insert([
           {
             owner: user.id,
+            workspace_id: ws.current.id,
+            shared: true,
             name,
             bag_size_kg: null,
             price_per_bag: null,
-            npk: { N: null, P2O5: null, K2O: null, Ca: null, Mg: null, S: null },
+            npk: {
+              N: null, P2O5: null, K2O: null, Ca: null, Mg: null, S: null,
+              NO3: null, NH4: null, Urea: null,
+            },
             micro: { Fe: null, Mn: null, Zn: null, Cu: null, B: null, Mo: null },
+            forms: { P2O5: "P2O5", Ca: "Ca", Mg: "Mg", S: "S" },
+            ec_per_gl: null,
+            kind: "solid",
           },
         ])
         .select()
@@ -217,6 +290,10 @@ export default function FertilizerListScreen({ navigation }) {
 
       setItems((prev) => [data, ...prev]);
       setNewName("");
+      // "YaraMila 15-9-20 +2MgO": open the detail with the analysis pre-filled for review
+      if (parsedCount(parseLabel(name))) {
+        navigation.navigate("FertilizerDetail", { id: data.id, name: data.name, labelText: name });
+      }
     } catch (e) {
       console.warn("create error", e);
       Alert.alert("Create error", e.message ?? String(e));
@@ -240,9 +317,11 @@ export default function FertilizerListScreen({ navigation }) {
         .select()
         .single();
       if (error) throw error;
+      const { error: auditErr } = await logFertilizerChange(editing, { name }, "rename");
 
       setItems((prev) => prev.map((it) => (it.id === editing.id ? data : it)));
       setEditing(null);
+      if (auditErr) Alert.alert("Renamed", `Renamed to "${name}", but ${auditErr.message}.`);
     } catch (e) {
       console.warn("update error", e);
       Alert.alert("Update error", e.message ?? String(e));
@@ -250,13 +329,14 @@ export default function FertilizerListScreen({ navigation }) {
   };
 
   const removeItem = async (id, name) => {
-    const ok = await confirmDelete(name);
-    if (!ok) return;
+    if (!(await confirmAsync("Delete fertilizer", `Delete "${name}"?`, { confirmText: "Delete", destructive: true }))) return;
 
     try {
-      const { error } = await supabase.from("fertilizers").delete().eq("id", id);
+      const { data: gone, error } = await supabase.from("fertilizers").delete().eq("id", id).select().single();
       if (error) throw error;
       setItems((prev) => prev.filter((it) => it.id !== id));
+      const { error: auditErr } = await logFertilizerChange(gone, null, "delete");
+      if (auditErr) Alert.alert("Deleted", `"${name}" was deleted, but ${auditErr.message}.`);
     } catch (e) {
       console.warn("delete error", e);
       Alert.alert("Delete error", e.message ?? String(e));
@@ -264,14 +344,19 @@ export default function FertilizerListScreen({ navigation }) {
   };
 
   // Filter
+  const stockOf = (it) => stockStatus(it, onHand.get(it.id) || 0);
+  const lowCount = useMemo(() => items.filter((it) => stockOf(it).low).length, [items, onHand]);
   const filtered = useMemo(() => {
     const q = query.trim().toLowerCase();
-    if (!q) return items;
-    return items.filter((it) => (it.name ?? "").toLowerCase().includes(q));
-  }, [items, query]);
+    const list = lowOnly ? items.filter((it) => stockOf(it).low) : items;
+    if (!q) return list;
+    return list.filter((it) => (it.name ?? "").toLowerCase().includes(q));
+  }, [items, query, lowOnly, onHand]);
 
   // Row renderer
   const renderRow = ({ item }) => {
+    const stock = stockOf(item);
+    const tracked = onHand.has(item.id) || stock.reorderKg != null;
     const Right = () => (
       <View style={styles.actions}>
         <Pressable style={styles.actionBtn} onPress={() => openEdit(item)}>
@@ -300,9 +385,20 @@ export default function FertilizerListScreen({ navigation }) {
         >
           <View style={styles.card}>
             <Ionicons name="leaf-outline" size={18} style={{ marginRight: 8 }} />
-            <Text style={styles.name} numberOfLines={2}>
-              {item.name || "(no name)"}
-            </Text>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.name} numberOfLines={2}>
+                {item.name || "(no name)"}
+              </Text>
+              <ShareBadge shared={item.shared} />
+              {tracked && (
+                <Text style={[styles.stock, stock.low && { color: "#c00" }]}>
+                  {team.number(stock.kg, 1)} kg
+                  {stock.bags != null ? ` · ${team.number(stock.bags, 1)} bags` : ""}
+                  {stock.low ? " · low stock" : ""}
+                </Text>
+              )}
+            </View>
+            {stock.low && <Ionicons name="alert-circle" size={18} color="#c00" style={{ marginHorizontal: 4 }} />}
             <Ionicons name="chevron-forward" size={18} />
           </View>
         </Pressable>
@@ -321,6 +417,15 @@ export default function FertilizerListScreen({ navigation }) {
           placeholder="Search..."
           style={[styles.input, { flex: 1 }]}
         />
+        {lowCount > 0 && (
+          <Pressable
+            onPress={() => setLowOnly((v) => !v)}
+            style={[styles.lowChip, lowOnly && { backgroundColor: "#c00" }]}
+          >
+            <Ionicons name="alert-circle-outline" size={16} color={lowOnly ? "#fff" : "#c00"} />
+            <Text style={{ color: lowOnly ? "#fff" : "#c00", fontWeight: "600" }}>Low ({lowCount})</Text>
+          </Pressable>
+        )}
       </View>
 
       {/* add */}
@@ -362,6 +467,15 @@ export default function FertilizerListScreen({ navigation }) {
         />
       )}
 
+      <TeamSettingsModal visible={settingsOpen} onClose={() => setSettingsOpen(false)} />
+      <CatalogImportModal
+        visible={csvOpen}
+        catalog={items}
+        workspaceId={ws.current?.id}
+        onClose={() => setCsvOpen(false)}
+        onDone={fetchList}
+      />
+
       {/* rename modal */}
       <Modal visible={!!editing} animationType="slide" transparent>
         <View style={styles.modalBackdrop}>
@@ -429,7 +543,18 @@ const styles = StyleSheet.create({
     marginBottom: 8,
     backgroundColor: "#fff",
   },
-  name: { flex: 1, fontSize: 16 },
+  name: { fontSize: 16 },
+  stock: { color: "#666", fontSize: 12, marginTop: 2 },
+  lowChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    borderWidth: 1,
+    borderColor: "#c00",
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    height: 44,
+  },
   actions: {
     flexDirection: "row",
     alignItems: "center",
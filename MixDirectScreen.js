@@ -15,32 +15,36 @@ import {
 import { Ionicons } from "@expo/vector-icons";
 import { supabase } from "./supabaseClient";
 import { useRoute, useNavigation, useFocusEffect } from "@react-navigation/native";
+import {
+  ACCUMULATING_LIMITS, MICROS, computeMix, costOf, doseOf, gramsToMl, isLiquid, mlToGrams, nForms, nowBatchId,
+} from "./mixCalc";
+import WaterSourcePicker from "./WaterSourcePicker";
+import TargetProfilePicker from "./TargetProfilePicker";
+import { compareToProfile } from "./targetProfiles";
+import { compareRatios, nutrientRatios, ratioText } from "./nutrientRatios";
+import { migrateCatalog } from "./catalogMigration";
+import { SOLVER_NUTRIENTS, solveRecipe } from "./recipeSolver";
+import { checkCompatibility, warningsByFert } from "./compatibility";
+import { ACIDS, acidComposition, acidNeeded, isAcid } from "./acidDosing";
+import { scaleRecipe } from "./recipeScale";
+import { planRounding } from "./roundingPlan";
+import { costAnalytics } from "./costAnalytics";
+import { useTeamSettings } from "./TeamSettings";
+import { inWorkspace, ofWorkspace, useWorkspace } from "./Workspace";
+import { isDate, priceChanges, priceSnapshot, pricedCatalog, today } from "./priceHistory";
+import { markMixed } from "./mixedBatch";
+import { DEFAULT_UNITS, UNIT_LABEL, convert, dpOf, nutrientName } from "./units";
 
-const MgO_TO_Mg = 0.603; // 24.305 / 40.304
-
-const nowBatchId = () => {
-  const d = new Date();
-  const pad = (n) => n.toString().padStart(2, "0");
-  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(
-    d.getHours()
-  )}${pad(d.getMinutes())}`;
-};
-
-// Rough EC coefficients (mS/cm per 1 g/L at dripper)
-function ecK(name = "") {
-  const n = (name || "").toLowerCase();
-  if (/calcinit|calcium nitrate|nitrabor/.test(n)) return 1.20;
-  if (/krista k|potassium nitrate|kno3/.test(n)) return 1.10;
-  if (/mkp|mono potassium phosphate|kh2po4/.test(n)) return 0.90;
-  if (/sop|potassium sulph|potassium sulf/.test(n)) return 0.80;
-  if (/magnesium|epsom|krista mgs|mgso4/.test(n)) return 1.00;
-  if (/ferticare|kristalon|npk|complete/.test(n)) return 1.10;
-  return 1.00;
-}
+const NUTRIENT_LABEL = { P2O5: "P₂O₅", K2O: "K₂O", EC: "EC (mS/cm)" };
+const ROUND_UNIT = { bag: "bag", half: "half bag", step: "step" };
+const MICRO_KEYS = new Set(MICROS);
 
 export default function MixDirectScreen() {
   const route = useRoute();
   const navigation = useNavigation();
+  const team = useTeamSettings();
+  const ws = useWorkspace();
+  const [units, setUnits] = useState(DEFAULT_UNITS); // { unit: "ppm" | "mmol" | "meq", form: "label" | "oxide" | "elemental" }
 
   // Tank + mode + unit
   const [volumeL, setVolumeL] = useState("100");
@@ -52,13 +56,29 @@ export default function MixDirectScreen() {
   const [ecTarget, setEcTarget] = useState("");
   const [ecMeasured, setEcMeasured] = useState("");
 
+  // Raw water baseline
+  const [water, setWater] = useState(null); // { id, name, analysis }
+
+  // Crop / stage targets
+  const [profile, setProfile] = useState(null); // { id, name, targets }
+
+  // Acid dosing (bicarbonate neutralisation)
+  const [acidId, setAcidId] = useState(null);
+  const [acidHco3, setAcidHco3] = useState(""); // "" = from the selected water
+  const [acidTarget, setAcidTarget] = useState("40");
+
   // Job info
   const [batchId, setBatchId] = useState(nowBatchId());
   const [notes, setNotes] = useState("");
+  const [recipeShared, setRecipeShared] = useState(true); // false = only visible to me
 
   // Data
-  const [ferts, setFerts] = useState([]);
+  const [catalogRows, setCatalogRows] = useState([]);
+  const [prices, setPrices] = useState([]); // fertilizer_prices rows
+  const [priceDate, setPriceDate] = useState(today()); // batch date: prices in force on this day
   const [loading, setLoading] = useState(true);
+  const costDate = isDate(priceDate) ? priceDate : today();
+  const ferts = useMemo(() => pricedCatalog(catalogRows, prices, costDate), [catalogRows, prices, costDate]);
 
   // Row editor
   const [rows, setRows] = useState([]); // { key, fertId, name, gTotal, gPerL }
@@ -66,15 +86,44 @@ export default function MixDirectScreen() {
   const [pickerIndex, setPickerIndex] = useState(null);
   const [pickerFilter, setPickerFilter] = useState("");
 
+  // Target solver
+  const [solverOpen, setSolverOpen] = useState(false);
+  const [targets, setTargets] = useState({}); // { N: "180", K2O: "280", ... }
+  const [allowed, setAllowed] = useState({}); // { [fertId]: true }
+  const [costWeight, setCostWeight] = useState("0");
+  const [solved, setSolved] = useState(null);
+
+  // Convert / scale
+  const [convOpen, setConvOpen] = useState(false);
+  const [convTo, setConvTo] = useState("direct"); // "direct" | "stock"
+  const [convVol, setConvVol] = useState("");
+  const [convRatio, setConvRatio] = useState("200");
+
+  // Cost analytics (optional field figures)
+  const [irrigL, setIrrigL] = useState(""); // L per plant per day
+  const [plants, setPlants] = useState("");
+  const [areaHa, setAreaHa] = useState("");
+
+  // Practical rounding (whole / half bags, fixed increment)
+  const [roundOpen, setRoundOpen] = useState(false);
+  const [roundMode, setRoundMode] = useState("bag"); // "bag" | "half" | "step"
+  const [roundStep, setRoundStep] = useState("");
+
   // Helpers
   const num = (s) => (Number.isFinite(Number(s)) ? Number(s) : 0);
   const vol = Math.max(0, num(volumeL));
   const getFert = (id) => ferts.find((f) => f.id === id);
-  const pct = (v) => (v == null || v === "" ? 0 : Number(v));
 
   // Unit helpers
   const toGrams = (v) => (weightUnit === "g" ? num(v) : num(v) * 1000);
   const fromGrams = (g) => (weightUnit === "g" ? g : g / 1000);
+  // liquids (incl. acids) are entered in mL (g mode) or L (kg mode)
+  const rowGrams = (f, v) => (isLiquid(f) ? mlToGrams(f, toGrams(v)) : toGrams(v));
+  const rowValue = (f, g) => fromGrams(isLiquid(f) ? gramsToMl(f, g) : g); // grams → what the row shows
+  const unitText = (f) => {
+    const u = isLiquid(f) ? (weightUnit === "g" ? "mL" : "L") : weightUnit;
+    return doseMode === "total" ? `${u} (total)` : `${u}/L`;
+  };
 
   const switchUnit = (next) => {
     if (next === weightUnit) return;
@@ -92,22 +141,27 @@ export default function MixDirectScreen() {
     setWeightUnit(next);
   };
 
-  // Load fertilizers (shared + mine)
+  // Load fertilizers of the current workspace (shared + mine)
   const loadFerts = useCallback(async () => {
     try {
       setLoading(true);
-      const { data, error } = await supabase
+      const { data, error } = await inWorkspace(supabase
         .from("fertilizers")
-        .select("id,name,bag_size_kg,price_per_bag,npk,micro,owner,shared")
+        .select("id,name,bag_size_kg,price_per_bag,npk,micro,owner,shared,forms,ec_per_gl,kind,acid_type,conc_pct,density_kg_l,container_l,pct_basis"), ws)
         .order("name", { ascending: true });
       if (error) throw error;
-      setFerts(data ?? []);
+      setCatalogRows(migrateCatalog(data ?? []));
+      const { data: ph, error: phErr } = await ofWorkspace(supabase
+        .from("fertilizer_prices")
+        .select("fertilizer_id,effective_date,price_per_bag,supplier,created_at"), ws);
+      if (phErr) throw phErr;
+      setPrices(ph ?? []);
     } catch (e) {
       Alert.alert("Load error", e.message ?? String(e));
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [ws.current?.id, ws.userId]);
   useEffect(() => { loadFerts(); }, [loadFerts]);
 
   // Row ops
@@ -127,69 +181,200 @@ export default function MixDirectScreen() {
     setPickerOpen(false);
   };
 
-  // Math
-  const results = useMemo(() => {
-    let N = 0, P2O5 = 0, K2O = 0, Ca = 0, Mg = 0, S = 0;
-    let Fe = 0, Mn = 0, Zn = 0, Cu = 0, B = 0, Mo = 0;
-    let cost = 0;
-
-    for (const r of rows) {
-      const f = getFert(r.fertId);
-      if (!f) continue;
-
-      const gPerL =
-        doseMode === "total"
-          ? (vol > 0 ? toGrams(r.gTotal) / vol : 0)
-          : toGrams(r.gPerL);
-
-      // macros
-      const npk = f.npk || {};
-      let Mg_pct = pct(npk.Mg);
-      if (Mg_pct > 0 && /MgO/i.test(f.name || "")) {
-        Mg_pct = Mg_pct * MgO_TO_Mg; // convert MgO% → Mg%
-      }
+  // Solver ops
+  const toggleAllowed = (id) => setAllowed((p) => ({ ...p, [id]: !p[id] }));
+  const allowRowFerts = () =>
+    setAllowed(Object.fromEntries(rows.filter((r) => r.fertId).map((r) => [r.fertId, true])));
 
-      N   += gPerL * pct(npk.N)    * 10;
-      P2O5+= gPerL * pct(npk.P2O5) * 10;
-      K2O += gPerL * pct(npk.K2O)  * 10;
-      Ca  += gPerL * pct(npk.Ca)   * 10;
-      Mg  += gPerL * Mg_pct        * 10;
-      S   += gPerL * pct(npk.S)    * 10;
-
-      // micros
-      const micro = f.micro || {};
-      Fe  += gPerL * pct(micro.Fe) * 10;
-      Mn  += gPerL * pct(micro.Mn) * 10;
-      Zn  += gPerL * pct(micro.Zn) * 10;
-      Cu  += gPerL * pct(micro.Cu) * 10;
-      B   += gPerL * pct(micro.B)  * 10;
-      Mo  += gPerL * pct(micro.Mo) * 10;
-
-      // cost from total grams actually added
-      const price = Number(f.price_per_bag) || 0;
-      const bagKg = Number(f.bag_size_kg) || 0;
-      const totalG = doseMode === "total" ? toGrams(r.gTotal) : toGrams(r.gPerL) * vol;
-      if (price > 0 && bagKg > 0) cost += totalG * (price / (bagKg * 1000));
+  const runSolver = () => {
+    const catalog = ferts.filter((f) => allowed[f.id]);
+    if (catalog.length === 0) {
+      Alert.alert("Solver", "Pick at least one fertilizer to use.");
+      return;
+    }
+    if (!SOLVER_NUTRIENTS.some((k) => num(targets[k]) > 0)) {
+      Alert.alert("Solver", "Enter at least one target ppm.");
+      return;
     }
+    setSolved(solveRecipe({
+        targets,
+        catalog,
+        options: { costWeight: num(costWeight), baseline: results.waterPpm },
+      }));
+  };
+
+  // Drop the solution into the ingredient rows (current dose mode + unit)
+  const applySolution = () => {
+    if (!solved) return;
+    const r3 = (x) => String(Math.round(x * 1000) / 1000);
+    setRows(
+      solved.doses.map((d) => {
+        const f = getFert(d.fertId);
+        return {
+          key: String(Date.now() + Math.random()),
+          fertId: d.fertId,
+          name: d.name,
+          gTotal: r3(rowValue(f, d.gPerL * vol)),
+          gPerL: r3(rowValue(f, d.gPerL)),
+        };
+      })
+    );
+  };
+
+  // Math (shared engine; see mixCalc.js)
+  const mixItems = useMemo(
+    () =>
+      rows.map((r) => ({
+        fertId: r.fertId,
+        grams: rowGrams(getFert(r.fertId), doseMode === "total" ? r.gTotal : r.gPerL),
+      })),
+    [rows, doseMode, weightUnit, ferts]
+  );
+  const results = useMemo(
+    () =>
+      computeMix({
+        items: mixItems,
+        catalog: ferts,
+        dose: { mode: doseMode, volumeL: vol, ecScale: num(ecScale) || 1 },
+        water: water?.analysis,
+      }),
+    [mixItems, ferts, doseMode, vol, ecScale, water]
+  );
+  const ecEstimate = results.ec;
+  const nf = nForms(results.ppm);
+  // ppm-shape value in the selected display unit (units.js)
+  const shown = (k, v) => team.number(convert(k, v, units), dpOf(k, units));
+  const waterSub = (k) =>
+    water ? `fert ${shown(k, results.fertPpm[k])} + water ${shown(k, results.waterPpm[k])}` : undefined;
+  const dev = useMemo(
+    () => (profile ? compareToProfile(profile, results.ppm, ecEstimate) : {}),
+    [profile, results, ecEstimate]
+  );
+  const ratios = useMemo(() => nutrientRatios(results.ppm), [results]);
+  const uBox = (k, v = results.ppm[k]) => ({
+    label: nutrientName(k, units),
+    value: convert(k, v, units),
+    dp: dpOf(k, units),
+    dev: dev[k] && { ...dev[k], opt: convert(k, dev[k].opt, units) },
+  });
+  const ratioDev = useMemo(() => (profile ? compareRatios(profile, ratios) : {}), [profile, ratios]);
+
+  const costs = useMemo(
+    () =>
+      costAnalytics({
+        cost: results.cost,
+        lines: results.lines,
+        dose: { mode: doseMode, volumeL: vol },
+        field: { lPerPlantDay: irrigL, plants, areaHa },
+      }),
+    [results, doseMode, vol, irrigL, plants, areaHa]
+  );
+
+  // Acid needed to bring the water's HCO3 down to the target residual
+  const acids = ferts.filter(isAcid);
+  const acidFert = getFert(acidId);
+  const hco3In = acidHco3 !== "" ? num(acidHco3) : num(water?.analysis?.HCO3);
+  const acidDose = acidFert ? acidNeeded(acidFert, { hco3: hco3In, targetHco3: num(acidTarget) }) : null;
+  const acidAdds = acidDose ? acidDose.gPerL * acidComposition(acidFert).pct * 10 : 0;
+
+  // Put the calculated acid into the ingredient rows (replaces an existing row of it)
+  const applyAcidDose = () => {
+    if (!acidDose) return;
+    const ml = doseMode === "total" ? acidDose.mlPerL * vol : acidDose.mlPerL;
+    const v = String(Math.round(fromGrams(ml) * 1000) / 1000);
+    const row = { fertId: acidFert.id, name: acidFert.name, gTotal: doseMode === "total" ? v : "", gPerL: doseMode === "perL" ? v : "" };
+    setRows((p) =>
+      p.some((r) => r.fertId === acidFert.id)
+        ? p.map((r) => (r.fertId === acidFert.id ? { ...r, ...row } : r))
+        : [...p, { key: String(Date.now() + Math.random()), ...row }]
+    );
+  };
+
+  // Convert / scale: same dripper ppm in another tank size, or as a stock recipe
+  const conv = scaleRecipe({
+    items: mixItems.filter((it) => getFert(it.fertId)),
+    from: { mode: doseMode, volumeL: vol },
+    to:
+      convTo === "stock"
+        ? { mode: "stock", volumeL: num(convVol), ratio: num(convRatio) }
+        : { mode: doseMode, volumeL: num(convVol) },
+  });
+  const amountText = (f, g) =>
+    isLiquid(f)
+      ? `${Math.round(gramsToMl(f, g))} mL`
+      : `${fromGrams(g).toFixed(weightUnit === "g" ? 0 : 3)} ${weightUnit}`;
 
-    return { ppm: { N, P2O5, K2O, Ca, Mg, S, Fe, Mn, Zn, Cu, B, Mo }, costRM: cost };
-  }, [rows, ferts, doseMode, vol, weightUnit]);
-
-  // EC estimate
-  const ecEstimate = useMemo(() => {
-    const scale = num(ecScale) || 1;
-    let sum = 0;
-    for (const r of rows) {
-      const f = getFert(r.fertId);
-      if (!f) continue;
-      const gPerL =
-        doseMode === "total"
-          ? (vol > 0 ? toGrams(r.gTotal) / vol : 0)
-          : toGrams(r.gPerL);
-      sum += gPerL * ecK(f.name || "");
+  // Rows from { fertId, name, grams, ml? } in the given dose mode (liquids carry ml)
+  const rowsFrom = (items, mode) => {
+    const r3 = (x) => String(Math.round(x * 1000) / 1000);
+    return items.map((it) => {
+      const v = r3(fromGrams(Number(it.ml ?? it.grams ?? 0)));
+      return {
+        key: String(Date.now() + Math.random()),
+        fertId: it.fertId,
+        name: it.name || "",
+        gTotal: mode === "total" ? v : "",
+        gPerL: mode === "perL" ? v : "",
+      };
+    });
+  };
+
+  const applyConversion = () => {
+    const v = num(convVol);
+    if (v <= 0 || (convTo === "stock" && num(convRatio) < 1)) {
+      Alert.alert("Convert", convTo === "stock" ? "Enter the stock volume and injector ratio." : "Enter the new volume.");
+      return;
+    }
+    const items = conv.lines.map((l) => {
+      const f = getFert(l.fertId);
+      return { fertId: l.fertId, name: f.name, grams: l.grams, ...(isLiquid(f) ? { ml: gramsToMl(f, l.grams) } : {}) };
+    });
+    if (convTo === "stock") {
+      navigation.navigate("Stock", {
+        importMix: { items, volumeL: v, ratio: num(convRatio), waterId: water?.id ?? null, batchId, notes, priceDate: costDate },
+      });
+    } else {
+      setVolumeL(String(v));
+      setRows(rowsFrom(items, doseMode));
     }
-    return sum * scale;
-  }, [rows, ferts, doseMode, vol, weightUnit, ecScale]);
+    setConvOpen(false);
+  };
+
+  // Rounding planner: bag / increment quantities, tank volume refitted to hold the ppm
+  const plan = useMemo(
+    () =>
+      roundOpen && vol > 0
+        ? planRounding({
+            lines: mixItems
+              .filter((it) => getFert(it.fertId))
+              .map((it) => ({ fertId: it.fertId, gramsTotal: doseOf(it.grams, { mode: doseMode, volumeL: vol }).gramsTotal })),
+            catalog: ferts,
+            dose: { mode: "total", volumeL: vol },
+            water: water?.analysis,
+            opts: { rounding: roundMode, stepG: (f) => rowGrams(f, roundStep) },
+          })
+        : null,
+    [roundOpen, mixItems, ferts, doseMode, vol, water, roundMode, roundStep, weightUnit]
+  );
+
+  const applyRounding = () => {
+    if (!plan) return;
+    const items = plan.lines.map((l) => {
+      const f = getFert(l.fertId);
+      const grams = doseMode === "total" ? l.after : l.after / plan.volumeL;
+      return { fertId: l.fertId, name: f.name, grams, ...(isLiquid(f) ? { ml: gramsToMl(f, grams) } : {}) };
+    });
+    setVolumeL(String(plan.volumeL));
+    setRows(rowsFrom(items, doseMode));
+    setRoundOpen(false);
+  };
+
+  // Compatibility / precipitation warnings (direct = tank strength)
+  const warnings = useMemo(
+    () => checkCompatibility({ items: mixItems, catalog: ferts, dose: { mode: doseMode, volumeL: vol } }),
+    [mixItems, ferts, doseMode, vol]
+  );
+  const rowWarnings = useMemo(() => warningsByFert(warnings), [warnings]);
 
   const ecDeltaToTarget = useMemo(() => {
     const t = num(ecTarget);
@@ -205,26 +390,29 @@ export default function MixDirectScreen() {
         Alert.alert("Not signed in", "Please sign in first.");
         return;
       }
-      const items = rows
-        .map((r) => {
-          const f = getFert(r.fertId);
-          if (!f) return null;
-          const grams = doseMode === "total" ? toGrams(r.gTotal) : toGrams(r.gPerL) * vol;
-          return { fert_id: f.id, name: f.name, grams };
-        })
-        .filter(Boolean);
+      // liquids also keep their volume so a reload shows the same mL
+      const items = results.lines.map((l) => {
+        const f = getFert(l.fertId);
+        return {
+          fert_id: l.fertId, name: l.name, grams: l.gramsTotal,
+          ...(isLiquid(f) ? { ml: gramsToMl(f, l.gramsTotal) } : {}),
+          ...priceSnapshot(f),
+        };
+      });
 
       const { error } = await supabase.from("recipes").insert([
         {
           owner: user.id,
-          shared: true,
+          workspace_id: ws.current.id,
+          shared: recipeShared,
           batch_id: batchId,
           notes,
           dose_mode: doseMode,
           volume_l: vol,
           items,
           ppm: results.ppm,
-          cost_rm: results.costRM,
+          cost: results.cost, currency: team.currency, costed_on: costDate,
+          water_source_id: water?.id ?? null,
         },
       ]);
       if (error) throw error;
@@ -234,6 +422,9 @@ export default function MixDirectScreen() {
     }
   };
 
+  // Batch confirmed as mixed: its grams come out of inventory, once per batch ID
+  const onMixed = () => markMixed({ lines: results.lines, batchId, nameOf: (id) => getFert(id)?.name, ws });
+
   // Load recipe by id (from Saved tab)
   const loadRecipeById = useCallback(
     async (id) => {
@@ -241,13 +432,18 @@ export default function MixDirectScreen() {
         const { data, error } = await supabase.from("recipes").select("*").eq("id", id).single();
         if (error) throw error;
 
-        setBatchId(data.batch_id || nowBatchId());
+        const date = data.costed_on || String(data.created_at || "").slice(0, 10) || today();
+        // a new run of the recipe: its own batch ID, so it can be taken out of stock again
+        setBatchId(nowBatchId());
+        setPriceDate(date);
         setNotes(data.notes || "");
+        setRecipeShared(data.shared !== false);
         setVolumeL(String(data.volume_l || 0));
         setDoseMode(data.dose_mode || "total");
+        setWater(data.water_source_id ? { id: data.water_source_id } : null);
 
         const ing = (data.items || []).map((it) => {
-          const g = Number(it.grams || 0);
+          const g = Number(it.ml ?? it.grams ?? 0);
           return {
             key: String(Math.random()),
             fertId: it.fert_id || null,
@@ -260,12 +456,22 @@ export default function MixDirectScreen() {
           };
         });
         setRows(ing);
-        Alert.alert("Loaded", `Recipe "${data.batch_id || data.id}" loaded.`);
+
+        // the prices it was costed with vs the history for that date now
+        const changed = priceChanges(data.items || [], pricedCatalog(catalogRows, prices, date));
+        Alert.alert(
+          "Loaded",
+          `Recipe "${data.batch_id || data.id}" loaded.` +
+            (changed.length
+              ? `\n\nPrices for ${date} changed since it was saved:\n` +
+                changed.map((c) => `${c.name}: ${team.money(c.was)} → ${c.now != null ? team.money(c.now) : "no price"}`).join("\n")
+              : "")
+        );
       } catch (e) {
         Alert.alert("Load error", e.message ?? String(e));
       }
     },
-    [fromGrams]
+    [fromGrams, catalogRows, prices, team]
   );
 
   useFocusEffect(
@@ -278,11 +484,28 @@ export default function MixDirectScreen() {
     }, [route.params?.loadRecipeId, loadRecipeById, navigation])
   );
 
+  // Recipe converted in the Stock tab
+  useFocusEffect(
+    useCallback(() => {
+      const m = route.params?.importMix;
+      if (!m) return;
+      const mode = m.doseMode || "total";
+      setVolumeL(String(m.volumeL));
+      setDoseMode(mode);
+      setWater(m.waterId ? { id: m.waterId } : null);
+      if (m.batchId) setBatchId(m.batchId);
+      if (m.priceDate) setPriceDate(m.priceDate);
+      if (m.notes !== undefined) setNotes(m.notes);
+      setRows(rowsFrom(m.items || [], mode));
+      navigation.setParams({ importMix: undefined });
+    }, [route.params?.importMix, navigation])
+  );
+
   // Print work order
   const onPrint = () => {
     const r0 = (x) => (Number.isFinite(x) ? Math.round(x) : 0);
-    const f2 = (x) => (Number.isFinite(x) ? x.toFixed(2) : "0.00");
-    const micro = (x) => (Number.isFinite(x) ? x.toFixed(2) : "0.00");
+    const f2 = (x) => team.number(x, 2);
+    const cur = (x) => team.number(x, team.dp);
     const unitLabel =
       doseMode === "total"
         ? weightUnit === "g"
@@ -303,40 +526,89 @@ th,td{border:1px solid #ddd;padding:8px;text-align:left}th{background:#f7f7f7}
 <h1>Work Order — Direct Mix</h1>
 <table>
   <tr><th style="width:160px">Batch ID</th><td>${batchId}</td></tr>
+  <tr><th>Batch date</th><td>${costDate} (prices in force on this day)</td></tr>
   <tr><th>Volume</th><td><b>${vol}</b> L</td></tr>
   <tr><th>Dose mode</th><td><b>${doseMode === "total" ? "Total in tank" : "per L"}</b> (${unitLabel})</td></tr>
   <tr><th>EC (est.)</th><td><b>${f2(ecEstimate)}</b> mS/cm · scale ${f2(Number(ecScale) || 1)}</td></tr>
+  <tr><th>Ion balance</th><td>cations ${f2(results.balance.cationMeq)} / anions ${f2(results.balance.anionMeq)} meq/L (${f2(results.balance.imbalancePct)}%)</td></tr>
+  ${acidDose ? `<tr><th>Acid dosing</th><td>${acidFert.name}: <b>${r0(acidDose.mlPer1000L)}</b> mL per 1000 L (HCO₃ ${r0(hco3In)} → ${r0(num(acidTarget))} mg/L)</td></tr>` : ""}
   ${num(ecTarget) ? `<tr><th>EC target</th><td>${f2(num(ecTarget))} mS/cm (Δ ${(num(ecTarget) - ecEstimate).toFixed(2)})</td></tr>` : ""}
   ${num(ecMeasured) ? `<tr><th>EC measured</th><td>${f2(num(ecMeasured))} mS/cm</td></tr>` : ""}
   ${notes ? `<tr><th>Notes</th><td>${notes}</td></tr>` : ""}
 </table>
 
 <h2>Ingredients</h2>
-<table><thead><tr><th>#</th><th>Fertilizer</th><th>Input (${unitLabel})</th><th>Cost (RM)</th></tr></thead><tbody>
+<table><thead><tr><th>#</th><th>Fertilizer</th><th>Input</th><th>Cost (${team.symbol})</th></tr></thead><tbody>
 ${rows
   .map((r, i) => {
     const f = getFert(r.fertId);
     if (!f) return "";
-    const price = Number(f.price_per_bag) || 0;
-    const bagKg = Number(f.bag_size_kg) || 0;
-    const totalG = doseMode === "total" ? toGrams(r.gTotal) : toGrams(r.gPerL) * vol;
-    const cost = price > 0 && bagKg > 0 ? totalG * (price / (bagKg * 1000)) : 0;
+    const totalG = doseMode === "total" ? rowGrams(f, r.gTotal) : rowGrams(f, r.gPerL) * vol;
+    const cost = costOf(f, totalG);
     const shown = doseMode === "total" ? r.gTotal || "0" : r.gPerL || "0";
-    const extra = doseMode === "perL" ? ` × ${vol} L = ${Math.round(totalG)} g` : "";
-    return `<tr><td>${i + 1}</td><td>${f.name}</td><td>${shown} ${unitLabel}${extra}</td><td>${f2(cost)}</td></tr>`;
+    const extra =
+      doseMode === "perL"
+        ? ` × ${vol} L = ${isLiquid(f) ? `${Math.round(gramsToMl(f, totalG))} mL` : `${Math.round(totalG)} g`}`
+        : "";
+    return `<tr><td>${i + 1}</td><td>${f.name}${rowWarnings[f.id] ? " ⚠" : ""}</td><td>${shown} ${unitText(f)}${extra}</td><td>${cur(cost)}</td></tr>`;
   })
   .join("")}
-<tr><td colspan="3"><b>Total cost (RM)</b></td><td><b>${f2(results.costRM)}</b></td></tr>
+<tr><td colspan="3"><b>Total cost (${team.symbol})</b></td><td><b>${cur(results.cost)}</b></td></tr>
+</tbody></table>
+
+<h2>Cost breakdown</h2>
+<table>
+  <tr><th style="width:160px">Per 1000 L at dripper</th><td><b>${team.money(costs.per1000L)}</b> (${r0(costs.dripperL)} L from this batch)</td></tr>
+  ${costs.perPlantDay != null ? `<tr><th>Per plant per day</th><td>${team.money(costs.perPlantDay, 2)} at ${num(irrigL)} L/plant/day</td></tr>` : ""}
+  ${costs.perDay != null ? `<tr><th>Per day</th><td>${team.money(costs.perDay)} for ${num(plants)} plants · batch lasts ${team.number(costs.batchDays, 1)} days</td></tr>` : ""}
+  ${costs.perHaWeek != null ? `<tr><th>Per ha per week</th><td><b>${team.money(costs.perHaWeek)}</b> over ${num(areaHa)} ha</td></tr>` : ""}
+</table>
+${costs.drivers.length ? `<table><thead><tr><th>#</th><th>Cost driver</th><th>${team.symbol} / 1000 L</th><th>Share</th></tr></thead><tbody>
+${costs.drivers.map((d, i) => `<tr><td>${i + 1}</td><td>${d.name}</td><td>${cur(d.per1000L)}</td><td>${team.number(d.share, 1)}%</td></tr>`).join("")}
+</tbody></table>` : ""}
+
+${warnings.length ? `<h2>Compatibility warnings</h2>
+<table><thead><tr><th style="width:90px">Level</th><th>Warning</th></tr></thead><tbody>
+${warnings.map((w) => `<tr><td style="color:${WARN_COLOR[w.level]}"><b>${w.level}</b></td><td><b>${w.title}</b> — ${w.message}</td></tr>`).join("")}
+</tbody></table>` : ""}
+
+${water ? `<h2>Fertilizer vs raw water — ${water.name || ""} (${UNIT_LABEL[units.unit]})</h2>
+<table><thead><tr><th>Nutrient</th><th>Fertilizer</th><th>Raw water</th><th>Total</th></tr></thead><tbody>
+${["N", "P2O5", "K2O", "Ca", "Mg", "S", "Na", "Cl", "HCO3"].map((k) =>
+  `<tr><td>${nutrientName(k, units)}</td><td>${shown(k, results.fertPpm[k])}</td><td>${shown(k, results.waterPpm[k])}</td><td><b>${shown(k, results.ppm[k])}</b>${ACCUMULATING_LIMITS[k] && results.ppm[k] > ACCUMULATING_LIMITS[k] ? " ⚠" : ""}</td></tr>`).join("")}
+</tbody></table>` : ""}
+
+<h2>Nutrient ratios</h2>
+<table><thead><tr><th>Ratio</th><th>Mass</th><th>meq</th><th>Target</th><th>Status</th></tr></thead><tbody>
+${[
+  ["N : K₂O", f2(ratios.N_K2O), `N : K ${f2(ratios.N_K_meq)}`, ["N_K2O"]],
+  ["K : Ca", f2(ratios.K_Ca_mass), f2(ratios.K_Ca), ["K_Ca"]],
+  ["K : Ca : Mg", ratioText([ratios.mass.K, ratios.mass.Ca, ratios.mass.Mg]),
+    `${ratioText([ratios.meq.K, ratios.meq.Ca, ratios.meq.Mg])} (${r0(ratios.shares.K)} / ${r0(ratios.shares.Ca)} / ${r0(ratios.shares.Mg)} %)`,
+    ["K_share", "Ca_share", "Mg_share"]],
+].map(([label, mass, meq, keys]) => {
+  const ds = keys.map((k) => ratioDev[k]).filter(Boolean);
+  const target = ds.map((d) => `${d.min == null ? "…" : f2(d.min)}–${d.max == null ? "…" : f2(d.max)}`).join(" / ");
+  const bad = ds.find((d) => d.level === "danger") || ds.find((d) => d.level === "caution");
+  const status = ds.length ? (bad ? `<span style="color:${DEV_COLOR[bad.level]}"><b>${bad.dir}</b></span>` : `<span style="color:${DEV_COLOR.ok}">ok</span>`) : "";
+  return `<tr><td>${label}</td><td>${mass}</td><td>${meq}</td><td>${target || "—"}</td><td>${status}</td></tr>`;
+}).join("")}
 </tbody></table>
 
-<h2>Totals at dripper (ppm)</h2>
-<table><thead><tr><th>Target</th><th>ppm</th><th>Target</th><th>ppm</th></tr></thead><tbody>
-<tr><td>N</td><td>${r0(results.ppm.N)}</td><td>P₂O₅</td><td>${r0(results.ppm.P2O5)}</td></tr>
-<tr><td>K₂O</td><td>${r0(results.ppm.K2O)}</td><td>Ca</td><td>${r0(results.ppm.Ca)}</td></tr>
-<tr><td>Mg (elemental)</td><td>${r0(results.ppm.Mg)}</td><td>S</td><td>${r0(results.ppm.S)}</td></tr>
-<tr><td>Fe</td><td>${micro(results.ppm.Fe)}</td><td>Mn</td><td>${micro(results.ppm.Mn)}</td></tr>
-<tr><td>Zn</td><td>${micro(results.ppm.Zn)}</td><td>Cu</td><td>${micro(results.ppm.Cu)}</td></tr>
-<tr><td>B</td><td>${micro(results.ppm.B)}</td><td>Mo</td><td>${micro(results.ppm.Mo)}</td></tr>
+${profile ? `<h2>Target vs actual — ${profile.name}</h2>
+<table><thead><tr><th>Nutrient</th><th>Min</th><th>Opt</th><th>Max</th><th>Actual</th><th>vs opt</th><th>Status</th></tr></thead><tbody>
+${Object.entries(dev).map(([k, d]) => {
+  const fmt = (x) => (x == null ? "—" : k === "EC" ? f2(x) : shown(k, x));
+  return `<tr><td>${k === "EC" ? NUTRIENT_LABEL.EC : nutrientName(k, units)}</td><td>${fmt(d.min)}</td><td>${fmt(d.opt)}</td><td>${fmt(d.max)}</td><td><b>${fmt(d.actual)}</b></td><td>${d.pct >= 0 ? "+" : ""}${d.pct.toFixed(0)}%</td><td style="color:${DEV_COLOR[d.level]}"><b>${d.dir || "ok"}</b></td></tr>`;
+}).join("")}
+</tbody></table>` : ""}
+
+<h2>Totals at dripper (${UNIT_LABEL[units.unit]})${water ? " — incl. raw water" : ""}</h2>
+<table><thead><tr><th>Nutrient</th><th>${UNIT_LABEL[units.unit]}</th><th>Nutrient</th><th>${UNIT_LABEL[units.unit]}</th></tr></thead><tbody>
+${[["N", "P2O5"], ["K2O", "Ca"], ["Mg", "S"]].map((pair) => `<tr>${pair.map((k) => `<td>${nutrientName(k, units)}</td><td>${shown(k, results.ppm[k])}</td>`).join("")}</tr>`).join("")}
+<tr><td>NO₃-N</td><td>${shown("NO3", nf.NO3)}</td><td>NH₄-N</td><td>${shown("NH4", nf.NH4)}</td></tr>
+<tr><td>Urea-N</td><td>${shown("Urea", nf.Urea)}</td><td>NH₄ share of N</td><td>${(nf.nh4Share * 100).toFixed(1)}%${nf.unspecified > 0.5 ? ` (${r0(nf.unspecified)} ppm N of unknown form)` : ""}</td></tr>
+${[["Fe", "Mn"], ["Zn", "Cu"], ["B", "Mo"]].map((pair) => `<tr>${pair.map((k) => `<td>${k}${units.unit === "ppm" ? "" : " (µmol/L)"}</td><td>${shown(k, results.ppm[k])}</td>`).join("")}</tr>`).join("")}
 </tbody></table>
 <script>window.print();</script>
 </body></html>`;
@@ -355,6 +627,8 @@ ${rows
         <Text style={styles.section}>Job details</Text>
         <View style={{ marginTop: 8, gap: 8 }}>
           <L label="Batch ID" v={batchId} onChangeText={setBatchId} />
+          <L label="Batch date (YYYY-MM-DD)" v={priceDate} onChangeText={setPriceDate} placeholder={today()} />
+          {!isDate(priceDate) && <Text style={{ color: "#c00", fontSize: 12 }}>Not a date — costing with today's prices.</Text>}
           <L label="Notes" v={notes} onChangeText={setNotes} multiline numberOfLines={3} />
         </View>
       </View>
@@ -375,6 +649,165 @@ ${rows
         </View>
       </View>
 
+      {/* Raw water */}
+      <View style={styles.card}>
+        <Text style={styles.section}>Raw water</Text>
+        <WaterSourcePicker value={water?.id ?? null} onChange={setWater} />
+        <Text style={{ color: "#666", fontSize: 12, marginTop: 6 }}>
+          The selected analysis is added to the dripper totals. Long-press a source to edit it.
+        </Text>
+      </View>
+
+      {/* Target profile */}
+      <View style={styles.card}>
+        <Text style={styles.section}>Target profile</Text>
+        <TargetProfilePicker value={profile?.id ?? null} onChange={setProfile} />
+        <Text style={{ color: "#666", fontSize: 12, marginTop: 6 }}>
+          Totals are coloured against the profile: green in range, amber just outside, red far off.
+        </Text>
+      </View>
+
+      {/* Acid dosing */}
+      <View style={styles.card}>
+        <Text style={styles.section}>Acid dosing</Text>
+        {acids.length === 0 ? (
+          <Text style={{ color: "#666", marginTop: 6 }}>
+            No acids in the catalog. Add one in the Fertilizers tab with type "Acid".
+          </Text>
+        ) : (
+          <>
+            <View style={[styles.segment, { flexWrap: "wrap" }]}>
+              {acids.map((f) => (
+                <Seg key={f.id} active={acidId === f.id} onPress={() => setAcidId(f.id)} label={f.name} />
+              ))}
+            </View>
+            <View style={{ flexDirection: "row", gap: 8, marginTop: 8 }}>
+              <View style={{ flex: 1 }}>
+                <L
+                  label="HCO₃ in water (mg/L)"
+                  v={acidHco3}
+                  onChangeText={setAcidHco3}
+                  keyboardType="decimal-pad"
+                  placeholder={water ? String(num(water.analysis?.HCO3)) : "0"}
+                />
+              </View>
+              <View style={{ flex: 1 }}>
+                <L label="Target residual HCO₃ (mg/L)" v={acidTarget} onChangeText={setAcidTarget} keyboardType="decimal-pad" />
+              </View>
+            </View>
+            {!!acidDose && (
+              <>
+                <View style={styles.grid}>
+                  <Box label="mL per 1000 L" value={acidDose.mlPer1000L} dp={0} />
+                  <Box label={`mL in this tank (${vol} L)`} value={acidDose.mlPerL * vol} dp={0} />
+                  <Box label={`Adds ${NUTRIENT_LABEL[ACIDS[acidFert.acid_type].nutrient] || ACIDS[acidFert.acid_type].nutrient} (ppm)`} value={acidAdds} dp={0} />
+                </View>
+                <View style={{ flexDirection: "row", marginTop: 10 }}>
+                  <Pressable onPress={applyAcidDose} style={[styles.pillBtn, { backgroundColor: "#222" }]}>
+                    <Text style={{ color: "#fff", fontWeight: "700" }}>Use as ingredient</Text>
+                  </Pressable>
+                </View>
+              </>
+            )}
+            <Text style={{ color: "#666", fontSize: 12, marginTop: 6 }}>
+              Blank HCO₃ uses the selected raw water. Acid rows count toward the totals below and lower HCO₃.
+            </Text>
+          </>
+        )}
+      </View>
+
+      {/* Target solver */}
+      <View style={styles.card}>
+        <View style={{ flexDirection: "row", justifyContent: "space-between", alignItems: "center" }}>
+          <Text style={styles.section}>Target solver</Text>
+          <Pressable onPress={() => setSolverOpen((v) => !v)} style={styles.addBtn}>
+            <Ionicons name={solverOpen ? "chevron-up" : "calculator-outline"} size={18} color="#fff" />
+            <Text style={styles.addText}>{solverOpen ? "Hide" : "Targets"}</Text>
+          </Pressable>
+        </View>
+
+        {solverOpen && (
+          <>
+            <Text style={[styles.smallLabel, { marginTop: 10 }]}>Target ppm at dripper (blank = ignore)</Text>
+            <View style={styles.grid}>
+              {SOLVER_NUTRIENTS.map((k) => (
+                <View key={k} style={{ width: "31%", minWidth: 90 }}>
+                  <L
+                    label={NUTRIENT_LABEL[k] || k}
+                    v={targets[k] ?? ""}
+                    onChangeText={(t) => setTargets((p) => ({ ...p, [k]: t }))}
+                    keyboardType="decimal-pad"
+                    placeholder="—"
+                  />
+                </View>
+              ))}
+            </View>
+
+            <View style={{ flexDirection: "row", justifyContent: "space-between", alignItems: "center", marginTop: 12 }}>
+              <Text style={styles.smallLabel}>Allowed fertilizers</Text>
+              <Pressable onPress={allowRowFerts} style={[styles.pillBtn, { backgroundColor: "#eee" }]}>
+                <Text>Use ingredient rows</Text>
+              </Pressable>
+            </View>
+            <ScrollView style={{ maxHeight: 220 }} nestedScrollEnabled>
+              {ferts.map((f) => (
+                <Pressable key={f.id} onPress={() => toggleAllowed(f.id)} style={styles.pickRow}>
+                  <Ionicons name={allowed[f.id] ? "checkbox" : "square-outline"} size={18} style={{ marginRight: 8 }} />
+                  <Text style={{ flex: 1 }} numberOfLines={1}>{f.name}</Text>
+                </Pressable>
+              ))}
+            </ScrollView>
+
+            <View style={{ marginTop: 10 }}>
+              <L
+                label="Cost weight (0 = ignore cost)"
+                v={costWeight}
+                onChangeText={setCostWeight}
+                keyboardType="decimal-pad"
+              />
+            </View>
+
+            <View style={{ flexDirection: "row", gap: 10, marginTop: 10 }}>
+              <Pressable onPress={runSolver} style={[styles.pillBtn, { backgroundColor: "#222" }]}>
+                <Text style={{ color: "#fff", fontWeight: "700" }}>Solve</Text>
+              </Pressable>
+              {!!solved && solved.doses.length > 0 && (
+                <Pressable onPress={applySolution} style={[styles.pillBtn, { backgroundColor: "#2e7d32" }]}>
+                  <Text style={{ color: "#fff", fontWeight: "700" }}>Use as ingredients</Text>
+                </Pressable>
+              )}
+            </View>
+
+            {!!solved && (
+              <>
+                <Text style={[styles.smallLabel, { marginTop: 12 }]}>Solution (g/L at dripper)</Text>
+                {solved.doses.length === 0 && (
+                  <Text style={{ color: "#666" }}>The allowed fertilizers don't supply any of the targeted nutrients.</Text>
+                )}
+                {solved.doses.map((d) => (
+                  <Text key={d.fertId} style={{ color: "#333" }}>
+                    {d.name}: <Text style={{ fontWeight: "700" }}>{d.gPerL.toFixed(3)}</Text> g/L ·{" "}
+                    {rowValue(getFert(d.fertId), d.gPerL * vol).toFixed(weightUnit === "g" ? 0 : 3)}{" "}
+                    {isLiquid(getFert(d.fertId)) ? (weightUnit === "g" ? "mL" : "L") : weightUnit} in {vol} L
+                  </Text>
+                ))}
+                <Text style={[styles.smallLabel, { marginTop: 12 }]}>Residual per nutrient</Text>
+                <View style={styles.grid}>
+                  {Object.entries(solved.residual).map(([k, res]) => (
+                    <Box
+                      key={k}
+                      label={`${NUTRIENT_LABEL[k] || k} · target ${res.target} (${res.diff >= 0 ? "+" : ""}${res.pct.toFixed(1)}%)`}
+                      value={res.actual}
+                      dp={MICRO_KEYS.has(k) ? 2 : 0}
+                    />
+                  ))}
+                </View>
+              </>
+            )}
+          </>
+        )}
+      </View>
+
       {/* Ingredients */}
       <View style={styles.card}>
         <View style={{ flexDirection: "row", justifyContent: "space-between", alignItems: "center" }}>
@@ -393,8 +826,9 @@ ${rows
 
         {rows.map((r, idx) => {
           const f = getFert(r.fertId);
-          const fieldLabel =
-            doseMode === "total"
+          const fieldLabel = isLiquid(f)
+            ? unitText(f)
+            : doseMode === "total"
               ? weightUnit === "g"
                 ? "Grams (total)"
                 : "Kilograms (total)"
@@ -402,76 +836,266 @@ ${rows
               ? "g/L"
               : "kg/L";
           const fieldValue = doseMode === "total" ? r.gTotal : r.gPerL;
+          const rw = (f && rowWarnings[f.id]) || [];
 
           return (
-            <View key={r.key} style={styles.rowCard}>
-              <View style={{ flex: 1 }}>
-                <Text style={styles.smallLabel}>Fertilizer</Text>
-                <Pressable
-                  onPress={() => openPicker(idx)}
-                  style={[styles.input, { minHeight: 44, justifyContent: "center" }]}
-                >
-                  <Text numberOfLines={2}>{f ? f.name : "Select a fertilizer…"}</Text>
+            <View key={r.key}>
+              <View style={[styles.rowCard, rw.length > 0 && { borderColor: WARN_COLOR[worst(rw)] }]}>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.smallLabel}>Fertilizer</Text>
+                  <Pressable
+                    onPress={() => openPicker(idx)}
+                    style={[styles.input, { minHeight: 44, justifyContent: "center" }]}
+                  >
+                    <Text numberOfLines={2}>{f ? f.name : "Select a fertilizer…"}</Text>
+                  </Pressable>
+                </View>
+                <View style={{ width: 10 }} />
+                <View style={{ width: 170 }}>
+                  <Text style={styles.smallLabel}>{fieldLabel}</Text>
+                  <TextInput
+                    value={fieldValue}
+                    onChangeText={(t) =>
+                      setRows((p) =>
+                        p.map((row, i) =>
+                          i === idx ? (doseMode === "total" ? { ...row, gTotal: t } : { ...row, gPerL: t }) : row
+                        )
+                      )
+                    }
+                    keyboardType="decimal-pad"
+                    placeholder="0"
+                    style={styles.input}
+                  />
+                </View>
+                <Pressable onPress={() => removeRow(r.key)} style={styles.trashBtn}>
+                  <Ionicons name="trash-outline" size={18} color="#c00" />
                 </Pressable>
               </View>
-              <View style={{ width: 10 }} />
-              <View style={{ width: 170 }}>
-                <Text style={styles.smallLabel}>{fieldLabel}</Text>
-                <TextInput
-                  value={fieldValue}
-                  onChangeText={(t) =>
-                    setRows((p) =>
-                      p.map((row, i) =>
-                        i === idx ? (doseMode === "total" ? { ...row, gTotal: t } : { ...row, gPerL: t }) : row
-                      )
-                    )
-                  }
+              {rw.map((w) => (
+                <Warn key={w.rule + (w.tank || "")} w={w} />
+              ))}
+            </View>
+          );
+        })}
+      </View>
+
+      {/* Convert / scale */}
+      <View style={styles.card}>
+        <View style={{ flexDirection: "row", justifyContent: "space-between", alignItems: "center" }}>
+          <Text style={styles.section}>Convert / scale</Text>
+          <Pressable onPress={() => setConvOpen((v) => !v)} style={styles.addBtn}>
+            <Ionicons name={convOpen ? "chevron-up" : "swap-horizontal"} size={18} color="#fff" />
+            <Text style={styles.addText}>{convOpen ? "Hide" : "Convert"}</Text>
+          </Pressable>
+        </View>
+
+        {convOpen && (
+          <>
+            <View style={styles.segment}>
+              <Seg active={convTo === "direct"} onPress={() => setConvTo("direct")} label="Direct, new volume" />
+              <Seg active={convTo === "stock"} onPress={() => setConvTo("stock")} label="Stock recipe" />
+            </View>
+            <View style={{ flexDirection: "row", gap: 8, marginTop: 8 }}>
+              <View style={{ flex: 1 }}>
+                <L
+                  label={convTo === "stock" ? "Stock volume (L)" : "New volume (L)"}
+                  v={convVol}
+                  onChangeText={setConvVol}
                   keyboardType="decimal-pad"
-                  placeholder="0"
-                  style={styles.input}
+                  placeholder={String(vol)}
                 />
               </View>
-              <Pressable onPress={() => removeRow(r.key)} style={styles.trashBtn}>
-                <Ionicons name="trash-outline" size={18} color="#c00" />
-              </Pressable>
+              {convTo === "stock" && (
+                <View style={{ flex: 1 }}>
+                  <L label="Injector ratio (1:x)" v={convRatio} onChangeText={setConvRatio} keyboardType="decimal-pad" />
+                </View>
+              )}
             </View>
-          );
-        })}
+
+            {num(convVol) > 0 && conv.lines.length > 0 && (
+              <>
+                <View style={[styles.convRow, { marginTop: 10 }]}>
+                  <Text style={[styles.smallLabel, { flex: 1 }]}>Fertilizer</Text>
+                  <Text style={[styles.smallLabel, styles.convCell]}>Now ({vol} L)</Text>
+                  <Text style={[styles.smallLabel, styles.convCell]}>
+                    After ({num(convVol)} L{convTo === "stock" ? ` @ 1:${num(convRatio)}` : ""})
+                  </Text>
+                </View>
+                {conv.lines.map((l, i) => {
+                  const f = getFert(l.fertId);
+                  return (
+                    <View key={i} style={styles.convRow}>
+                      <Text style={{ flex: 1 }} numberOfLines={1}>{f.name}</Text>
+                      <Text style={styles.convCell}>{amountText(f, l.before)}</Text>
+                      <Text style={[styles.convCell, { fontWeight: "700" }]}>{amountText(f, l.after)}</Text>
+                    </View>
+                  );
+                })}
+                <Text style={{ color: "#666", fontSize: 12, marginTop: 6 }}>
+                  Totals weighed out; dripper ppm stays the same.
+                </Text>
+                <View style={{ flexDirection: "row", marginTop: 10 }}>
+                  <Pressable onPress={applyConversion} style={[styles.pillBtn, { backgroundColor: "#222" }]}>
+                    <Text style={{ color: "#fff", fontWeight: "700" }}>
+                      {convTo === "stock" ? "Open in Stock tab" : "Apply to this mix"}
+                    </Text>
+                  </Pressable>
+                </View>
+              </>
+            )}
+          </>
+        )}
+      </View>
+
+      {/* Practical rounding */}
+      <View style={styles.card}>
+        <View style={{ flexDirection: "row", justifyContent: "space-between", alignItems: "center" }}>
+          <Text style={styles.section}>Round to bags</Text>
+          <Pressable onPress={() => setRoundOpen((v) => !v)} style={styles.addBtn}>
+            <Ionicons name={roundOpen ? "chevron-up" : "cube-outline"} size={18} color="#fff" />
+            <Text style={styles.addText}>{roundOpen ? "Hide" : "Round"}</Text>
+          </Pressable>
+        </View>
+
+        {roundOpen && (
+          <>
+            <View style={styles.segment}>
+              <Seg active={roundMode === "bag"} onPress={() => setRoundMode("bag")} label="Whole bags" />
+              <Seg active={roundMode === "half"} onPress={() => setRoundMode("half")} label="Half bags" />
+              <Seg active={roundMode === "step"} onPress={() => setRoundMode("step")} label="Increment" />
+            </View>
+            {roundMode === "step" && (
+              <View style={{ marginTop: 8 }}>
+                <L
+                  label={`Increment (${weightUnit}; ${weightUnit === "g" ? "mL" : "L"} for liquids)`}
+                  v={roundStep}
+                  onChangeText={setRoundStep}
+                  keyboardType="decimal-pad"
+                  placeholder={weightUnit === "g" ? "500" : "0.5"}
+                />
+              </View>
+            )}
+
+            {!!plan && plan.lines.length > 0 && (
+              <>
+                <View style={[styles.convRow, { marginTop: 10 }]}>
+                  <Text style={[styles.smallLabel, { flex: 1 }]}>Fertilizer</Text>
+                  <Text style={[styles.smallLabel, styles.convCell]}>Now ({vol} L)</Text>
+                  <Text style={[styles.smallLabel, styles.convCell]}>Rounded ({plan.volumeL} L)</Text>
+                </View>
+                {plan.lines.map((l, i) => {
+                  const f = getFert(l.fertId);
+                  return (
+                    <View key={i} style={styles.convRow}>
+                      <Text style={{ flex: 1 }} numberOfLines={1}>
+                        {f.name}
+                        <Text style={{ color: "#888", fontSize: 12 }}>
+                          {l.kept ? ` · ${l.kept}, kept` : l.fixed ? (roundMode === "step" ? "" : " · no pack size") : ` · ${l.units} × ${ROUND_UNIT[roundMode]}`}
+                        </Text>
+                      </Text>
+                      <Text style={styles.convCell}>{amountText(f, l.before)}</Text>
+                      <Text style={[styles.convCell, { fontWeight: "700" }]}>{amountText(f, l.after)}</Text>
+                    </View>
+                  );
+                })}
+
+                <View style={[styles.convRow, { marginTop: 10 }]}>
+                  <Text style={[styles.smallLabel, { flex: 1 }]}>ppm drift</Text>
+                  <Text style={[styles.smallLabel, styles.convCell]}>Now</Text>
+                  <Text style={[styles.smallLabel, styles.convCell]}>Rounded</Text>
+                </View>
+                {Object.entries(plan.drift).map(([k, pct]) => (
+                  <View key={k} style={styles.convRow}>
+                    <Text style={{ flex: 1 }}>{NUTRIENT_LABEL[k] || k}</Text>
+                    <Text style={styles.convCell}>{team.number(plan.ppmBefore[k], dpOf(k))}</Text>
+                    <Text style={[styles.convCell, { fontWeight: "700" }, Math.abs(pct) > 5 && { color: WARN_COLOR.caution }]}>
+                      {team.number(plan.ppmAfter[k], dpOf(k))} ({pct >= 0 ? "+" : ""}{team.number(pct, 1)}%)
+                    </Text>
+                  </View>
+                ))}
+                <Text style={{ color: "#666", fontSize: 12, marginTop: 6 }}>
+                  Tank volume refitted so the rounded amounts stay close to the current ppm.
+                </Text>
+                <View style={{ flexDirection: "row", marginTop: 10 }}>
+                  <Pressable onPress={applyRounding} style={[styles.pillBtn, { backgroundColor: "#222" }]}>
+                    <Text style={{ color: "#fff", fontWeight: "700" }}>Apply to this mix</Text>
+                  </Pressable>
+                </View>
+              </>
+            )}
+          </>
+        )}
       </View>
 
       {/* Totals */}
       <View style={styles.card}>
-        <Text style={styles.section}>Totals at dripper (ppm)</Text>
+        <Text style={styles.section}>Totals at dripper ({UNIT_LABEL[units.unit]})</Text>
+        <UnitPicker units={units} onChange={setUnits} />
         {loading ? (
           <ActivityIndicator />
         ) : (
           <>
             <View style={styles.grid}>
-              <Box label="N" value={results.ppm.N} dp={0} />
-              <Box label="P₂O₅" value={results.ppm.P2O5} dp={0} />
-              <Box label="K₂O" value={results.ppm.K2O} dp={0} />
-              <Box label="Ca" value={results.ppm.Ca} dp={0} />
-              <Box label="Mg (elemental)" value={results.ppm.Mg} dp={0} />
-              <Box label="S" value={results.ppm.S} dp={0} />
+              <Box {...uBox("N")} sub={waterSub("N")} />
+              <Box {...uBox("P2O5")} sub={waterSub("P2O5")} />
+              <Box {...uBox("K2O")} sub={waterSub("K2O")} />
+              <Box {...uBox("Ca")} sub={waterSub("Ca")} />
+              <Box {...uBox("Mg")} sub={waterSub("Mg")} />
+              <Box {...uBox("S")} sub={waterSub("S")} />
+            </View>
+
+            {!!water && (
+              <>
+                <Text style={[styles.section, { marginTop: 12 }]}>Accumulating ions ({UNIT_LABEL[units.unit]}, from water)</Text>
+                <View style={styles.grid}>
+                  <Box {...uBox("Na")} warn={results.ppm.Na > ACCUMULATING_LIMITS.Na} />
+                  <Box {...uBox("Cl")} warn={results.ppm.Cl > ACCUMULATING_LIMITS.Cl} />
+                  <Box {...uBox("HCO3")} />
+                </View>
+              </>
+            )}
+
+            <Text style={[styles.section, { marginTop: 12 }]}>Nitrogen forms ({UNIT_LABEL[units.unit]} N)</Text>
+            <View style={styles.grid}>
+              <Box {...uBox("NO3", nf.NO3)} />
+              <Box {...uBox("NH4", nf.NH4)} />
+              <Box {...uBox("Urea", nf.Urea)} />
+              <Box label="NH₄ share of N (%)" value={nf.nh4Share * 100} dp={1} />
+              {nf.unspecified > 0.5 && <Box {...uBox("N", nf.unspecified)} label="N, form unknown" dev={null} />}
+            </View>
+
+            <Text style={[styles.section, { marginTop: 12 }]}>Ratios</Text>
+            <View style={styles.grid}>
+              <Box label="N : K₂O (mass)" value={ratios.N_K2O} dp={2} sub={`N : K ${ratios.N_K_meq.toFixed(2)} meq`} dev={ratioDev.N_K2O} />
+              <Box label="K : Ca (meq)" value={ratios.K_Ca} dp={2} sub={`mass ${ratios.K_Ca_mass.toFixed(2)}`} dev={ratioDev.K_Ca} />
+              <Box label="K share (% meq)" value={ratios.shares.K} dp={0} dev={ratioDev.K_share} />
+              <Box label="Ca share (% meq)" value={ratios.shares.Ca} dp={0} dev={ratioDev.Ca_share} />
+              <Box label="Mg share (% meq)" value={ratios.shares.Mg} dp={0} dev={ratioDev.Mg_share} />
             </View>
+            <Text style={{ color: "#666", fontSize: 12, marginTop: 6 }}>
+              K : Ca : Mg — mass {ratioText([ratios.mass.K, ratios.mass.Ca, ratios.mass.Mg])} · meq{" "}
+              {ratioText([ratios.meq.K, ratios.meq.Ca, ratios.meq.Mg])}
+            </Text>
 
-            <Text style={[styles.section, { marginTop: 12 }]}>Micros (ppm)</Text>
+            <Text style={[styles.section, { marginTop: 12 }]}>Micros ({units.unit === "ppm" ? "ppm" : "µmol/L"})</Text>
             <View style={styles.grid}>
-              <Box label="Fe" value={results.ppm.Fe} dp={2} />
-              <Box label="Mn" value={results.ppm.Mn} dp={2} />
-              <Box label="Zn" value={results.ppm.Zn} dp={2} />
-              <Box label="Cu" value={results.ppm.Cu} dp={2} />
-              <Box label="B" value={results.ppm.B} dp={2} />
-              <Box label="Mo" value={results.ppm.Mo} dp={2} />
-              <Box label="Total cost (RM)" value={results.costRM} dp={2} />
+              <Box {...uBox("Fe")} />
+              <Box {...uBox("Mn")} />
+              <Box {...uBox("Zn")} />
+              <Box {...uBox("Cu")} />
+              <Box {...uBox("B")} />
+              <Box {...uBox("Mo")} />
             </View>
 
             <Text style={[styles.section, { marginTop: 12 }]}>EC</Text>
             <View style={styles.grid}>
-              <Box label="EC est. (mS/cm)" value={ecEstimate} dp={2} />
+              <Box label="EC est. (mS/cm)" value={ecEstimate} dp={2} dev={dev.EC} />
+              <Box label="Cations (meq/L)" value={results.balance.cationMeq} dp={1} />
+              <Box label="Anions (meq/L)" value={results.balance.anionMeq} dp={1} />
+              <Box label="Ion balance (%)" value={results.balance.imbalancePct} dp={1} warn={Math.abs(results.balance.imbalancePct) > 10} />
             </View>
             <View style={{ marginTop: 8, gap: 8 }}>
-              <L label="EC scale (multiplier)" v={ecScale} onChangeText={setEcScale} keyboardType="decimal-pad" />
+              <L label="EC scale (calibration multiplier)" v={ecScale} onChangeText={setEcScale} keyboardType="decimal-pad" />
               <L label="Target EC (mS/cm) — optional" v={ecTarget} onChangeText={setEcTarget} keyboardType="decimal-pad" />
               <L label="Measured EC (mS/cm) — optional" v={ecMeasured} onChangeText={setEcMeasured} keyboardType="decimal-pad" />
               {!!num(ecTarget) && (
@@ -484,12 +1108,61 @@ ${rows
         )}
       </View>
 
+      {/* Cost */}
+      <View style={styles.card}>
+        <Text style={styles.section}>Cost</Text>
+        <View style={{ flexDirection: "row", gap: 8, marginTop: 8 }}>
+          <View style={{ flex: 1 }}>
+            <L label="L / plant / day" v={irrigL} onChangeText={setIrrigL} keyboardType="decimal-pad" placeholder="—" />
+          </View>
+          <View style={{ flex: 1 }}>
+            <L label="Plants" v={plants} onChangeText={setPlants} keyboardType="number-pad" placeholder="—" />
+          </View>
+          <View style={{ flex: 1 }}>
+            <L label="Area (ha)" v={areaHa} onChangeText={setAreaHa} keyboardType="decimal-pad" placeholder="—" />
+          </View>
+        </View>
+        <View style={styles.grid}>
+          <Box label={`Batch (${team.symbol})`} value={results.cost} dp={team.dp} sub={`${Math.round(costs.dripperL)} L at dripper`} />
+          <Box label={`Per 1000 L (${team.symbol})`} value={costs.per1000L} dp={team.dp} />
+          {costs.perPlantDay != null && <Box label={`Per plant / day (${team.symbol})`} value={costs.perPlantDay} dp={team.dp + 2} />}
+          {costs.perDay != null && (
+            <Box label={`Per day (${team.symbol})`} value={costs.perDay} dp={team.dp} sub={`batch lasts ${team.number(costs.batchDays, 1)} days`} />
+          )}
+          {costs.perHaWeek != null && <Box label={`Per ha / week (${team.symbol})`} value={costs.perHaWeek} dp={team.dp} />}
+        </View>
+        {costs.drivers.length > 0 && (
+          <>
+            <Text style={[styles.smallLabel, { marginTop: 10 }]}>Cost drivers</Text>
+            {costs.drivers.map((d) => (
+              <View key={d.fertId} style={styles.convRow}>
+                <Text style={{ flex: 1 }} numberOfLines={1}>{d.name}</Text>
+                <Text style={styles.convCell}>{team.number(d.per1000L, team.dp)} / 1000 L</Text>
+                <Text style={[styles.convCell, { width: 60, fontWeight: "700" }]}>{team.number(d.share, 0)}%</Text>
+              </View>
+            ))}
+          </>
+        )}
+      </View>
+
       {/* Actions */}
       <View style={{ flexDirection: "row", gap: 10 }}>
+        <Pressable
+          onPress={() => setRecipeShared((v) => !v)}
+          style={[styles.printBtn, { backgroundColor: "#eee", paddingHorizontal: 12 }]}
+          accessibilityLabel={recipeShared ? "Recipe shared with workspace" : "Recipe private"}
+        >
+          <Ionicons name={recipeShared ? "people-outline" : "lock-closed-outline"} size={18} />
+          <Text style={{ fontWeight: "600" }}>{recipeShared ? "Shared" : "Private"}</Text>
+        </Pressable>
         <Pressable onPress={saveRecipe} style={[styles.printBtn, { backgroundColor: "#2e7d32" }]}>
           <Ionicons name="save-outline" size={18} color="#fff" />
           <Text style={styles.printText}>Save</Text>
         </Pressable>
+        <Pressable onPress={onMixed} style={[styles.printBtn, { backgroundColor: "#1565c0" }]}>
+          <Ionicons name="checkmark-done-outline" size={18} color="#fff" />
+          <Text style={styles.printText}>Mixed</Text>
+        </Pressable>
         <Pressable onPress={onPrint} style={styles.printBtn}>
           <Ionicons name="print-outline" size={18} color="#fff" />
           <Text style={styles.printText}>Print Work Order</Text>
@@ -513,12 +1186,13 @@ ${rows
                 .filter((f) => (f.name || "").toLowerCase().includes(pickerFilter.trim().toLowerCase()))
                 .map((f) => (
                   <Pressable key={f.id} onPress={() => selectFert(pickerIndex, f)} style={styles.pickRow}>
-                    <Ionicons name="leaf-outline" size={18} style={{ marginRight: 8 }} />
+                    <Ionicons name={isLiquid(f) ? "water-outline" : "leaf-outline"} size={18} style={{ marginRight: 8 }} />
                     <View style={{ flex: 1 }}>
                       <Text style={{ fontWeight: "600" }}>{f.name}</Text>
                       <Text style={{ color: "#666", fontSize: 12 }}>
-                        {f.bag_size_kg ? `${f.bag_size_kg} kg` : "—"} ·{" "}
-                        {f.price_per_bag ? `RM ${f.price_per_bag}` : "no price"}
+                        {isLiquid(f) && f.container_l ? `${f.container_l} L` : f.bag_size_kg ? `${f.bag_size_kg} kg` : "—"} ·{" "}
+                        {f.price_per_bag ? team.money(f.price_per_bag) : "no price"}
+                        {f.price_date ? ` (since ${f.price_date})` : ""}
                       </Text>
                     </View>
                   </Pressable>
@@ -549,6 +1223,26 @@ function Seg({ active, onPress, label }) {
   );
 }
 
+// ppm / mmol / meq and the oxide basis for the totals (units.js)
+function UnitPicker({ units, onChange }) {
+  return (
+    <View style={{ flexDirection: "row", flexWrap: "wrap", gap: 8 }}>
+      <View style={styles.segment}>
+        <Seg active={units.unit === "ppm"} onPress={() => onChange({ ...units, unit: "ppm" })} label="ppm" />
+        <Seg active={units.unit === "mmol"} onPress={() => onChange({ ...units, unit: "mmol" })} label="mmol/L" />
+        <Seg active={units.unit === "meq"} onPress={() => onChange({ ...units, unit: "meq" })} label="meq/L" />
+      </View>
+      {units.unit === "ppm" && (
+        <View style={styles.segment}>
+          <Seg active={units.form === "label"} onPress={() => onChange({ ...units, form: "label" })} label="P₂O₅ · K₂O" />
+          <Seg active={units.form === "oxide"} onPress={() => onChange({ ...units, form: "oxide" })} label="All oxides" />
+          <Seg active={units.form === "elemental"} onPress={() => onChange({ ...units, form: "elemental" })} label="Elemental" />
+        </View>
+      )}
+    </View>
+  );
+}
+
 function L({ label, v, style, ...rest }) {
   return (
     <View>
@@ -558,13 +1252,39 @@ function L({ label, v, style, ...rest }) {
   );
 }
 
-function Box({ label, value, dp = 0 }) {
+const WARN_COLOR = { caution: "#e69500", danger: "#c00" };
+const worst = (list) => (list.some((w) => w.level === "danger") ? "danger" : "caution");
+
+function Warn({ w }) {
+  return (
+    <View style={{ flexDirection: "row", alignItems: "flex-start", gap: 6, marginTop: 4 }}>
+      <Ionicons name="warning-outline" size={14} color={WARN_COLOR[w.level]} style={{ marginTop: 2 }} />
+      <Text style={{ flex: 1, color: WARN_COLOR[w.level], fontSize: 12 }}>
+        <Text style={{ fontWeight: "700" }}>{w.title}: </Text>
+        {w.message}
+      </Text>
+    </View>
+  );
+}
+
+// deviation from the selected target profile (targetProfiles.js)
+const DEV_COLOR = { ok: "#2e7d32", ...WARN_COLOR };
+
+function Box({ label, value, dp = 0, sub, warn, dev }) {
   const n = Number(value);
-  const text = Number.isFinite(n) ? n.toFixed(dp) : (0).toFixed(dp);
+  const { number } = useTeamSettings();
+  const text = number(Number.isFinite(n) ? n : 0, dp);
+  const color = warn ? "#c00" : dev ? DEV_COLOR[dev.level] : null;
   return (
-    <View style={styles.box}>
+    <View style={[styles.box, color && { borderColor: color }]}>
       <Text style={styles.boxLabel}>{label}</Text>
-      <Text style={styles.boxValue}>{text}</Text>
+      <Text style={[styles.boxValue, color && { color }]}>{text}</Text>
+      {!!sub && <Text style={styles.boxSub}>{sub}</Text>}
+      {!!dev && (
+        <Text style={[styles.boxSub, { color: DEV_COLOR[dev.level] }]}>
+          opt {number(dev.opt, dp)} · {dev.pct >= 0 ? "+" : ""}{dev.pct.toFixed(0)}%
+        </Text>
+      )}
     </View>
   );
 }
@@ -599,6 +1319,7 @@ const styles = StyleSheet.create({
   box: { width: "31%", minWidth: 150, borderWidth: 1, borderColor: "#eee", borderRadius: 10, padding: 10 },
   boxLabel: { color: "#666", fontSize: 12 },
   boxValue: { fontSize: 18, fontWeight: "700" },
+  boxSub: { color: "#888", fontSize: 11, marginTop: 2 },
 
   printBtn: { marginTop: 8, backgroundColor: "#222", height: 46, borderRadius: 10, alignItems: "center", justifyContent: "center", flexDirection: "row", gap: 8 },
   printText: { color: "#fff", fontWeight: "700" },
@@ -608,4 +1329,7 @@ const styles = StyleSheet.create({
   modalTitle: { fontSize: 18, fontWeight: "700", marginBottom: 8 },
   pickRow: { flexDirection: "row", alignItems: "center", paddingVertical: 8, paddingHorizontal: 6, borderBottomWidth: StyleSheet.hairlineWidth, borderColor: "#eee" },
   pillBtn: { paddingHorizontal: 14, height: 40, alignItems: "center", justifyContent: "center", borderRadius: 10 },
+
+  convRow: { flexDirection: "row", alignItems: "center", gap: 8, paddingVertical: 4, borderBottomWidth: StyleSheet.hairlineWidth, borderColor: "#eee" },
+  convCell: { width: 110, textAlign: "right" },
 });
\ No newline at end of file
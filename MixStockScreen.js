@@ -3,6 +3,8 @@
 // - NEW: Weight unit toggle (g ⇄ kg) with live conversion
 // - ppm & EC are computed at the dripper after injection
 // - Saves recipes in grams (DB unchanged)
+// - Tank mode: single tank, or A/B(/C) split by compatibility (see tankSplit.js)
+// - Liquids are entered in mL (or L); the acid card sizes acids from the water's HCO3
 
 import React, { useEffect, useMemo, useState, useCallback } from "react";
 import {
@@ -18,69 +20,124 @@ import {
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { supabase } from "./supabaseClient";
+import { useFocusEffect, useNavigation, useRoute } from "@react-navigation/native";
+import { ACCUMULATING_LIMITS, computeMix, costOf, gramsToMl, isLiquid, mlToGrams, nForms, nowBatchId } from "./mixCalc";
+import WaterSourcePicker from "./WaterSourcePicker";
+import TargetProfilePicker from "./TargetProfilePicker";
+import { compareToProfile } from "./targetProfiles";
+import { compareRatios, nutrientRatios, ratioText } from "./nutrientRatios";
+import { migrateCatalog } from "./catalogMigration";
+import { splitTanks, tankOf } from "./tankSplit";
+import { checkCompatibility, warningsByFert } from "./compatibility";
+import { SAFE_LOAD, checkSolubility } from "./solubility";
+import { ACIDS, acidComposition, acidNeeded, isAcid } from "./acidDosing";
+import { scaleRecipe } from "./recipeScale";
+import { planRounding } from "./roundingPlan";
+import { costAnalytics } from "./costAnalytics";
+import { useTeamSettings } from "./TeamSettings";
+import { inWorkspace, ofWorkspace, useWorkspace } from "./Workspace";
+import { isDate, priceSnapshot, pricedCatalog, today } from "./priceHistory";
+import { markMixed } from "./mixedBatch";
+import { DEFAULT_UNITS, UNIT_LABEL, convert, dpOf, nutrientName } from "./units";
 
-const MgO_TO_Mg = 0.603;
-const nowBatchId = () => {
-  const d = new Date(); const pad = (n) => n.toString().padStart(2, "0");
-  return `${d.getFullYear()}${pad(d.getMonth()+1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
-};
-
-function inferECk(name = "") {
-  const n = (name || "").toLowerCase();
-  if (/calcinit|calcium nitrate|nitrabor/.test(n)) return 1.20;
-  if (/krista k|potassium nitrate|kno3/.test(n)) return 1.10;
-  if (/mkp|mono potassium phosphate|kh2po4/.test(n)) return 0.90;
-  if (/sop|potassium sulph|potassium sulf/.test(n)) return 0.80;
-  if (/magnesium|epsom|krista mgs|mgso4/.test(n)) return 1.00;
-  if (/ferticare|kristalon|npk|complete/.test(n)) return 1.10;
-  return 1.00;
-}
+const NUTRIENT_LABEL = { P2O5: "P₂O₅", K2O: "K₂O", EC: "EC (mS/cm)" };
+const ROUND_UNIT = { bag: "bag", half: "half bag", step: "step" };
 
 export default function MixStockScreen() {
+  const route = useRoute();
+  const navigation = useNavigation();
+  const team = useTeamSettings();
+  const ws = useWorkspace();
+  const [units, setUnits] = useState(DEFAULT_UNITS); // { unit: "ppm" | "mmol" | "meq", form: "label" | "oxide" | "elemental" }
   const [stockVolumeL, setStockVolumeL] = useState("100");
   const [ratio, setRatio] = useState("200");
   const [weightUnit, setWeightUnit] = useState("g"); // "g" | "kg"
+  const [tankMode, setTankMode] = useState("single"); // "single" | "AB" | "ABC"
+  const [tempC, setTempC] = useState("25"); // mixing shed temperature, for solubility
 
   const [ecScale, setEcScale] = useState("1.10");
   const [ecTarget, setEcTarget] = useState("");
   const [ecMeasured, setEcMeasured] = useState("");
+  const [water, setWater] = useState(null); // raw water baseline { id, name, analysis }
+  const [profile, setProfile] = useState(null); // crop / stage targets { id, name, targets }
+  const [acidId, setAcidId] = useState(null);
+  const [acidHco3, setAcidHco3] = useState(""); // "" = from the selected water
+  const [acidTarget, setAcidTarget] = useState("40");
 
   const [batchId, setBatchId] = useState(nowBatchId());
   const [notes, setNotes] = useState("");
+  const [recipeShared, setRecipeShared] = useState(true); // false = only visible to me
 
-  const [ferts, setFerts] = useState([]);
+  const [catalogRows, setCatalogRows] = useState([]);
+  const [prices, setPrices] = useState([]); // fertilizer_prices rows
+  const [priceDate, setPriceDate] = useState(today()); // batch date: prices in force on this day
   const [loading, setLoading] = useState(true);
+  const costDate = isDate(priceDate) ? priceDate : today();
+  const ferts = useMemo(() => pricedCatalog(catalogRows, prices, costDate), [catalogRows, prices, costDate]);
   const [pickerOpen, setPickerOpen] = useState(false);
   const [pickerFilter, setPickerFilter] = useState("");
   const [pickerIndex, setPickerIndex] = useState(null);
-  const [rows, setRows] = useState([]); // {key, fertId, name, gramsTotal}
+  const [rows, setRows] = useState([]); // {key, fertId, name, gramsTotal, tank}
+
+  // Convert / scale
+  const [convOpen, setConvOpen] = useState(false);
+  const [convTo, setConvTo] = useState("stock"); // "stock" (new volume / ratio) | "direct"
+  const [convVol, setConvVol] = useState("");
+  const [convRatio, setConvRatio] = useState("");
+
+  // Cost analytics (optional field figures)
+  const [irrigL, setIrrigL] = useState(""); // L per plant per day
+  const [plants, setPlants] = useState("");
+  const [areaHa, setAreaHa] = useState("");
+
+  // Practical rounding (whole / half bags, fixed increment)
+  const [roundOpen, setRoundOpen] = useState(false);
+  const [roundMode, setRoundMode] = useState("bag"); // "bag" | "half" | "step"
+  const [roundStep, setRoundStep] = useState("");
+  const [roundAdjust, setRoundAdjust] = useState("volume"); // what absorbs the rounding: "volume" | "ratio"
 
   const num = (s) => (Number.isFinite(Number(s)) ? Number(s) : 0);
   const volStock = Math.max(0, num(stockVolumeL));
   const injRatio = Math.max(1, num(ratio) || 200);
   const toGrams = (v) => (weightUnit === "g" ? num(v) : num(v) * 1000);
+  const fromGrams = (g) => (weightUnit === "g" ? g : g / 1000);
+  const rowGrams = (f, v) => (isLiquid(f) ? mlToGrams(f, toGrams(v)) : toGrams(v));
+  const unitOf = (f) => (isLiquid(f) ? (weightUnit === "g" ? "mL" : "L") : weightUnit);
+  const amountText = (f, g) => `${Math.round(fromGrams(isLiquid(f) ? gramsToMl(f, g) : g) * 1000) / 1000} ${unitOf(f)}`;
+  const split = tankMode !== "single";
+  const acidTank = tankMode === "ABC";
 
   const loadFerts = useCallback(async () => {
     try {
       setLoading(true);
-      const { data, error } = await supabase
+      const { data, error } = await inWorkspace(supabase
         .from("fertilizers")
-        .select("id,name,bag_size_kg,price_per_bag,npk,micro")
+        .select("id,name,bag_size_kg,price_per_bag,npk,micro,forms,ec_per_gl,solubility_gl,solubility_ref_c,solubility_tc,kind,acid_type,conc_pct,density_kg_l,container_l,pct_basis"), ws)
         .order("name", { ascending: true });
       if (error) throw error;
-      setFerts(data ?? []);
+      setCatalogRows(migrateCatalog(data ?? []));
+      const { data: ph, error: phErr } = await ofWorkspace(supabase
+        .from("fertilizer_prices")
+        .select("fertilizer_id,effective_date,price_per_bag,supplier,created_at"), ws);
+      if (phErr) throw phErr;
+      setPrices(ph ?? []);
     } catch (e) {
       Alert.alert("Load error", e.message ?? String(e));
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [ws.current?.id, ws.userId]);
   useEffect(() => { loadFerts(); }, [loadFerts]);
 
   const getFert = (id) => ferts.find((f) => f.id === id);
-  const addRow = () => setRows((p) => [...p, { key: String(Date.now()+Math.random()), fertId: null, name: "", gramsTotal: "" }]);
+  const addRow = () => setRows((p) => [...p, { key: String(Date.now()+Math.random()), fertId: null, name: "", gramsTotal: "", tank: null }]);
   const removeRow = (key) => setRows((p) => p.filter((r) => r.key !== key));
   const openPicker = (idx) => { setPickerIndex(idx); setPickerFilter(""); setPickerOpen(true); };
+  // Tank override: Auto → A → B (→ C) → Auto
+  const cycleTank = (idx) => {
+    const order = [null, "A", "B", ...(acidTank ? ["C"] : [])];
+    setRows((p) => p.map((r, i) => (i === idx ? { ...r, tank: order[(order.indexOf(r.tank ?? null) + 1) % order.length] } : r)));
+  };
   const selectFert = (idx, f) => { setRows((p) => p.map((r,i)=> i===idx ? {...r, fertId:f.id, name:f.name} : r)); setPickerOpen(false); };
 
   // Unit toggle + live conversion
@@ -97,43 +154,158 @@ export default function MixStockScreen() {
     setWeightUnit(next);
   };
 
-  // Results at dripper
-  const results = useMemo(() => {
-    let N=0,P2O5=0,K2O=0,Ca=0,Mg=0,S=0,Fe=0,Mn=0,Zn=0,Cu=0,B=0,Mo=0, cost=0;
-    for (const r of rows) {
-      const f = getFert(r.fertId);
-      if (!f || !volStock) continue;
+  const mixItems = useMemo(
+    () => rows.map((r) => ({ fertId: r.fertId, grams: rowGrams(getFert(r.fertId), r.gramsTotal), tank: r.tank })),
+    [rows, weightUnit, ferts]
+  );
+
+  // Results at dripper (shared engine; see mixCalc.js)
+  const results = useMemo(() => computeMix({
+    items: mixItems,
+    catalog: ferts,
+    dose: { mode: "stock", volumeL: volStock, ratio: injRatio, ecScale: Number(ecScale) || 1 },
+    water: water?.analysis,
+  }), [mixItems, ferts, volStock, injRatio, ecScale, water]);
+  const ecEstimate = results.ec;
+  const nf = nForms(results.ppm);
+  // ppm-shape value in the selected display unit (units.js)
+  const shown = (k, v) => team.number(convert(k, v, units), dpOf(k, units));
+  const waterSub = (k) =>
+    water ? `fert ${shown(k, results.fertPpm[k])} + water ${shown(k, results.waterPpm[k])}` : undefined;
+  const dev = useMemo(() => (profile ? compareToProfile(profile, results.ppm, ecEstimate) : {}), [profile, results, ecEstimate]);
+  const ratios = useMemo(() => nutrientRatios(results.ppm), [results]);
+  const uBox = (k, v = results.ppm[k]) => ({
+    label: nutrientName(k, units),
+    value: convert(k, v, units),
+    dp: dpOf(k, units),
+    dev: dev[k] && { ...dev[k], opt: convert(k, dev[k].opt, units) },
+  });
+  const ratioDev = useMemo(() => (profile ? compareRatios(profile, ratios) : {}), [profile, ratios]);
+  // a stock tank delivers volume × ratio litres at the dripper
+  const costs = useMemo(() => costAnalytics({
+    cost: results.cost,
+    lines: results.lines,
+    dose: { mode: "stock", volumeL: volStock, ratio: injRatio },
+    field: { lPerPlantDay: irrigL, plants, areaHa },
+  }), [results, volStock, injRatio, irrigL, plants, areaHa]);
 
-      const gStockPerL = toGrams(r.gramsTotal) / volStock; // g/L in stock
-      const gDripPerL  = gStockPerL / injRatio;            // g/L at dripper
+  // Acid per stock tank to bring the water's HCO3 down to the target residual
+  const acids = ferts.filter(isAcid);
+  const acidFert = getFert(acidId);
+  const hco3In = acidHco3 !== "" ? num(acidHco3) : num(water?.analysis?.HCO3);
+  const acidDose = acidFert ? acidNeeded(acidFert, { hco3: hco3In, targetHco3: num(acidTarget) }) : null;
+  const acidMlStock = acidDose ? acidDose.mlPerL * volStock * injRatio : 0;
+  const acidAdds = acidDose ? acidDose.gPerL * acidComposition(acidFert).pct * 10 : 0;
+  const applyAcidDose = () => {
+    if (!acidDose) return;
+    const v = String(Math.round(fromGrams(acidMlStock) * 1000) / 1000);
+    setRows((p) =>
+      p.some((r) => r.fertId === acidFert.id)
+        ? p.map((r) => (r.fertId === acidFert.id ? { ...r, gramsTotal: v } : r))
+        : [...p, { key: String(Date.now() + Math.random()), fertId: acidFert.id, name: acidFert.name, gramsTotal: v, tank: null }]
+    );
+  };
 
-      const npk = f.npk || {}; const micro = f.micro || {};
-      const pct = (v) => (v==null || v==="" ? 0 : Number(v));
-      let Mg_pct = pct(npk.Mg); if (Mg_pct>0 && /MgO/i.test(f.name || "")) Mg_pct *= MgO_TO_Mg;
+  // Per-tank grams + stock concentration (A/B(/C) mode)
+  const tanks = useMemo(() => (split ? splitTanks({
+    items: mixItems, catalog: ferts, volumeL: volStock, ratio: injRatio, acidTank,
+  }) : null), [split, acidTank, mixItems, ferts, volStock, injRatio]);
 
-      N+=gDripPerL*pct(npk.N)*10; P2O5+=gDripPerL*pct(npk.P2O5)*10; K2O+=gDripPerL*pct(npk.K2O)*10;
-      Ca+=gDripPerL*pct(npk.Ca)*10; Mg+=gDripPerL*Mg_pct*10; S+=gDripPerL*pct(npk.S)*10;
+  // Compatibility / precipitation warnings, per tank the products actually meet in
+  const warnings = useMemo(() => checkCompatibility({
+    items: mixItems.map((it) => {
+      const f = getFert(it.fertId);
+      return { ...it, tank: split && f ? tankOf(it, f, { acidTank }) : null };
+    }),
+    catalog: ferts,
+    dose: { mode: "stock", volumeL: volStock, ratio: injRatio },
+  }), [mixItems, ferts, split, acidTank, volStock, injRatio]);
+  const rowWarnings = useMemo(() => warningsByFert(warnings), [warnings]);
 
-      Fe+=gDripPerL*pct(micro.Fe)*10; Mn+=gDripPerL*pct(micro.Mn)*10; Zn+=gDripPerL*pct(micro.Zn)*10;
-      Cu+=gDripPerL*pct(micro.Cu)*10; B+=gDripPerL*pct(micro.B)*10; Mo+=gDripPerL*pct(micro.Mo)*10;
+  // Solubility per row and per tank (single mode = one tank)
+  const solub = useMemo(() => checkSolubility({
+    tanks: tanks || [{
+      tank: null,
+      lines: results.lines.map((l) => ({ fertId: l.fertId, gPerLStock: volStock > 0 ? l.gramsTotal / volStock : 0 })),
+    }],
+    catalog: ferts, tempC, volumeL: volStock, ratio: injRatio,
+  }), [tanks, results, ferts, tempC, volStock, injRatio]);
+  const solubWarn = (fertId) => {
+    const s = solub.rows[fertId];
+    if (!s?.level) return null;
+    return {
+      rule: "solubility", level: s.level, title: "Solubility",
+      message: `${s.gPerL.toFixed(0)} g/L in stock vs ~${s.limit.toFixed(0)} g/L soluble at ${num(tempC)} °C (${(s.load * 100).toFixed(0)}%).`,
+    };
+  };
+  const solubOver = solub.tanks.filter((t) => t.level);
 
-      const price=Number(f.price_per_bag)||0, bagKg=Number(f.bag_size_kg)||0;
-      if (price>0 && bagKg>0) cost += toGrams(r.gramsTotal) * (price/(bagKg*1000));
-    }
-    return { ppm:{N,P2O5,K2O,Ca,Mg,S,Fe,Mn,Zn,Cu,B,Mo}, costRM: cost };
-  }, [rows, ferts, volStock, injRatio, weightUnit]);
-
-  const ecEstimate = useMemo(() => {
-    const scale = Number(ecScale) || 1;
-    if (!volStock) return 0;
-    let sum = 0;
-    for (const r of rows) {
-      const f = getFert(r.fertId); if (!f) continue;
-      const gDripPerL = (toGrams(r.gramsTotal)/volStock) / injRatio;
-      sum += gDripPerL * inferECk(f.name || "");
+  // Convert / scale at the same dripper ppm
+  const convDose = convTo === "stock"
+    ? { mode: "stock", volumeL: num(convVol), ratio: num(convRatio) || injRatio }
+    : { mode: "total", volumeL: num(convVol) };
+  const conv = scaleRecipe({
+    items: mixItems.map((it, i) => ({ ...it, key: rows[i].key })).filter((it) => getFert(it.fertId)),
+    from: { mode: "stock", volumeL: volStock, ratio: injRatio },
+    to: convDose,
+  });
+  const r3 = (x) => String(Math.round(x * 1000) / 1000);
+  const applyConversion = () => {
+    if (num(convDose.volumeL) <= 0) { Alert.alert("Convert", "Enter the new volume."); return; }
+    const amount = (l) => { const f = getFert(l.fertId); return isLiquid(f) ? gramsToMl(f, l.grams) : l.grams; };
+    if (convTo === "stock") {
+      const byKey = new Map(conv.lines.map((l) => [l.key, l]));
+      setStockVolumeL(String(convDose.volumeL));
+      setRatio(String(convDose.ratio));
+      setRows((p) => p.map((r) => (byKey.has(r.key) ? { ...r, gramsTotal: r3(fromGrams(amount(byKey.get(r.key)))) } : r)));
+    } else {
+      const items = conv.lines.map((l) => {
+        const f = getFert(l.fertId);
+        return { fertId: l.fertId, name: f.name, grams: l.grams, ...(isLiquid(f) ? { ml: amount(l) } : {}) };
+      });
+      navigation.navigate("Mix", {
+        importMix: { items, volumeL: convDose.volumeL, doseMode: "total", waterId: water?.id ?? null, batchId, notes, priceDate: costDate },
+      });
     }
-    return sum * scale;
-  }, [rows, ferts, volStock, injRatio, weightUnit, ecScale]);
+    setConvOpen(false);
+  };
+
+  // Rounding planner: bag / increment quantities, stock volume or injector ratio refitted
+  const plan = useMemo(() => (roundOpen && volStock > 0
+    ? planRounding({
+      lines: mixItems.map((it, i) => ({ fertId: it.fertId, gramsTotal: it.grams, key: rows[i].key })),
+      catalog: ferts,
+      dose: { mode: "stock", volumeL: volStock, ratio: injRatio },
+      water: water?.analysis,
+      opts: { rounding: roundMode, stepG: (f) => rowGrams(f, roundStep), adjust: roundAdjust },
+    })
+    : null), [roundOpen, mixItems, rows, ferts, volStock, injRatio, water, roundMode, roundStep, roundAdjust, weightUnit]);
+  const applyRounding = () => {
+    if (!plan) return;
+    const byKey = new Map(plan.lines.map((l) => [l.key, l]));
+    const amount = (l) => { const f = getFert(l.fertId); return isLiquid(f) ? gramsToMl(f, l.after) : l.after; };
+    setStockVolumeL(String(plan.volumeL));
+    setRatio(String(plan.ratio));
+    setRows((p) => p.map((r) => (byKey.has(r.key) ? { ...r, gramsTotal: r3(fromGrams(amount(byKey.get(r.key)))) } : r)));
+    setRoundOpen(false);
+  };
+
+  // Recipe converted in the Mix tab
+  useFocusEffect(useCallback(() => {
+    const m = route.params?.importMix;
+    if (!m) return;
+    setStockVolumeL(String(m.volumeL));
+    setRatio(String(m.ratio));
+    setWater(m.waterId ? { id: m.waterId } : null);
+    if (m.batchId) setBatchId(m.batchId);
+    if (m.priceDate) setPriceDate(m.priceDate);
+    if (m.notes !== undefined) setNotes(m.notes);
+    setRows((m.items || []).map((it) => ({
+      key: String(Date.now() + Math.random()), fertId: it.fertId, name: it.name || "",
+      gramsTotal: r3(fromGrams(Number(it.ml ?? it.grams ?? 0))), tank: null,
+    })));
+    navigation.setParams({ importMix: undefined });
+  }, [route.params?.importMix, navigation]));
 
   const ecDeltaToTarget = useMemo(() => {
     const t = Number(ecTarget) || 0;
@@ -145,14 +317,24 @@ export default function MixStockScreen() {
       const { data: a } = await supabase.auth.getUser();
       const user = a?.user;
       if (!user) { Alert.alert("Not signed in", "Please sign in first."); return; }
-      const items = rows.map((r)=>{
-        const f = getFert(r.fertId); if (!f) return null;
-        return { fert_id: f.id, name: f.name, grams: toGrams(r.gramsTotal) };
-      }).filter(Boolean);
+      // results.lines follow mixItems (minus rows without a catalog match), so the tank is read per row:
+      // the same fertilizer may sit in two tanks
+      const placed = mixItems.filter((it) => getFert(it.fertId));
+      const items = results.lines.map((l, i) => {
+        const f = getFert(l.fertId);
+        return {
+          fert_id: l.fertId, name: l.name, grams: l.gramsTotal,
+          ...(isLiquid(f) ? { ml: gramsToMl(f, l.gramsTotal) } : {}),
+          ...(split ? { tank: tankOf(placed[i], f, { acidTank }) } : {}),
+          ...priceSnapshot(f),
+        };
+      });
+      const tag = `ratio=1:${injRatio}${split ? ` | tanks=${tanks.map((t) => t.tank).join("/")}` : ""}`;
       const { error } = await supabase.from("recipes").insert([{
-        owner: user.id, shared: true, batch_id: batchId,
-        notes: notes ? `${notes} | ratio=1:${injRatio}` : `ratio=1:${injRatio}`,
-        dose_mode: "stock", volume_l: volStock, items, ppm: results.ppm, cost_rm: results.costRM
+        owner: user.id, workspace_id: ws.current.id, shared: recipeShared, batch_id: batchId,
+        notes: notes ? `${notes} | ${tag}` : tag,
+        dose_mode: "stock", volume_l: volStock, items, ppm: results.ppm, cost: results.cost, currency: team.currency,
+        costed_on: costDate, water_source_id: water?.id ?? null,
       }]);
       if (error) throw error;
       Alert.alert("Saved", `Stock recipe saved as "${batchId}".`);
@@ -161,8 +343,12 @@ export default function MixStockScreen() {
     }
   };
 
+  // Batch confirmed as mixed: its grams come out of inventory, once per batch ID
+  const onMixed = () => markMixed({ lines: results.lines, batchId, nameOf: (id) => getFert(id)?.name, ws });
+
   const onPrint = () => {
-    const fx2 = (x) => (Number.isFinite(x) ? x.toFixed(2) : "0.00");
+    const fx2 = (x) => team.number(x, 2);
+    const cur = (x) => team.number(x, team.dp);
     const r0  = (x) => (Number.isFinite(x) ? Math.round(x) : 0);
     const unitLabel = weightUnit === "g" ? "g (total)" : "kg (total)";
     const html = `
@@ -175,30 +361,85 @@ th,td{border:1px solid #ddd;padding:8px;text-align:left} th{background:#f7f7f7}
 <h1>Work Order — Stock Mix (1:${injRatio})</h1>
 <table>
   <tr><th style="width:160px">Batch ID</th><td>${batchId}</td></tr>
-  <tr><th>Stock volume</th><td><b>${volStock}</b> L</td></tr>
+  <tr><th>Batch date</th><td>${costDate} (prices in force on this day)</td></tr>
+  <tr><th>Stock volume</th><td><b>${volStock}</b> L${split ? ` per tank × ${tanks.length} (${tanks.map((t)=>t.tank).join("/")})` : ""}</td></tr>
   <tr><th>Injector ratio</th><td>1:<b>${injRatio}</b></td></tr>
+  ${acidDose?`<tr><th>Acid dosing</th><td>${acidFert.name}: <b>${r0(acidMlStock)}</b> mL per stock tank · ${r0(acidDose.mlPer1000L)} mL per 1000 L (HCO₃ ${r0(hco3In)} → ${r0(num(acidTarget))} mg/L)</td></tr>`:""}
+  ${solub.tanks.some((t)=>t.load>0)?`<tr><th>Solubility @ ${num(tempC)} °C</th><td>${solub.tanks.map((t)=>`${t.tank?`Tank ${t.tank}`:"Tank"} ${(t.load*100).toFixed(0)}%${t.level?" ⚠":""}`).join(" · ")}${solubOver.length?` — use ≥ ${Math.ceil(solub.minVolumeL)} L or ≤ 1:${solub.maxRatio}`:""}</td></tr>`:""}
   <tr><th>EC (est.)</th><td><b>${fx2(ecEstimate)}</b> mS/cm (scale ${fx2(Number(ecScale)||1)})</td></tr>
+  <tr><th>Ion balance</th><td>cations ${fx2(results.balance.cationMeq)} / anions ${fx2(results.balance.anionMeq)} meq/L (${fx2(results.balance.imbalancePct)}%)</td></tr>
   ${Number(ecTarget)?`<tr><th>EC target</th><td>${fx2(Number(ecTarget))} mS/cm (Δ ${(Number(ecTarget)-ecEstimate).toFixed(2)})</td></tr>`:""}
   ${Number(ecMeasured)?`<tr><th>EC measured</th><td>${fx2(Number(ecMeasured))} mS/cm</td></tr>`:""}
   ${notes?`<tr><th>Notes</th><td>${notes}</td></tr>`:""}
 </table>
 
+${split ? tanks.map((t)=>`
+<h2>Tank ${t.tank} — ${volStock} L</h2>
+<table><thead><tr><th>#</th><th>Fertilizer</th><th>Value</th><th>Stock g/L</th><th>Cost (${team.symbol})</th></tr></thead><tbody>
+${t.lines.map((l,i)=>`<tr><td>${i+1}</td><td>${l.name}${rowWarnings[l.fertId] ? " ⚠" : ""}</td><td>${amountText(getFert(l.fertId), l.grams)}</td><td>${fx2(l.gPerLStock)}</td><td>${cur(costOf(getFert(l.fertId), l.grams))}</td></tr>`).join("") || `<tr><td colspan="5">(empty)</td></tr>`}
+<tr><td colspan="2"><b>Tank ${t.tank} total</b></td><td><b>${fromGrams(t.grams)} ${unitLabel}</b></td><td><b>${fx2(t.gPerLStock)}</b></td><td></td></tr>
+</tbody></table>`).join("") + `
+<table><tr><th style="width:160px">Total cost (${team.symbol})</th><td><b>${cur(results.cost)}</b></td></tr></table>` : `
 <h2>Ingredients (input)</h2>
-<table><thead><tr><th>#</th><th>Fertilizer</th><th>Value (${unitLabel})</th><th>Cost (RM)</th></tr></thead><tbody>
-${rows.map((r,i)=>{const f=getFert(r.fertId); if(!f) return ""; const price=Number(f.price_per_bag)||0; const bagKg=Number(f.bag_size_kg)||0;
-const cost= (price>0 && bagKg>0) ? toGrams(r.gramsTotal)*(price/(bagKg*1000)) : 0;
-return `<tr><td>${i+1}</td><td>${f?.name||""}</td><td>${r.gramsTotal||"0"} ${unitLabel}</td><td>${fx2(cost)}</td></tr>`}).join("")}
-<tr><td colspan="3"><b>Total cost (RM)</b></td><td><b>${fx2(results.costRM)}</b></td></tr>
+<table><thead><tr><th>#</th><th>Fertilizer</th><th>Value</th><th>Cost (${team.symbol})</th></tr></thead><tbody>
+${rows.map((r,i)=>{const f=getFert(r.fertId); if(!f) return ""; const cost=costOf(f, rowGrams(f, r.gramsTotal));
+return `<tr><td>${i+1}</td><td>${f?.name||""}${rowWarnings[f.id] ? " ⚠" : ""}</td><td>${r.gramsTotal||"0"} ${isLiquid(f) ? `${unitOf(f)} (total)` : unitLabel}</td><td>${cur(cost)}</td></tr>`}).join("")}
+<tr><td colspan="3"><b>Total cost (${team.symbol})</b></td><td><b>${cur(results.cost)}</b></td></tr>
+</tbody></table>`}
+
+<h2>Cost breakdown</h2>
+<table>
+  <tr><th style="width:160px">Per 1000 L at dripper</th><td><b>${team.money(costs.per1000L)}</b> (${r0(costs.dripperL)} L = ${volStock} L × ${injRatio})</td></tr>
+  ${costs.perPlantDay!=null?`<tr><th>Per plant per day</th><td>${team.money(costs.perPlantDay, 2)} at ${num(irrigL)} L/plant/day</td></tr>`:""}
+  ${costs.perDay!=null?`<tr><th>Per day</th><td>${team.money(costs.perDay)} for ${num(plants)} plants · batch lasts ${team.number(costs.batchDays, 1)} days</td></tr>`:""}
+  ${costs.perHaWeek!=null?`<tr><th>Per ha per week</th><td><b>${team.money(costs.perHaWeek)}</b> over ${num(areaHa)} ha</td></tr>`:""}
+</table>
+${costs.drivers.length?`<table><thead><tr><th>#</th><th>Cost driver</th><th>${team.symbol} / 1000 L</th><th>Share</th></tr></thead><tbody>
+${costs.drivers.map((d,i)=>`<tr><td>${i+1}</td><td>${d.name}</td><td>${cur(d.per1000L)}</td><td>${team.number(d.share, 1)}%</td></tr>`).join("")}
+</tbody></table>`:""}
+
+${warnings.length ? `<h2>Compatibility warnings</h2>
+<table><thead><tr><th style="width:90px">Level</th><th>Warning</th></tr></thead><tbody>
+${warnings.map((w)=>`<tr><td style="color:${WARN_COLOR[w.level]}"><b>${w.level}</b></td><td><b>${w.title}</b> — ${w.message}</td></tr>`).join("")}
+</tbody></table>` : ""}
+
+${water ? `<h2>Fertilizer vs raw water — ${water.name || ""} (${UNIT_LABEL[units.unit]})</h2>
+<table><thead><tr><th>Nutrient</th><th>Fertilizer</th><th>Raw water</th><th>Total</th></tr></thead><tbody>
+${["N", "P2O5", "K2O", "Ca", "Mg", "S", "Na", "Cl", "HCO3"].map((k) =>
+  `<tr><td>${nutrientName(k, units)}</td><td>${shown(k, results.fertPpm[k])}</td><td>${shown(k, results.waterPpm[k])}</td><td><b>${shown(k, results.ppm[k])}</b>${ACCUMULATING_LIMITS[k] && results.ppm[k] > ACCUMULATING_LIMITS[k] ? " ⚠" : ""}</td></tr>`).join("")}
+</tbody></table>` : ""}
+
+<h2>Nutrient ratios</h2>
+<table><thead><tr><th>Ratio</th><th>Mass</th><th>meq</th><th>Target</th><th>Status</th></tr></thead><tbody>
+${[
+  ["N : K₂O", fx2(ratios.N_K2O), `N : K ${fx2(ratios.N_K_meq)}`, ["N_K2O"]],
+  ["K : Ca", fx2(ratios.K_Ca_mass), fx2(ratios.K_Ca), ["K_Ca"]],
+  ["K : Ca : Mg", ratioText([ratios.mass.K, ratios.mass.Ca, ratios.mass.Mg]),
+    `${ratioText([ratios.meq.K, ratios.meq.Ca, ratios.meq.Mg])} (${r0(ratios.shares.K)} / ${r0(ratios.shares.Ca)} / ${r0(ratios.shares.Mg)} %)`,
+    ["K_share", "Ca_share", "Mg_share"]],
+].map(([label, mass, meq, keys]) => {
+  const ds = keys.map((k) => ratioDev[k]).filter(Boolean);
+  const target = ds.map((d) => `${d.min == null ? "…" : fx2(d.min)}–${d.max == null ? "…" : fx2(d.max)}`).join(" / ");
+  const bad = ds.find((d) => d.level === "danger") || ds.find((d) => d.level === "caution");
+  const status = ds.length ? (bad ? `<span style="color:${DEV_COLOR[bad.level]}"><b>${bad.dir}</b></span>` : `<span style="color:${DEV_COLOR.ok}">ok</span>`) : "";
+  return `<tr><td>${label}</td><td>${mass}</td><td>${meq}</td><td>${target || "—"}</td><td>${status}</td></tr>`;
+}).join("")}
 </tbody></table>
 
-<h2>Totals at dripper (ppm)</h2>
-<table><thead><tr><th>Target</th><th>ppm</th><th>Target</th><th>ppm</th></tr></thead><tbody>
-<tr><td>N</td><td>${r0(results.ppm.N)}</td><td>P₂O₅</td><td>${r0(results.ppm.P2O5)}</td></tr>
-<tr><td>K₂O</td><td>${r0(results.ppm.K2O)}</td><td>Ca</td><td>${r0(results.ppm.Ca)}</td></tr>
-<tr><td>Mg (elemental)</td><td>${r0(results.ppm.Mg)}</td><td>S</td><td>${r0(results.ppm.S)}</td></tr>
-<tr><td>Fe</td><td>${fx2(results.ppm.Fe)}</td><td>Mn</td><td>${fx2(results.ppm.Mn)}</td></tr>
-<tr><td>Zn</td><td>${fx2(results.ppm.Zn)}</td><td>Cu</td><td>${fx2(results.ppm.Cu)}</td></tr>
-<tr><td>B</td><td>${fx2(results.ppm.B)}</td><td>Mo</td><td>${fx2(results.ppm.Mo)}</td></tr>
+${profile ? `<h2>Target vs actual — ${profile.name}</h2>
+<table><thead><tr><th>Nutrient</th><th>Min</th><th>Opt</th><th>Max</th><th>Actual</th><th>vs opt</th><th>Status</th></tr></thead><tbody>
+${Object.entries(dev).map(([k, d]) => {
+  const fmt = (x) => (x == null ? "—" : k === "EC" ? fx2(x) : shown(k, x));
+  return `<tr><td>${k === "EC" ? NUTRIENT_LABEL.EC : nutrientName(k, units)}</td><td>${fmt(d.min)}</td><td>${fmt(d.opt)}</td><td>${fmt(d.max)}</td><td><b>${fmt(d.actual)}</b></td><td>${d.pct >= 0 ? "+" : ""}${d.pct.toFixed(0)}%</td><td style="color:${DEV_COLOR[d.level]}"><b>${d.dir || "ok"}</b></td></tr>`;
+}).join("")}
+</tbody></table>` : ""}
+
+<h2>Totals at dripper (${UNIT_LABEL[units.unit]})${split ? " — combined" : ""}${water ? " — incl. raw water" : ""}</h2>
+<table><thead><tr><th>Nutrient</th><th>${UNIT_LABEL[units.unit]}</th><th>Nutrient</th><th>${UNIT_LABEL[units.unit]}</th></tr></thead><tbody>
+${[["N", "P2O5"], ["K2O", "Ca"], ["Mg", "S"]].map((pair) => `<tr>${pair.map((k) => `<td>${nutrientName(k, units)}</td><td>${shown(k, results.ppm[k])}</td>`).join("")}</tr>`).join("")}
+<tr><td>NO₃-N</td><td>${shown("NO3", nf.NO3)}</td><td>NH₄-N</td><td>${shown("NH4", nf.NH4)}</td></tr>
+<tr><td>Urea-N</td><td>${shown("Urea", nf.Urea)}</td><td>NH₄ share of N</td><td>${(nf.nh4Share * 100).toFixed(1)}%${nf.unspecified > 0.5 ? ` (${r0(nf.unspecified)} ppm N of unknown form)` : ""}</td></tr>
+${[["Fe", "Mn"], ["Zn", "Cu"], ["B", "Mo"]].map((pair) => `<tr>${pair.map((k) => `<td>${k}${units.unit === "ppm" ? "" : " (µmol/L)"}</td><td>${shown(k, results.ppm[k])}</td>`).join("")}</tr>`).join("")}
 </tbody></table>
 <script>window.print();</script></body></html>`;
     const w = window.open("", "_blank");
@@ -214,15 +455,19 @@ return `<tr><td>${i+1}</td><td>${f?.name||""}</td><td>${r.gramsTotal||"0"} ${uni
         <Text style={styles.section}>Job details</Text>
         <View style={{ gap: 8, marginTop: 8 }}>
           <L label="Batch ID" v={batchId} onChangeText={setBatchId} />
+          <L label="Batch date (YYYY-MM-DD)" v={priceDate} onChangeText={setPriceDate} placeholder={today()} />
+          {!isDate(priceDate) && <Text style={{ color: "#c00", fontSize: 12 }}>Not a date — costing with today's prices.</Text>}
           <L label="Notes" v={notes} onChangeText={setNotes} multiline numberOfLines={3} />
         </View>
       </View>
 
       <View style={styles.card}>
-        <Text style={styles.label}>Stock volume (L)</Text>
+        <Text style={styles.label}>{split ? "Stock volume per tank (L)" : "Stock volume (L)"}</Text>
         <TextInput value={stockVolumeL} onChangeText={setStockVolumeL} keyboardType="decimal-pad" style={styles.input} />
         <Text style={[styles.label, { marginTop: 10 }]}>Injector ratio (1:x)</Text>
         <TextInput value={ratio} onChangeText={setRatio} keyboardType="decimal-pad" style={styles.input} />
+        <Text style={[styles.label, { marginTop: 10 }]}>Mixing temperature (°C)</Text>
+        <TextInput value={tempC} onChangeText={setTempC} keyboardType="decimal-pad" style={styles.input} />
         <Text style={[styles.label, { marginTop: 10 }]}>Weight unit</Text>
         <View style={styles.segment}>
           <Pressable onPress={() => switchUnit("g")} style={[styles.segBtn, weightUnit === "g" && styles.segActive]}>
@@ -232,6 +477,78 @@ return `<tr><td>${i+1}</td><td>${f?.name||""}</td><td>${r.gramsTotal||"0"} ${uni
             <Text style={[styles.segText, weightUnit === "kg" && styles.segTextActive]}>kg</Text>
           </Pressable>
         </View>
+        <Text style={[styles.label, { marginTop: 10 }]}>Tanks</Text>
+        <View style={styles.segment}>
+          {[["single", "Single"], ["AB", "A / B"], ["ABC", "A / B / C (acid)"]].map(([k, label]) => (
+            <Pressable key={k} onPress={() => setTankMode(k)} style={[styles.segBtn, tankMode === k && styles.segActive]}>
+              <Text style={[styles.segText, tankMode === k && styles.segTextActive]}>{label}</Text>
+            </Pressable>
+          ))}
+        </View>
+      </View>
+
+      {/* Raw water */}
+      <View style={styles.card}>
+        <Text style={styles.section}>Raw water</Text>
+        <WaterSourcePicker value={water?.id ?? null} onChange={setWater} />
+        <Text style={{ color: "#666", fontSize: 12, marginTop: 6 }}>
+          The selected analysis is added to the dripper totals. Long-press a source to edit it.
+        </Text>
+      </View>
+
+      {/* Target profile */}
+      <View style={styles.card}>
+        <Text style={styles.section}>Target profile</Text>
+        <TargetProfilePicker value={profile?.id ?? null} onChange={setProfile} />
+        <Text style={{ color: "#666", fontSize: 12, marginTop: 6 }}>
+          Totals are coloured against the profile: green in range, amber just outside, red far off.
+        </Text>
+      </View>
+
+      {/* Acid dosing */}
+      <View style={styles.card}>
+        <Text style={styles.section}>Acid dosing</Text>
+        {acids.length === 0 ? (
+          <Text style={{ color: "#666", marginTop: 6 }}>
+            No acids in the catalog. Add one in the Fertilizers tab with type "Acid".
+          </Text>
+        ) : (
+          <>
+            <View style={[styles.segment, { flexWrap: "wrap" }]}>
+              {acids.map((f) => (
+                <Pressable key={f.id} onPress={() => setAcidId(f.id)} style={[styles.segBtn, acidId === f.id && styles.segActive]}>
+                  <Text style={[styles.segText, acidId === f.id && styles.segTextActive]}>{f.name}</Text>
+                </Pressable>
+              ))}
+            </View>
+            <View style={{ flexDirection: "row", gap: 8, marginTop: 8 }}>
+              <View style={{ flex: 1 }}>
+                <L label="HCO₃ in water (mg/L)" v={acidHco3} onChangeText={setAcidHco3} keyboardType="decimal-pad"
+                  placeholder={water ? String(num(water.analysis?.HCO3)) : "0"} />
+              </View>
+              <View style={{ flex: 1 }}>
+                <L label="Target residual HCO₃ (mg/L)" v={acidTarget} onChangeText={setAcidTarget} keyboardType="decimal-pad" />
+              </View>
+            </View>
+            {!!acidDose && (
+              <>
+                <View style={styles.grid}>
+                  <Box label="mL per 1000 L (dripper)" value={acidDose.mlPer1000L} dp={0} />
+                  <Box label={`mL per stock tank (${volStock} L, 1:${injRatio})`} value={acidMlStock} dp={0} />
+                  <Box label={`Adds ${NUTRIENT_LABEL[ACIDS[acidFert.acid_type].nutrient] || ACIDS[acidFert.acid_type].nutrient} (ppm)`} value={acidAdds} dp={0} />
+                </View>
+                <View style={{ flexDirection: "row", marginTop: 10 }}>
+                  <Pressable onPress={applyAcidDose} style={[styles.pillBtn, { backgroundColor: "#222" }]}>
+                    <Text style={{ color: "#fff", fontWeight: "700" }}>Use as ingredient</Text>
+                  </Pressable>
+                </View>
+              </>
+            )}
+            <Text style={{ color: "#666", fontSize: 12, marginTop: 6 }}>
+              Blank HCO₃ uses the selected raw water. Acid rows count toward the totals below and lower HCO₃.
+            </Text>
+          </>
+        )}
       </View>
 
       <View style={styles.card}>
@@ -246,62 +563,295 @@ return `<tr><td>${i+1}</td><td>${f?.name||""}</td><td>${r.gramsTotal||"0"} ${uni
 
         {rows.map((r, idx) => {
           const f = getFert(r.fertId);
-          const fieldLabel = weightUnit === "g" ? "Grams (total)" : "Kilograms (total)";
+          const fieldLabel = isLiquid(f)
+            ? `${weightUnit === "g" ? "mL" : "Litres"} (total)`
+            : weightUnit === "g" ? "Grams (total)" : "Kilograms (total)";
+          const sw = f && solubWarn(f.id);
+          const rw = [...((f && rowWarnings[f.id]) || []), ...(sw ? [sw] : [])];
           return (
-            <View key={r.key} style={styles.rowCard}>
-              <View style={{ flex: 1 }}>
-                <Text style={styles.smallLabel}>Fertilizer</Text>
-                <Pressable onPress={() => openPicker(idx)} style={[styles.input, { minHeight: 44, justifyContent: "center" }]}>
-                  <Text numberOfLines={2}>{f ? f.name : "Select a fertilizer…"}</Text>
+            <View key={r.key}>
+              <View style={[styles.rowCard, rw.length > 0 && { borderColor: WARN_COLOR[worst(rw)] }]}>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.smallLabel}>Fertilizer</Text>
+                  <Pressable onPress={() => openPicker(idx)} style={[styles.input, { minHeight: 44, justifyContent: "center" }]}>
+                    <Text numberOfLines={2}>{f ? f.name : "Select a fertilizer…"}</Text>
+                  </Pressable>
+                </View>
+                <View style={{ width: 10 }} />
+                <View style={{ width: 170 }}>
+                  <Text style={styles.smallLabel}>{fieldLabel}</Text>
+                  <TextInput
+                    value={r.gramsTotal}
+                    onChangeText={(t) => setRows((p) => p.map((row, i) => (i === idx ? { ...row, gramsTotal: t } : row)))}
+                    keyboardType="decimal-pad" placeholder="0" style={styles.input}
+                  />
+                </View>
+                {split && (
+                  <Pressable onPress={() => cycleTank(idx)} style={[styles.tankBtn, r.tank && { borderColor: "#222" }]}>
+                    <Text style={{ fontWeight: "700" }}>{f ? tankOf(r, f, { acidTank }) : "–"}</Text>
+                    <Text style={{ fontSize: 10, color: "#666" }}>{r.tank ? "manual" : "auto"}</Text>
+                  </Pressable>
+                )}
+                <Pressable onPress={() => removeRow(r.key)} style={styles.trashBtn}>
+                  <Ionicons name="trash-outline" size={18} color="#c00" />
                 </Pressable>
               </View>
-              <View style={{ width: 10 }} />
-              <View style={{ width: 170 }}>
-                <Text style={styles.smallLabel}>{fieldLabel}</Text>
-                <TextInput
-                  value={r.gramsTotal}
-                  onChangeText={(t) => setRows((p) => p.map((row, i) => (i === idx ? { ...row, gramsTotal: t } : row)))}
-                  keyboardType="decimal-pad" placeholder="0" style={styles.input}
-                />
-              </View>
-              <Pressable onPress={() => removeRow(r.key)} style={styles.trashBtn}>
-                <Ionicons name="trash-outline" size={18} color="#c00" />
-              </Pressable>
+              {rw.map((w) => <Warn key={w.rule + (w.tank || "")} w={w} />)}
             </View>
           );
         })}
       </View>
 
+      {split && (
+        <View style={styles.card}>
+          <Text style={styles.section}>Tanks</Text>
+          {tanks.map((t) => (
+            <View key={t.tank} style={{ marginTop: 10 }}>
+              <Text style={styles.label}>Tank {t.tank}</Text>
+              {t.lines.length === 0 && <Text style={{ color: "#666" }}>(empty)</Text>}
+              {t.lines.map((l) => (
+                <Text key={l.fertId} style={{ color: "#333" }}>
+                  {l.name}: {amountText(getFert(l.fertId), l.grams)} · {l.gPerLStock.toFixed(2)} g/L
+                </Text>
+              ))}
+              <View style={styles.grid}>
+                <Box label={`Tank ${t.tank} total (${weightUnit})`} value={fromGrams(t.grams)} dp={weightUnit === "g" ? 0 : 3} />
+                <Box label="Stock conc. (g/L)" value={t.gPerLStock} dp={1} />
+              </View>
+            </View>
+          ))}
+        </View>
+      )}
+
+      {solub.tanks.some((t) => t.load > 0) && (
+        <View style={styles.card}>
+          <Text style={styles.section}>Solubility at {num(tempC)} °C</Text>
+          <View style={styles.grid}>
+            {solub.tanks.map((t) => (
+              <Box key={t.tank || "single"} label={`${t.tank ? `Tank ${t.tank}` : "Tank"} load (% of saturation)`}
+                value={t.load * 100} dp={0} warn={!!t.level} />
+            ))}
+          </View>
+          {solubOver.length > 0 && (
+            <View style={{ marginTop: 8 }}>
+              {solubOver.map((t) => (
+                <Warn key={t.tank || "single"} w={{
+                  level: t.level, title: t.level === "danger" ? "Will not dissolve" : "Close to the limit",
+                  message: `${t.tank ? `Tank ${t.tank}` : "The stock tank"} is at ${(t.load * 100).toFixed(0)}% of combined solubility.`,
+                }} />
+              ))}
+              <Text style={{ color: "#333", marginTop: 6 }}>
+                Stay below {Math.round(SAFE_LOAD * 100)}%: use at least <Text style={{ fontWeight: "700" }}>{Math.ceil(solub.minVolumeL)} L</Text> of stock per tank,
+                or an injector ratio of at most <Text style={{ fontWeight: "700" }}>1:{solub.maxRatio}</Text> (grams rescaled to keep dripper ppm).
+              </Text>
+            </View>
+          )}
+          <Text style={{ color: "#666", fontSize: 12, marginTop: 6 }}>Products without solubility data in the catalog are not counted.</Text>
+        </View>
+      )}
+
+      {/* Convert / scale */}
+      <View style={styles.card}>
+        <View style={{ flexDirection: "row", justifyContent: "space-between", alignItems: "center" }}>
+          <Text style={styles.section}>Convert / scale</Text>
+          <Pressable onPress={() => setConvOpen((v) => !v)} style={styles.addBtn}>
+            <Ionicons name={convOpen ? "chevron-up" : "swap-horizontal"} size={18} color="#fff" /><Text style={styles.addText}>{convOpen ? "Hide" : "Convert"}</Text>
+          </Pressable>
+        </View>
+        {convOpen && (
+          <>
+            <View style={styles.segment}>
+              {[["stock", "Stock, new volume / ratio"], ["direct", "Direct mix"]].map(([k, label]) => (
+                <Pressable key={k} onPress={() => setConvTo(k)} style={[styles.segBtn, convTo === k && styles.segActive]}>
+                  <Text style={[styles.segText, convTo === k && styles.segTextActive]}>{label}</Text>
+                </Pressable>
+              ))}
+            </View>
+            <View style={{ flexDirection: "row", gap: 8, marginTop: 8 }}>
+              <View style={{ flex: 1 }}>
+                <L label={convTo === "stock" ? "Stock volume (L)" : "Tank volume (L)"} v={convVol} onChangeText={setConvVol}
+                  keyboardType="decimal-pad" placeholder={String(volStock)} />
+              </View>
+              {convTo === "stock" && (
+                <View style={{ flex: 1 }}>
+                  <L label="Injector ratio (1:x)" v={convRatio} onChangeText={setConvRatio} keyboardType="decimal-pad" placeholder={String(injRatio)} />
+                </View>
+              )}
+            </View>
+            {num(convVol) > 0 && conv.lines.length > 0 && (
+              <>
+                <View style={[styles.convRow, { marginTop: 10 }]}>
+                  <Text style={[styles.smallLabel, { flex: 1 }]}>Fertilizer</Text>
+                  <Text style={[styles.smallLabel, styles.convCell]}>Now ({volStock} L @ 1:{injRatio})</Text>
+                  <Text style={[styles.smallLabel, styles.convCell]}>
+                    After ({convDose.volumeL} L{convTo === "stock" ? ` @ 1:${convDose.ratio}` : ", direct"})
+                  </Text>
+                </View>
+                {conv.lines.map((l) => {
+                  const f = getFert(l.fertId);
+                  return (
+                    <View key={l.key} style={styles.convRow}>
+                      <Text style={{ flex: 1 }} numberOfLines={1}>{f.name}</Text>
+                      <Text style={styles.convCell}>{amountText(f, l.before)}</Text>
+                      <Text style={[styles.convCell, { fontWeight: "700" }]}>{amountText(f, l.after)}</Text>
+                    </View>
+                  );
+                })}
+                <Text style={{ color: "#666", fontSize: 12, marginTop: 6 }}>Totals weighed out; dripper ppm stays the same.</Text>
+                <View style={{ flexDirection: "row", marginTop: 10 }}>
+                  <Pressable onPress={applyConversion} style={[styles.pillBtn, { backgroundColor: "#222" }]}>
+                    <Text style={{ color: "#fff", fontWeight: "700" }}>{convTo === "stock" ? "Apply to this recipe" : "Open in Mix tab"}</Text>
+                  </Pressable>
+                </View>
+              </>
+            )}
+          </>
+        )}
+      </View>
+
+      {/* Practical rounding */}
+      <View style={styles.card}>
+        <View style={{ flexDirection: "row", justifyContent: "space-between", alignItems: "center" }}>
+          <Text style={styles.section}>Round to bags</Text>
+          <Pressable onPress={() => setRoundOpen((v) => !v)} style={styles.addBtn}>
+            <Ionicons name={roundOpen ? "chevron-up" : "cube-outline"} size={18} color="#fff" /><Text style={styles.addText}>{roundOpen ? "Hide" : "Round"}</Text>
+          </Pressable>
+        </View>
+        {roundOpen && (
+          <>
+            <View style={styles.segment}>
+              {[["bag", "Whole bags"], ["half", "Half bags"], ["step", "Increment"]].map(([k, label]) => (
+                <Pressable key={k} onPress={() => setRoundMode(k)} style={[styles.segBtn, roundMode === k && styles.segActive]}>
+                  <Text style={[styles.segText, roundMode === k && styles.segTextActive]}>{label}</Text>
+                </Pressable>
+              ))}
+            </View>
+            {roundMode === "step" && (
+              <View style={{ marginTop: 8 }}>
+                <L label={`Increment (${weightUnit}; ${weightUnit === "g" ? "mL" : "L"} for liquids)`} v={roundStep} onChangeText={setRoundStep}
+                  keyboardType="decimal-pad" placeholder={weightUnit === "g" ? "500" : "0.5"} />
+              </View>
+            )}
+            <Text style={[styles.smallLabel, { marginTop: 8 }]}>Keep ppm by adjusting</Text>
+            <View style={[styles.segment, { marginTop: 0 }]}>
+              {[["volume", "Stock volume"], ["ratio", "Injector ratio"]].map(([k, label]) => (
+                <Pressable key={k} onPress={() => setRoundAdjust(k)} style={[styles.segBtn, roundAdjust === k && styles.segActive]}>
+                  <Text style={[styles.segText, roundAdjust === k && styles.segTextActive]}>{label}</Text>
+                </Pressable>
+              ))}
+            </View>
+            {!!plan && plan.lines.length > 0 && (
+              <>
+                <View style={[styles.convRow, { marginTop: 10 }]}>
+                  <Text style={[styles.smallLabel, { flex: 1 }]}>Fertilizer</Text>
+                  <Text style={[styles.smallLabel, styles.convCell]}>Now ({volStock} L @ 1:{injRatio})</Text>
+                  <Text style={[styles.smallLabel, styles.convCell]}>Rounded ({plan.volumeL} L @ 1:{plan.ratio})</Text>
+                </View>
+                {plan.lines.map((l) => {
+                  const f = getFert(l.fertId);
+                  const note = l.kept ? ` · ${l.kept}, kept` : l.fixed ? (roundMode === "step" ? "" : " · no pack size") : ` · ${l.units} × ${ROUND_UNIT[roundMode]}`;
+                  return (
+                    <View key={l.key} style={styles.convRow}>
+                      <Text style={{ flex: 1 }} numberOfLines={1}>{f.name}<Text style={{ color: "#888", fontSize: 12 }}>{note}</Text></Text>
+                      <Text style={styles.convCell}>{amountText(f, l.before)}</Text>
+                      <Text style={[styles.convCell, { fontWeight: "700" }]}>{amountText(f, l.after)}</Text>
+                    </View>
+                  );
+                })}
+                <View style={[styles.convRow, { marginTop: 10 }]}>
+                  <Text style={[styles.smallLabel, { flex: 1 }]}>ppm drift at dripper</Text>
+                  <Text style={[styles.smallLabel, styles.convCell]}>Now</Text>
+                  <Text style={[styles.smallLabel, styles.convCell]}>Rounded</Text>
+                </View>
+                {Object.entries(plan.drift).map(([k, pct]) => (
+                  <View key={k} style={styles.convRow}>
+                    <Text style={{ flex: 1 }}>{NUTRIENT_LABEL[k] || k}</Text>
+                    <Text style={styles.convCell}>{team.number(plan.ppmBefore[k], dpOf(k))}</Text>
+                    <Text style={[styles.convCell, { fontWeight: "700" }, Math.abs(pct) > 5 && { color: WARN_COLOR.caution }]}>
+                      {team.number(plan.ppmAfter[k], dpOf(k))} ({pct >= 0 ? "+" : ""}{team.number(pct, 1)}%)
+                    </Text>
+                  </View>
+                ))}
+                <Text style={{ color: "#666", fontSize: 12, marginTop: 6 }}>
+                  {roundAdjust === "ratio" ? "Injector ratio" : "Stock volume"} refitted so the rounded amounts stay close to the current ppm.
+                </Text>
+                <View style={{ flexDirection: "row", marginTop: 10 }}>
+                  <Pressable onPress={applyRounding} style={[styles.pillBtn, { backgroundColor: "#222" }]}>
+                    <Text style={{ color: "#fff", fontWeight: "700" }}>Apply to this recipe</Text>
+                  </Pressable>
+                </View>
+              </>
+            )}
+          </>
+        )}
+      </View>
+
       <View style={styles.card}>
-        <Text style={styles.section}>Totals at dripper (ppm)</Text>
+        <Text style={styles.section}>Totals at dripper ({UNIT_LABEL[units.unit]}){split ? " — combined" : ""}</Text>
+        <UnitPicker units={units} onChange={setUnits} />
         {loading ? <ActivityIndicator /> : (
           <>
             <View style={styles.grid}>
-              <Box label="N" value={results.ppm.N} dp={0} />
-              <Box label="P₂O₅" value={results.ppm.P2O5} dp={0} />
-              <Box label="K₂O" value={results.ppm.K2O} dp={0} />
-              <Box label="Ca" value={results.ppm.Ca} dp={0} />
-              <Box label="Mg (elemental)" value={results.ppm.Mg} dp={0} />
-              <Box label="S" value={results.ppm.S} dp={0} />
+              <Box {...uBox("N")} sub={waterSub("N")} />
+              <Box {...uBox("P2O5")} sub={waterSub("P2O5")} />
+              <Box {...uBox("K2O")} sub={waterSub("K2O")} />
+              <Box {...uBox("Ca")} sub={waterSub("Ca")} />
+              <Box {...uBox("Mg")} sub={waterSub("Mg")} />
+              <Box {...uBox("S")} sub={waterSub("S")} />
+            </View>
+
+            {!!water && (
+              <>
+                <Text style={[styles.section, { marginTop: 12 }]}>Accumulating ions ({UNIT_LABEL[units.unit]}, from water)</Text>
+                <View style={styles.grid}>
+                  <Box {...uBox("Na")} warn={results.ppm.Na > ACCUMULATING_LIMITS.Na} />
+                  <Box {...uBox("Cl")} warn={results.ppm.Cl > ACCUMULATING_LIMITS.Cl} />
+                  <Box {...uBox("HCO3")} />
+                </View>
+              </>
+            )}
+
+            <Text style={[styles.section, { marginTop: 12 }]}>Nitrogen forms ({UNIT_LABEL[units.unit]} N)</Text>
+            <View style={styles.grid}>
+              <Box {...uBox("NO3", nf.NO3)} />
+              <Box {...uBox("NH4", nf.NH4)} />
+              <Box {...uBox("Urea", nf.Urea)} />
+              <Box label="NH₄ share of N (%)" value={nf.nh4Share * 100} dp={1} />
+              {nf.unspecified > 0.5 && <Box {...uBox("N", nf.unspecified)} label="N, form unknown" dev={null} />}
+            </View>
+
+            <Text style={[styles.section, { marginTop: 12 }]}>Ratios</Text>
+            <View style={styles.grid}>
+              <Box label="N : K₂O (mass)" value={ratios.N_K2O} dp={2} sub={`N : K ${ratios.N_K_meq.toFixed(2)} meq`} dev={ratioDev.N_K2O} />
+              <Box label="K : Ca (meq)" value={ratios.K_Ca} dp={2} sub={`mass ${ratios.K_Ca_mass.toFixed(2)}`} dev={ratioDev.K_Ca} />
+              <Box label="K share (% meq)" value={ratios.shares.K} dp={0} dev={ratioDev.K_share} />
+              <Box label="Ca share (% meq)" value={ratios.shares.Ca} dp={0} dev={ratioDev.Ca_share} />
+              <Box label="Mg share (% meq)" value={ratios.shares.Mg} dp={0} dev={ratioDev.Mg_share} />
             </View>
+            <Text style={{ color: "#666", fontSize: 12, marginTop: 6 }}>
+              K : Ca : Mg — mass {ratioText([ratios.mass.K, ratios.mass.Ca, ratios.mass.Mg])} · meq{" "}
+              {ratioText([ratios.meq.K, ratios.meq.Ca, ratios.meq.Mg])}
+            </Text>
 
-            <Text style={[styles.section, { marginTop: 12 }]}>Micros (ppm)</Text>
+            <Text style={[styles.section, { marginTop: 12 }]}>Micros ({units.unit === "ppm" ? "ppm" : "µmol/L"})</Text>
             <View style={styles.grid}>
-              <Box label="Fe" value={results.ppm.Fe} dp={2} />
-              <Box label="Mn" value={results.ppm.Mn} dp={2} />
-              <Box label="Zn" value={results.ppm.Zn} dp={2} />
-              <Box label="Cu" value={results.ppm.Cu} dp={2} />
-              <Box label="B" value={results.ppm.B} dp={2} />
-              <Box label="Mo" value={results.ppm.Mo} dp={2} />
-              <Box label="Total cost (RM)" value={results.costRM} dp={2} />
+              <Box {...uBox("Fe")} />
+              <Box {...uBox("Mn")} />
+              <Box {...uBox("Zn")} />
+              <Box {...uBox("Cu")} />
+              <Box {...uBox("B")} />
+              <Box {...uBox("Mo")} />
             </View>
 
             <Text style={[styles.section, { marginTop: 12 }]}>EC</Text>
             <View style={styles.grid}>
-              <Box label="EC est. (mS/cm)" value={ecEstimate} dp={2} />
+              <Box label="EC est. (mS/cm)" value={ecEstimate} dp={2} dev={dev.EC} />
+              <Box label="Cations (meq/L)" value={results.balance.cationMeq} dp={1} />
+              <Box label="Anions (meq/L)" value={results.balance.anionMeq} dp={1} />
+              <Box label="Ion balance (%)" value={results.balance.imbalancePct} dp={1} warn={Math.abs(results.balance.imbalancePct) > 10} />
             </View>
             <View style={{ marginTop: 8, gap: 8 }}>
-              <L label="EC scale (multiplier)" v={ecScale} onChangeText={setEcScale} keyboardType="decimal-pad" />
+              <L label="EC scale (calibration multiplier)" v={ecScale} onChangeText={setEcScale} keyboardType="decimal-pad" />
               <L label="Target EC (mS/cm) — optional" v={ecTarget} onChangeText={setEcTarget} keyboardType="decimal-pad" />
               <L label="Measured EC (mS/cm) — optional" v={ecMeasured} onChangeText={setEcMeasured} keyboardType="decimal-pad" />
               {!!Number(ecTarget) && (
@@ -314,10 +864,44 @@ return `<tr><td>${i+1}</td><td>${f?.name||""}</td><td>${r.gramsTotal||"0"} ${uni
         )}
       </View>
 
+      <View style={styles.card}>
+        <Text style={styles.section}>Cost</Text>
+        <View style={{ flexDirection: "row", gap: 8, marginTop: 8 }}>
+          <View style={{ flex: 1 }}><L label="L / plant / day" v={irrigL} onChangeText={setIrrigL} keyboardType="decimal-pad" placeholder="—" /></View>
+          <View style={{ flex: 1 }}><L label="Plants" v={plants} onChangeText={setPlants} keyboardType="number-pad" placeholder="—" /></View>
+          <View style={{ flex: 1 }}><L label="Area (ha)" v={areaHa} onChangeText={setAreaHa} keyboardType="decimal-pad" placeholder="—" /></View>
+        </View>
+        <View style={styles.grid}>
+          <Box label={`Batch (${team.symbol})`} value={results.cost} dp={team.dp} sub={`${Math.round(costs.dripperL)} L at dripper (${volStock} L × ${injRatio})`} />
+          <Box label={`Per 1000 L (${team.symbol})`} value={costs.per1000L} dp={team.dp} />
+          {costs.perPlantDay != null && <Box label={`Per plant / day (${team.symbol})`} value={costs.perPlantDay} dp={team.dp + 2} />}
+          {costs.perDay != null && <Box label={`Per day (${team.symbol})`} value={costs.perDay} dp={team.dp} sub={`batch lasts ${team.number(costs.batchDays, 1)} days`} />}
+          {costs.perHaWeek != null && <Box label={`Per ha / week (${team.symbol})`} value={costs.perHaWeek} dp={team.dp} />}
+        </View>
+        {costs.drivers.length > 0 && (
+          <>
+            <Text style={[styles.smallLabel, { marginTop: 10 }]}>Cost drivers</Text>
+            {costs.drivers.map((d) => (
+              <View key={d.fertId} style={styles.convRow}>
+                <Text style={{ flex: 1 }} numberOfLines={1}>{d.name}</Text>
+                <Text style={styles.convCell}>{team.number(d.per1000L, team.dp)} / 1000 L</Text>
+                <Text style={[styles.convCell, { width: 60, fontWeight: "700" }]}>{team.number(d.share, 0)}%</Text>
+              </View>
+            ))}
+          </>
+        )}
+      </View>
+
       <View style={{ flexDirection: "row", gap: 10 }}>
+        <Pressable onPress={() => setRecipeShared((v) => !v)} style={[styles.printBtn, { backgroundColor: "#eee", paddingHorizontal: 12 }]}>
+          <Ionicons name={recipeShared ? "people-outline" : "lock-closed-outline"} size={18} /><Text style={{ fontWeight: "600" }}>{recipeShared ? "Shared" : "Private"}</Text>
+        </Pressable>
         <Pressable onPress={saveRecipe} style={[styles.printBtn, { backgroundColor: "#2e7d32" }]}>
           <Ionicons name="save-outline" size={18} color="#fff" /><Text style={styles.printText}>Save</Text>
         </Pressable>
+        <Pressable onPress={onMixed} style={[styles.printBtn, { backgroundColor: "#1565c0" }]}>
+          <Ionicons name="checkmark-done-outline" size={18} color="#fff" /><Text style={styles.printText}>Mixed</Text>
+        </Pressable>
         <Pressable onPress={onPrint} style={styles.printBtn}>
           <Ionicons name="print-outline" size={18} color="#fff" /><Text style={styles.printText}>Print Work Order</Text>
         </Pressable>
@@ -334,11 +918,12 @@ return `<tr><td>${i+1}</td><td>${f?.name||""}</td><td>${r.gramsTotal||"0"} ${uni
                 .filter((f) => (f.name || "").toLowerCase().includes(pickerFilter.trim().toLowerCase()))
                 .map((f) => (
                   <Pressable key={f.id} onPress={() => selectFert(pickerIndex, f)} style={styles.pickRow}>
-                    <Ionicons name="leaf-outline" size={18} style={{ marginRight: 8 }} />
+                    <Ionicons name={isLiquid(f) ? "water-outline" : "leaf-outline"} size={18} style={{ marginRight: 8 }} />
                     <View style={{ flex: 1 }}>
                       <Text style={{ fontWeight: "600" }}>{f.name}</Text>
                       <Text style={{ color: "#666", fontSize: 12 }}>
-                        {f.bag_size_kg ? `${f.bag_size_kg} kg` : "—"} · {f.price_per_bag ? `RM ${f.price_per_bag}` : "no price"}
+                        {isLiquid(f) && f.container_l ? `${f.container_l} L` : f.bag_size_kg ? `${f.bag_size_kg} kg` : "—"} · {f.price_per_bag ? team.money(f.price_per_bag) : "no price"}
+                        {f.price_date ? ` (since ${f.price_date})` : ""}
                       </Text>
                     </View>
                   </Pressable>
@@ -363,10 +948,49 @@ function L({ label, v, style, ...rest }) {
     </View>
   );
 }
-function Box({ label, value, dp = 0 }) {
+// ppm / mmol / meq and the oxide basis for the totals (units.js)
+function UnitPicker({ units, onChange }) {
+  const seg = (key, options) => (
+    <View style={styles.segment}>
+      {options.map(([k, label]) => (
+        <Pressable key={k} onPress={() => onChange({ ...units, [key]: k })} style={[styles.segBtn, units[key] === k && styles.segActive]}>
+          <Text style={[styles.segText, units[key] === k && styles.segTextActive]}>{label}</Text>
+        </Pressable>
+      ))}
+    </View>
+  );
+  return (
+    <View style={{ flexDirection: "row", flexWrap: "wrap", gap: 8 }}>
+      {seg("unit", [["ppm", "ppm"], ["mmol", "mmol/L"], ["meq", "meq/L"]])}
+      {units.unit === "ppm" && seg("form", [["label", "P₂O₅ · K₂O"], ["oxide", "All oxides"], ["elemental", "Elemental"]])}
+    </View>
+  );
+}
+
+const WARN_COLOR = { caution: "#e69500", danger: "#c00" };
+const worst = (list) => (list.some((w) => w.level === "danger") ? "danger" : "caution");
+function Warn({ w }) {
+  return (
+    <View style={{ flexDirection: "row", alignItems: "flex-start", gap: 6, marginTop: 4 }}>
+      <Ionicons name="warning-outline" size={14} color={WARN_COLOR[w.level]} style={{ marginTop: 2 }} />
+      <Text style={{ flex: 1, color: WARN_COLOR[w.level], fontSize: 12 }}><Text style={{ fontWeight: "700" }}>{w.title}: </Text>{w.message}</Text>
+    </View>
+  );
+}
+const DEV_COLOR = { ok: "#2e7d32", ...WARN_COLOR }; // vs the selected target profile
+
+function Box({ label, value, dp = 0, sub, warn, dev }) {
   const n = Number(value);
-  const text = Number.isFinite(n) ? n.toFixed(dp) : (0).toFixed(dp);
-  return (<View style={styles.box}><Text style={styles.boxLabel}>{label}</Text><Text style={styles.boxValue}>{text}</Text></View>);
+  const { number } = useTeamSettings();
+  const text = number(Number.isFinite(n) ? n : 0, dp);
+  const color = warn ? "#c00" : dev ? DEV_COLOR[dev.level] : null;
+  return (
+    <View style={[styles.box, color && { borderColor: color }]}>
+      <Text style={styles.boxLabel}>{label}</Text><Text style={[styles.boxValue, color && { color }]}>{text}</Text>
+      {!!sub && <Text style={styles.boxSub}>{sub}</Text>}
+      {!!dev && <Text style={[styles.boxSub, { color: DEV_COLOR[dev.level] }]}>opt {number(dev.opt, dp)} · {dev.pct >= 0 ? "+" : ""}{dev.pct.toFixed(0)}%</Text>}
+    </View>
+  );
 }
 
 const styles = StyleSheet.create({
@@ -383,10 +1007,12 @@ const styles = StyleSheet.create({
   addBtn: { flexDirection: "row", alignItems: "center", gap: 6, backgroundColor: "#222", paddingHorizontal: 12, height: 40, borderRadius: 10 },
   addText: { color: "#fff", fontWeight: "700" },
   rowCard: { marginTop: 10, borderWidth: 1, borderColor: "#eee", borderRadius: 10, padding: 10, flexDirection: "row", alignItems: "flex-end" },
+  tankBtn: { marginLeft: 10, height: 44, minWidth: 52, borderRadius: 10, alignItems: "center", justifyContent: "center", borderWidth: 1, borderColor: "#ddd" },
   trashBtn: { marginLeft: 10, height: 40, width: 40, borderRadius: 10, alignItems: "center", justifyContent: "center", borderWidth: 1, borderColor: "#eee" },
   grid: { flexDirection: "row", flexWrap: "wrap", gap: 8, marginTop: 10 },
   box: { width: "31%", minWidth: 150, borderWidth: 1, borderColor: "#eee", borderRadius: 10, padding: 10 },
   boxLabel: { color: "#666", fontSize: 12 }, boxValue: { fontSize: 18, fontWeight: "700" },
+  boxSub: { color: "#888", fontSize: 11, marginTop: 2 },
   printBtn: { marginTop: 8, backgroundColor: "#222", height: 46, borderRadius: 10, alignItems: "center", justifyContent: "center", flexDirection: "row", gap: 8 },
   printText: { color: "#fff", fontWeight: "700" },
   modalBackdrop: { flex: 1, backgroundColor: "rgba(0,0,0,0.3)", justifyContent: "center", padding: 20 },
@@ -394,4 +1020,6 @@ const styles = StyleSheet.create({
   modalTitle: { fontSize: 18, fontWeight: "700", marginBottom: 8 },
   pickRow: { flexDirection: "row", alignItems: "center", paddingVertical: 8, paddingHorizontal: 6, borderBottomWidth: StyleSheet.hairlineWidth, borderColor: "#eee" },
   pillBtn: { paddingHorizontal: 14, height: 40, alignItems: "center", justifyContent: "center", borderRadius: 10 },
+  convRow: { flexDirection: "row", alignItems: "center", gap: 8, paddingVertical: 4, borderBottomWidth: StyleSheet.hairlineWidth, borderColor: "#eee" },
+  convCell: { width: 120, textAlign: "right" },
 });
\ No newline at end of file
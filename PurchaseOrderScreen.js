@@ -0,0 +1,269 @@
+// PurchaseOrderScreen.js — purchase order builder
+// - Start from low-stock items (reorder_kg) or from planned batches of saved recipes
+// - Lines grouped by supplier (cheapest per kg by default, switchable), bags editable
+// - Print in the work-order HTML style, or export CSV
+
+import React, { useCallback, useLayoutEffect, useMemo, useState } from "react";
+import { ActivityIndicator, Alert, Platform, Pressable, ScrollView, Share, StyleSheet, Text, TextInput, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useFocusEffect } from "@react-navigation/native";
+import { supabase } from "./supabaseClient";
+import { useTeamSettings } from "./TeamSettings";
+import { stockOnHand } from "./inventory";
+import { buildPo, lowStockNeeds, poCsv, poHtml, recipeNeeds } from "./purchaseOrder";
+import { nowBatchId } from "./mixCalc";
+import { today } from "./priceHistory";
+import { inWorkspace, ofWorkspace, useWorkspace } from "./Workspace";
+
+export default function PurchaseOrderScreen({ navigation }) {
+  const team = useTeamSettings();
+  const ws = useWorkspace();
+  const [loading, setLoading] = useState(true);
+  const [catalog, setCatalog] = useState([]);
+  const [onHand, setOnHand] = useState(new Map());
+  const [suppliers, setSuppliers] = useState([]);
+  const [offers, setOffers] = useState([]);
+  const [recipes, setRecipes] = useState([]);
+
+  const [source, setSource] = useState("low"); // "low" | "recipes"
+  const [planned, setPlanned] = useState({}); // recipe id → batches
+  const [useStock, setUseStock] = useState(true);
+  const [choice, setChoice] = useState({}); // fertId → offer id | "none"
+  const [bags, setBags] = useState({}); // fertId → bags typed
+  const [poNo, setPoNo] = useState(`PO-${nowBatchId()}`);
+  const [notes, setNotes] = useState("");
+
+  useLayoutEffect(() => {
+    navigation.setOptions({
+      title: "Purchase order",
+      headerRight: () => (
+        <Pressable
+          onPress={() => navigation.navigate("Suppliers")}
+          style={{ paddingHorizontal: 8, flexDirection: "row", alignItems: "center", gap: 4 }}
+          accessibilityLabel="Suppliers"
+        >
+          <Ionicons name="business-outline" size={22} />
+          <Text style={{ fontWeight: "600" }}>Suppliers</Text>
+        </Pressable>
+      ),
+    });
+  }, [navigation]);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [f, mv, s, sp, r] = await Promise.all([
+        inWorkspace(supabase.from("fertilizers").select("id,name,bag_size_kg,price_per_bag,reorder_kg"), ws).order("name", { ascending: true }),
+        ofWorkspace(supabase.from("stock_on_hand").select("fertilizer_id,grams"), ws),
+        ofWorkspace(supabase.from("suppliers").select("*"), ws).order("name", { ascending: true }),
+        ofWorkspace(supabase.from("supplier_products").select("*"), ws),
+        inWorkspace(supabase.from("recipes").select("id,batch_id,created_at,items"), ws).order("created_at", { ascending: false }).limit(50),
+      ]);
+      const failed = [f, mv, s, sp, r].find((x) => x.error);
+      if (failed) throw failed.error;
+      setCatalog(f.data ?? []);
+      setOnHand(stockOnHand(mv.data ?? []));
+      setSuppliers(s.data ?? []);
+      setOffers(sp.data ?? []);
+      setRecipes(r.data ?? []);
+    } catch (e) {
+      Alert.alert("Load error", e.message ?? String(e));
+    } finally {
+      setLoading(false);
+    }
+  }, [ws.current?.id, ws.userId]);
+  useFocusEffect(useCallback(() => { load(); }, [load]));
+
+  const needs = useMemo(() => {
+    if (source === "low") return lowStockNeeds(catalog, onHand, { number: team.number });
+    const plan = recipes.filter((r) => planned[r.id] > 0).map((r) => ({ recipe: r, batches: planned[r.id] }));
+    return recipeNeeds(plan, onHand, { useStock });
+  }, [source, catalog, onHand, recipes, planned, useStock, team.number]);
+
+  const po = useMemo(
+    () => buildPo({ needs, catalog, offers, suppliers, choice, bags }),
+    [needs, catalog, offers, suppliers, choice, bags]
+  );
+
+  const step = (id, d) => setPlanned((p) => ({ ...p, [id]: Math.max(0, (p[id] || 0) + d) }));
+
+  const onPrint = () => {
+    if (!po.groups.length) return;
+    const html = poHtml(po, { poNo, date: today(), notes, fmt: { money: team.money, number: team.number } });
+    const w = window.open("", "_blank");
+    w.document.write(html);
+    w.document.close();
+  };
+
+  const onExport = async () => {
+    if (!po.groups.length) return;
+    try {
+      const csv = poCsv(po, { poNo, fmt: { number: team.number } });
+      if (Platform.OS === "web") {
+        const url = URL.createObjectURL(new Blob([csv], { type: "text/csv;charset=utf-8" }));
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = `${poNo}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+      } else {
+        await Share.share({ title: `${poNo}.csv`, message: csv });
+      }
+    } catch (e) {
+      Alert.alert("Export error", e.message ?? String(e));
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={[styles.container, { alignItems: "center", justifyContent: "center" }]}>
+        <ActivityIndicator />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={{ paddingBottom: 24 }}>
+      <View style={styles.card}>
+        <Text style={styles.section}>Order for</Text>
+        <View style={[styles.segment, { alignSelf: "flex-start" }]}>
+          <Seg active={source === "low"} onPress={() => setSource("low")} label="Low stock" />
+          <Seg active={source === "recipes"} onPress={() => setSource("recipes")} label="Planned recipes" />
+        </View>
+        {source === "low" ? (
+          <Text style={[styles.hint, { marginTop: 8 }]}>
+            Items at or below their reorder level, topped up to twice that level. Set levels on each fertilizer.
+          </Text>
+        ) : (
+          <>
+            {recipes.map((r) => (
+              <View key={r.id} style={styles.recipeRow}>
+                <Text style={{ flex: 1 }} numberOfLines={1}>
+                  {r.batch_id || "(no batch id)"} <Text style={styles.hint}>{String(r.created_at || "").slice(0, 10)}</Text>
+                </Text>
+                <Pressable onPress={() => step(r.id, -1)} style={styles.stepBtn}><Text>−</Text></Pressable>
+                <Text style={{ width: 28, textAlign: "center", fontWeight: "700" }}>{planned[r.id] || 0}</Text>
+                <Pressable onPress={() => step(r.id, 1)} style={styles.stepBtn}><Text>+</Text></Pressable>
+              </View>
+            ))}
+            {recipes.length === 0 && <Text style={styles.hint}>No saved recipes yet.</Text>}
+            <Pressable onPress={() => setUseStock((v) => !v)} style={{ flexDirection: "row", alignItems: "center", gap: 6, marginTop: 10 }}>
+              <Ionicons name={useStock ? "checkbox-outline" : "square-outline"} size={20} />
+              <Text>Subtract stock on hand</Text>
+            </Pressable>
+          </>
+        )}
+      </View>
+
+      {po.groups.map((g) => (
+        <View key={g.supplier?.id ?? "none"} style={styles.card}>
+          <View style={{ flexDirection: "row", alignItems: "center" }}>
+            <Text style={[styles.section, { flex: 1, marginBottom: 0 }]}>{g.supplier ? g.supplier.name : "No supplier assigned"}</Text>
+            <Text style={{ fontWeight: "700" }}>{team.money(g.total)}</Text>
+          </View>
+          {g.lines.map((l) => (
+            <View key={l.fertId} style={styles.line}>
+              <View style={{ flexDirection: "row", alignItems: "center", gap: 8 }}>
+                <View style={{ flex: 1 }}>
+                  <Text style={{ fontWeight: "600" }}>{l.name}{l.sku ? ` · ${l.sku}` : ""}</Text>
+                  <Text style={styles.hint}>
+                    need {team.number(l.needKg, 1)} kg · {l.reason}
+                  </Text>
+                </View>
+                <TextInput
+                  value={bags[l.fertId] ?? (l.bags != null ? String(l.bags) : "")}
+                  onChangeText={(t) => setBags((p) => ({ ...p, [l.fertId]: t }))}
+                  keyboardType="number-pad"
+                  placeholder="bags"
+                  style={[styles.input, { width: 64, textAlign: "center" }]}
+                />
+                <Text style={{ width: 90, textAlign: "right" }}>
+                  {l.bagKg ? `× ${l.bagKg} kg` : "no bag size"}
+                  {"\n"}
+                  <Text style={{ fontWeight: "600" }}>{l.total != null ? team.money(l.total) : "no price"}</Text>
+                </Text>
+              </View>
+              {l.offers.length > 0 && (
+                <View style={styles.chips}>
+                  {l.offers.map((o) => (
+                    <Pressable
+                      key={o.id}
+                      onPress={() => setChoice((p) => ({ ...p, [l.fertId]: o.id }))}
+                      style={[styles.chip, l.offerId === o.id && styles.chipActive]}
+                    >
+                      <Text style={[{ fontSize: 12, fontWeight: "600" }, l.offerId === o.id && { color: "#fff" }]}>
+                        {o.supplier}{Number.isFinite(o.perKg) ? ` · ${team.money(o.perKg, 2)}/kg` : ""}
+                      </Text>
+                    </Pressable>
+                  ))}
+                  <Pressable
+                    onPress={() => setChoice((p) => ({ ...p, [l.fertId]: "none" }))}
+                    style={[styles.chip, !l.offerId && styles.chipActive]}
+                  >
+                    <Text style={[{ fontSize: 12, fontWeight: "600" }, !l.offerId && { color: "#fff" }]}>none</Text>
+                  </Pressable>
+                </View>
+              )}
+            </View>
+          ))}
+        </View>
+      ))}
+      {po.groups.length === 0 && (
+        <View style={styles.card}>
+          <Text style={styles.hint}>
+            {source === "low" ? "Nothing is below its reorder level." : "Plan some batches above to see what to order."}
+          </Text>
+        </View>
+      )}
+
+      <View style={styles.card}>
+        <Text style={styles.smallLabel}>PO number</Text>
+        <TextInput value={poNo} onChangeText={setPoNo} style={styles.input} />
+        <Text style={styles.smallLabel}>Notes</Text>
+        <TextInput value={notes} onChangeText={setNotes} style={styles.input} placeholder="delivery address, dates…" />
+        <Text style={{ fontSize: 16, fontWeight: "700" }}>Total {team.money(po.total)}</Text>
+      </View>
+
+      <View style={{ flexDirection: "row", gap: 10 }}>
+        <Pressable onPress={onExport} style={[styles.printBtn, { backgroundColor: "#2e7d32" }]}>
+          <Ionicons name="download-outline" size={18} color="#fff" />
+          <Text style={styles.printText}>Export CSV</Text>
+        </Pressable>
+        <Pressable onPress={onPrint} style={styles.printBtn}>
+          <Ionicons name="print-outline" size={18} color="#fff" />
+          <Text style={styles.printText}>Print PO</Text>
+        </Pressable>
+      </View>
+    </ScrollView>
+  );
+}
+
+function Seg({ active, onPress, label }) {
+  return (
+    <Pressable onPress={onPress} style={[styles.segBtn, active && styles.segActive]}>
+      <Text style={[styles.segText, active && styles.segTextActive]}>{label}</Text>
+    </Pressable>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#fff", padding: 16 },
+  card: { borderWidth: 1, borderColor: "#eee", borderRadius: 12, padding: 12, marginBottom: 12, backgroundColor: "#fff" },
+  section: { fontSize: 16, fontWeight: "700", marginBottom: 8 },
+  hint: { color: "#666", fontSize: 12 },
+  smallLabel: { color: "#555", marginBottom: 4, fontSize: 13 },
+  input: { borderWidth: 1, borderColor: "#ddd", borderRadius: 10, paddingHorizontal: 12, height: 44, marginBottom: 10 },
+  segment: { flexDirection: "row", borderWidth: 1, borderColor: "#ddd", borderRadius: 10, overflow: "hidden" },
+  segBtn: { paddingHorizontal: 12, height: 36, alignItems: "center", justifyContent: "center" },
+  segActive: { backgroundColor: "#222" },
+  segText: { color: "#222", fontWeight: "600" },
+  segTextActive: { color: "#fff" },
+  recipeRow: { flexDirection: "row", alignItems: "center", gap: 6, paddingVertical: 6, borderBottomWidth: StyleSheet.hairlineWidth, borderColor: "#eee" },
+  stepBtn: { width: 32, height: 32, borderRadius: 8, borderWidth: 1, borderColor: "#ddd", alignItems: "center", justifyContent: "center" },
+  line: { paddingVertical: 8, borderTopWidth: StyleSheet.hairlineWidth, borderColor: "#eee", marginTop: 8 },
+  chips: { flexDirection: "row", flexWrap: "wrap", gap: 6 },
+  chip: { borderWidth: 1, borderColor: "#ddd", borderRadius: 14, paddingHorizontal: 10, height: 28, justifyContent: "center" },
+  chipActive: { backgroundColor: "#222", borderColor: "#222" },
+  printBtn: { flex: 1, marginTop: 8, backgroundColor: "#222", height: 46, borderRadius: 10, alignItems: "center", justifyContent: "center", flexDirection: "row", gap: 8 },
+  printText: { color: "#fff", fontWeight: "700" },
+});
@@ -0,0 +1,195 @@
+// SavedPicker.js — chip row + editor for named rows kept in a Supabase table
+// - Used by WaterSourcePicker ("water_sources") and TargetProfilePicker ("target_profiles")
+// - The caller supplies the editor fields and the row ⇄ form conversion; loading, the
+//   chips, save / delete and keeping the parent's object in sync live here
+// - The caller scopes the rows to the current workspace (`scope`, plus workspace_id in
+//   `insertExtra`); SavedPicker doesn't import Workspace.js, which uses its Chip
+// - Chip and EditorModal are also used on their own (TeamSettings)
+
+import React, { useCallback, useEffect, useState } from "react";
+import { Alert, Modal, Pressable, StyleSheet, Text, TextInput, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { supabase } from "./supabaseClient";
+
+export default function SavedPicker({
+  table,
+  columns, // select list, e.g. "id,name,analysis"
+  value, // selected id
+  onChange, // (row | null)
+  noun, // "water source" → "New water source", "Please name this water source."
+  placeholder, // for the name field
+  toForm, // (row | undefined) → editor state for the fields
+  fromForm, // (editor state) → columns to save, or null when invalid (it explains why)
+  scope, // (query) → query limited to the current workspace (ofWorkspace / inWorkspace)
+  insertExtra, // columns only set on new rows, e.g. { shared: true, workspace_id }
+  renderFields, // (form, setForm) → the editor fields
+  renderChips, // (rows, reload) → extra chips after New / Edit
+  footer, // note under the fields
+}) {
+  const [rows, setRows] = useState([]);
+  const [editing, setEditing] = useState(null); // { id?, name, form }
+
+  const load = useCallback(async () => {
+    try {
+      const query = supabase.from(table).select(columns);
+      const { data, error } = await (scope ? scope(query) : query).order("name", { ascending: true });
+      if (error) throw error;
+      setRows(data ?? []);
+    } catch (e) {
+      Alert.alert("Load error", e.message ?? String(e));
+    }
+  }, [table, columns, scope]);
+  useEffect(() => { load(); }, [load]);
+
+  // keep the parent's object in sync after edits, or when only the id is known (a loaded recipe)
+  useEffect(() => {
+    if (!value) return;
+    const r = rows.find((x) => x.id === value);
+    if (r) onChange(r);
+  }, [value, rows]);
+
+  const openEditor = (r) => setEditing({ id: r?.id, name: r?.name ?? "", form: toForm(r) });
+  const setForm = (fn) => setEditing((p) => ({ ...p, form: fn(p.form) }));
+
+  const save = async () => {
+    const name = editing.name.trim();
+    if (!name) {
+      Alert.alert("Name required", `Please name this ${noun}.`);
+      return;
+    }
+    const patch = fromForm(editing.form);
+    if (!patch) return;
+    try {
+      let saved;
+      if (editing.id) {
+        const { data, error } = await supabase
+          .from(table).update({ name, ...patch }).eq("id", editing.id).select().single();
+        if (error) throw error;
+        saved = data;
+      } else {
+        const { data: u } = await supabase.auth.getUser();
+        if (!u?.user) {
+          Alert.alert("Not signed in", "Please sign in first.");
+          return;
+        }
+        const { data, error } = await supabase
+          .from(table).insert([{ owner: u.user.id, ...insertExtra, name, ...patch }]).select().single();
+        if (error) throw error;
+        saved = data;
+      }
+      setEditing(null);
+      await load();
+      onChange(saved);
+    } catch (e) {
+      Alert.alert("Save error", e.message ?? String(e));
+    }
+  };
+
+  const remove = async () => {
+    try {
+      const { error } = await supabase.from(table).delete().eq("id", editing.id);
+      if (error) throw error;
+      if (value === editing.id) onChange(null);
+      setEditing(null);
+      load();
+    } catch (e) {
+      Alert.alert("Delete error", e.message ?? String(e));
+    }
+  };
+
+  return (
+    <View>
+      <View style={styles.chips}>
+        <Chip active={!value} label="None" onPress={() => onChange(null)} />
+        {rows.map((r) => (
+          <Chip
+            key={r.id}
+            active={value === r.id}
+            label={r.name}
+            onPress={() => onChange(r)}
+            onLongPress={() => openEditor(r)}
+          />
+        ))}
+        <Pressable onPress={() => openEditor(null)} style={[styles.chip, { borderStyle: "dashed" }]}>
+          <Ionicons name="add" size={14} />
+          <Text>New</Text>
+        </Pressable>
+        {!!value && (
+          <Pressable onPress={() => openEditor(rows.find((r) => r.id === value))} style={styles.chip}>
+            <Ionicons name="create-outline" size={14} />
+            <Text>Edit</Text>
+          </Pressable>
+        )}
+        {renderChips?.(rows, load)}
+      </View>
+
+      <EditorModal
+        visible={!!editing}
+        title={editing?.id ? `Edit ${noun}` : `New ${noun}`}
+        onCancel={() => setEditing(null)}
+        onSave={save}
+        onDelete={editing?.id ? remove : null}
+      >
+        <TextInput
+          value={editing?.name ?? ""}
+          onChangeText={(t) => setEditing((p) => ({ ...p, name: t }))}
+          placeholder={placeholder}
+          style={styles.input}
+        />
+        {editing && renderFields(editing.form, setForm)}
+        {footer}
+      </EditorModal>
+    </View>
+  );
+}
+
+export function Chip({ active, label, onPress, onLongPress }) {
+  return (
+    <Pressable onPress={onPress} onLongPress={onLongPress} style={[styles.chip, active && styles.chipActive]}>
+      <Text style={[{ fontWeight: "600" }, active && { color: "#fff" }]} numberOfLines={1}>{label}</Text>
+    </Pressable>
+  );
+}
+
+// Card modal with a title and Delete (optional) / Cancel / Save
+export function EditorModal({ visible, title, onCancel, onSave, onDelete, children }) {
+  return (
+    <Modal visible={visible} animationType="slide" transparent>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.modalCard}>
+          <Text style={styles.modalTitle}>{title}</Text>
+          {children}
+          <View style={{ flexDirection: "row", justifyContent: "flex-end", gap: 10, marginTop: 10 }}>
+            {!!onDelete && (
+              <Pressable onPress={onDelete} style={[styles.pillBtn, { backgroundColor: "#fee" }]}>
+                <Text style={{ color: "#c00" }}>Delete</Text>
+              </Pressable>
+            )}
+            <Pressable onPress={onCancel} style={[styles.pillBtn, { backgroundColor: "#eee" }]}>
+              <Text>Cancel</Text>
+            </Pressable>
+            <Pressable onPress={onSave} style={[styles.pillBtn, { backgroundColor: "#222" }]}>
+              <Text style={{ color: "#fff", fontWeight: "600" }}>Save</Text>
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+export const pickerStyles = StyleSheet.create({
+  chips: { flexDirection: "row", flexWrap: "wrap", gap: 8, marginTop: 6 },
+  chip: {
+    flexDirection: "row", alignItems: "center", gap: 4,
+    borderWidth: 1, borderColor: "#ddd", borderRadius: 18, paddingHorizontal: 12, height: 36,
+  },
+  chipActive: { backgroundColor: "#222", borderColor: "#222" },
+  input: { borderWidth: 1, borderColor: "#ddd", borderRadius: 10, minHeight: 44, paddingHorizontal: 12, backgroundColor: "#fff", marginBottom: 8 },
+  smallLabel: { color: "#555", marginBottom: 6, fontSize: 13 },
+  modalBackdrop: { flex: 1, backgroundColor: "rgba(0,0,0,0.3)", justifyContent: "center", padding: 20 },
+  modalCard: { backgroundColor: "#fff", borderRadius: 14, padding: 16 },
+  modalTitle: { fontSize: 18, fontWeight: "700", marginBottom: 8 },
+  pillBtn: { paddingHorizontal: 14, height: 40, alignItems: "center", justifyContent: "center", borderRadius: 10 },
+});
+const styles = pickerStyles;
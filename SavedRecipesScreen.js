@@ -5,29 +5,39 @@ import { ActivityIndicator, Alert, FlatList, Pressable, StyleSheet, Text, TextIn
 import { Ionicons } from "@expo/vector-icons";
 import { supabase } from "./supabaseClient";
 import { useFocusEffect, useNavigation } from "@react-navigation/native";
+import { useTeamSettings } from "./TeamSettings";
+import { formatMoney } from "./money";
+import { batchesCovered, stockOnHand } from "./inventory";
+import { ShareBadge, inWorkspace, ofWorkspace, useWorkspace } from "./Workspace";
 
 export default function SavedRecipesScreen() {
   const nav = useNavigation();
+  const team = useTeamSettings();
+  const ws = useWorkspace();
   const [rows, setRows] = useState([]);
+  const [onHand, setOnHand] = useState(null); // fertilizer_id → grams; null until inventory is used
   const [loading, setLoading] = useState(true);
   const [q, setQ] = useState("");
 
   const load = useCallback(async () => {
     try {
       setLoading(true);
-      const { data, error } = await supabase
+      const { data, error } = await inWorkspace(supabase
         .from("recipes")
-        .select("id, created_at, batch_id, house_zone, operator, volume_l, cost_rm, dose_mode")
+        .select("id, created_at, batch_id, house_zone, operator, volume_l, cost, currency, cost_rm, costed_on, dose_mode, items, shared"), ws)
         .order("created_at", { ascending: false });
       if (error) throw error;
       setRows(data ?? []);
+      const { data: mv, error: mvErr } = await ofWorkspace(supabase.from("stock_on_hand").select("fertilizer_id,grams"), ws);
+      if (mvErr) throw mvErr;
+      setOnHand(mv?.length ? stockOnHand(mv) : null);
     } catch (e) {
       console.warn(e);
       Alert.alert("Load error", e.message ?? String(e));
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [ws.current?.id, ws.userId]);
 
   useFocusEffect(useCallback(() => { load(); }, [load]));
   useEffect(() => { load(); }, [load]);
@@ -59,29 +69,42 @@ export default function SavedRecipesScreen() {
     nav.navigate("Mix", { loadRecipeId: id });
   };
 
-  const renderItem = ({ item }) => (
-    <View style={styles.card}>
-      <View style={{ flex: 1 }}>
-        <Text style={styles.title}>{item.batch_id || "(no batch id)"}</Text>
-        <Text style={styles.sub}>
-          {new Date(item.created_at).toLocaleString()} · {item.house_zone || "—"} · {item.operator || "—"}
-        </Text>
-        <Text style={styles.sub}>
-          {item.dose_mode === "total" ? "Total g in tank" : "g/L"} · {item.volume_l} L · RM {Number(item.cost_rm || 0).toFixed(2)}
-        </Text>
-      </View>
-      <View style={styles.actions}>
-        <Pressable onPress={() => open(item.id)} style={styles.pill}>
-          <Ionicons name="open-outline" size={16} />
-          <Text style={styles.pillText}>Use</Text>
-        </Pressable>
-        <Pressable onPress={() => remove(item.id)} style={[styles.pill, { backgroundColor: "#fee" }]}>
-          <Ionicons name="trash-outline" size={16} color="#c00" />
-          <Text style={[styles.pillText, { color: "#c00" }]}>Delete</Text>
-        </Pressable>
+  // rows saved before the currency setting only have cost_rm (ringgit)
+  const renderItem = ({ item }) => {
+    const cover = onHand ? batchesCovered(item.items || [], onHand) : null;
+    return (
+      <View style={styles.card}>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.title}>{item.batch_id || "(no batch id)"}</Text>
+          <ShareBadge shared={item.shared} />
+          <Text style={styles.sub}>
+            {new Date(item.created_at).toLocaleString()} · {item.house_zone || "—"} · {item.operator || "—"}
+          </Text>
+          <Text style={styles.sub}>
+            {item.dose_mode === "total" ? "Total g in tank" : "g/L"} · {item.volume_l} L · {formatMoney(item.cost ?? item.cost_rm, { currency: item.currency || "MYR", locale: team.locale })}
+            {item.costed_on ? ` at ${item.costed_on} prices` : ""}
+          </Text>
+          {cover?.batches != null && (
+            <Text style={[styles.sub, cover.batches === 0 && { color: "#c00" }]}>
+              {cover.batches === 0
+                ? `Not enough stock: ${cover.short.join(", ")}`
+                : `Stock covers ${cover.batches} more batch${cover.batches === 1 ? "" : "es"} · limited by ${cover.limiting.name}`}
+            </Text>
+          )}
+        </View>
+        <View style={styles.actions}>
+          <Pressable onPress={() => open(item.id)} style={styles.pill}>
+            <Ionicons name="open-outline" size={16} />
+            <Text style={styles.pillText}>Use</Text>
+          </Pressable>
+          <Pressable onPress={() => remove(item.id)} style={[styles.pill, { backgroundColor: "#fee" }]}>
+            <Ionicons name="trash-outline" size={16} color="#c00" />
+            <Text style={[styles.pillText, { color: "#c00" }]}>Delete</Text>
+          </Pressable>
+        </View>
       </View>
-    </View>
-  );
+    );
+  };
 
   return (
     <View style={styles.container}>
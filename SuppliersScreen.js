@@ -0,0 +1,175 @@
+// SuppliersScreen.js — supplier registry (Supabase "suppliers")
+// - Add / edit / delete distributors and their contact details
+// - Per-fertilizer SKU, bag size and price live in "supplier_products" (edited on the fertilizer detail screen)
+// - Suppliers belong to the current workspace (see Workspace.js)
+
+import React, { useCallback, useEffect, useState } from "react";
+import { ActivityIndicator, Alert, FlatList, Modal, Pressable, StyleSheet, Text, TextInput, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { supabase } from "./supabaseClient";
+import { confirmAsync } from "./confirm";
+import { ofWorkspace, useWorkspace } from "./Workspace";
+
+const EMPTY = { name: "", contact: "", phone: "", email: "", notes: "" };
+
+export default function SuppliersScreen() {
+  const ws = useWorkspace();
+  const [rows, setRows] = useState([]);
+  const [counts, setCounts] = useState({}); // supplier_id → products linked
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // { id?, ...EMPTY }
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      const { data, error } = await ofWorkspace(supabase.from("suppliers").select("*"), ws).order("name", { ascending: true });
+      if (error) throw error;
+      setRows(data ?? []);
+      const { data: sp, error: spErr } = await ofWorkspace(supabase.from("supplier_products").select("supplier_id"), ws);
+      if (spErr) throw spErr;
+      setCounts((sp ?? []).reduce((c, r) => ({ ...c, [r.supplier_id]: (c[r.supplier_id] || 0) + 1 }), {}));
+    } catch (e) {
+      Alert.alert("Load error", e.message ?? String(e));
+    } finally {
+      setLoading(false);
+    }
+  }, [ws.current?.id]);
+  useEffect(() => { load(); }, [load]);
+
+  const save = async () => {
+    const name = editing.name.trim();
+    if (!name) {
+      Alert.alert("Name required", "Please enter the supplier name.");
+      return;
+    }
+    const patch = {
+      name,
+      contact: editing.contact.trim() || null,
+      phone: editing.phone.trim() || null,
+      email: editing.email.trim() || null,
+      notes: editing.notes.trim() || null,
+    };
+    try {
+      if (editing.id) {
+        const { data, error } = await supabase.from("suppliers").update(patch).eq("id", editing.id).select().single();
+        if (error) throw error;
+        setRows((p) => p.map((r) => (r.id === data.id ? data : r)));
+      } else {
+        const { data: u } = await supabase.auth.getUser();
+        if (!u?.user) {
+          Alert.alert("Not signed in", "Please sign in first.");
+          return;
+        }
+        const { data, error } = await supabase.from("suppliers").insert([{ owner: u.user.id, workspace_id: ws.current.id, ...patch }]).select().single();
+        if (error) throw error;
+        setRows((p) => [...p, data].sort((a, b) => a.name.localeCompare(b.name)));
+      }
+      setEditing(null);
+    } catch (e) {
+      Alert.alert("Save error", e.message ?? String(e));
+    }
+  };
+
+  const remove = async (s) => {
+    const msg = counts[s.id]
+      ? `Delete "${s.name}" and its ${counts[s.id]} product prices?`
+      : `Delete "${s.name}"?`;
+    if (!(await confirmAsync("Delete supplier", msg, { confirmText: "Delete", destructive: true }))) return;
+    try {
+      const { error: spErr } = await supabase.from("supplier_products").delete().eq("supplier_id", s.id);
+      if (spErr) throw spErr;
+      const { error } = await supabase.from("suppliers").delete().eq("id", s.id);
+      if (error) throw error;
+      setRows((p) => p.filter((r) => r.id !== s.id));
+    } catch (e) {
+      Alert.alert("Delete error", e.message ?? String(e));
+    }
+  };
+
+  const set = (k, v) => setEditing((p) => ({ ...p, [k]: v }));
+
+  return (
+    <View style={styles.container}>
+      <Pressable onPress={() => setEditing({ ...EMPTY })} style={styles.addBtn}>
+        <Ionicons name="add" size={20} color="#fff" />
+        <Text style={styles.addText}>Add supplier</Text>
+      </Pressable>
+
+      {loading ? (
+        <View style={{ flex: 1, alignItems: "center", justifyContent: "center" }}>
+          <ActivityIndicator />
+        </View>
+      ) : (
+        <FlatList
+          style={{ flex: 1, marginTop: 8 }}
+          data={rows}
+          keyExtractor={(s) => s.id}
+          onRefresh={load}
+          refreshing={false}
+          ListEmptyComponent={<Text style={{ color: "#666", marginTop: 12 }}>No suppliers yet.</Text>}
+          renderItem={({ item }) => (
+            <View style={styles.card}>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.name}>{item.name}</Text>
+                <Text style={styles.sub}>
+                  {[item.contact, item.phone, item.email].filter(Boolean).join(" · ") || "no contact details"}
+                </Text>
+                <Text style={styles.sub}>{counts[item.id] || 0} products priced</Text>
+              </View>
+              <Pressable onPress={() => setEditing({ ...EMPTY, ...Object.fromEntries(Object.entries(item).map(([k, v]) => [k, v ?? ""])) })} style={styles.iconBtn}>
+                <Ionicons name="create-outline" size={20} />
+              </Pressable>
+              <Pressable onPress={() => remove(item)} style={styles.iconBtn}>
+                <Ionicons name="trash-outline" size={20} color="#c00" />
+              </Pressable>
+            </View>
+          )}
+        />
+      )}
+
+      <Modal visible={!!editing} animationType="slide" transparent>
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>{editing?.id ? "Edit supplier" : "New supplier"}</Text>
+            {[["name", "Name"], ["contact", "Contact person"], ["phone", "Phone"], ["email", "Email"], ["notes", "Notes"]].map(([k, label]) => (
+              <View key={k}>
+                <Text style={styles.smallLabel}>{label}</Text>
+                <TextInput value={editing?.[k] ?? ""} onChangeText={(t) => set(k, t)} style={styles.input} />
+              </View>
+            ))}
+            <View style={{ flexDirection: "row", justifyContent: "flex-end", gap: 10, marginTop: 4 }}>
+              <Pressable onPress={() => setEditing(null)} style={[styles.pillBtn, { backgroundColor: "#eee" }]}>
+                <Text>Cancel</Text>
+              </Pressable>
+              <Pressable onPress={save} style={[styles.pillBtn, { backgroundColor: "#222" }]}>
+                <Text style={{ color: "#fff", fontWeight: "600" }}>Save</Text>
+              </Pressable>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, padding: 16, backgroundColor: "#fff" },
+  addBtn: {
+    flexDirection: "row", alignItems: "center", justifyContent: "center", gap: 6,
+    backgroundColor: "#222", height: 44, borderRadius: 10,
+  },
+  addText: { color: "#fff", fontWeight: "600" },
+  card: {
+    flexDirection: "row", alignItems: "center", borderWidth: 1, borderColor: "#eee",
+    borderRadius: 12, padding: 12, marginBottom: 8, backgroundColor: "#fff",
+  },
+  name: { fontSize: 16, fontWeight: "600" },
+  sub: { color: "#666", fontSize: 12, marginTop: 2 },
+  iconBtn: { paddingHorizontal: 8, paddingVertical: 6 },
+  smallLabel: { color: "#555", marginBottom: 4, fontSize: 13 },
+  input: { borderWidth: 1, borderColor: "#ddd", borderRadius: 10, paddingHorizontal: 12, height: 44, marginBottom: 10 },
+  modalBackdrop: { flex: 1, backgroundColor: "rgba(0,0,0,0.3)", justifyContent: "center", padding: 20 },
+  modalCard: { backgroundColor: "#fff", borderRadius: 14, padding: 16 },
+  modalTitle: { fontSize: 18, fontWeight: "600", marginBottom: 10 },
+  pillBtn: { paddingHorizontal: 14, height: 40, alignItems: "center", justifyContent: "center", borderRadius: 10 },
+});
@@ -0,0 +1,132 @@
+// TargetProfilePicker.js — pick / edit crop & stage target profiles (Supabase table "target_profiles")
+// - Row shape: { id, owner, workspace_id, shared, name, targets: { N: { min, opt, max }, ..., EC: { ... }, N_K2O: { ... } } }
+// - Profiles are saved shared in the current workspace so the whole team works from the same targets
+// - Used by both mix screens; the selected profile colours the totals (see targetProfiles.js)
+// - Chips, load / save / delete: SavedPicker.js
+
+import React, { useCallback } from "react";
+import { Alert, Pressable, ScrollView, StyleSheet, Text, TextInput, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { supabase } from "./supabaseClient";
+import SavedPicker, { pickerStyles } from "./SavedPicker";
+import { inWorkspace, useWorkspace } from "./Workspace";
+import { PROFILE_KEYS } from "./targetProfiles";
+import { RATIO_KEYS, RATIO_LABEL } from "./nutrientRatios";
+import starters from "./assets/targetProfiles"; // JS module with export default [...]
+
+const LABEL = { P2O5: "P₂O₅", K2O: "K₂O", EC: "EC (mS/cm)", ...RATIO_LABEL };
+const BOUNDS = ["min", "opt", "max"];
+const ALL_KEYS = [...PROFILE_KEYS, ...RATIO_KEYS];
+
+const toStr = (v) => (v === null || v === undefined ? "" : String(v));
+const numOrNull = (s) => {
+  if (s === "" || s === null || s === undefined) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+};
+
+// form: { k: { min, opt, max } as "str" }
+const toForm = (p) =>
+  Object.fromEntries(ALL_KEYS.map((k) => [k, Object.fromEntries(BOUNDS.map((b) => [b, toStr(p?.targets?.[k]?.[b])]))]));
+
+function fromForm(form) {
+  const targets = {};
+  for (const k of ALL_KEYS) {
+    const r = Object.fromEntries(BOUNDS.map((b) => [b, numOrNull(form[k][b])]));
+    if (r.min != null && r.max != null && r.min > r.max) {
+      Alert.alert("Check ranges", `${LABEL[k] || k}: min is above max.`);
+      return null;
+    }
+    if (BOUNDS.some((b) => r[b] != null)) targets[k] = r;
+  }
+  return { targets };
+}
+
+async function addStarters(reload, workspaceId) {
+  try {
+    const { data: u } = await supabase.auth.getUser();
+    if (!u?.user) {
+      Alert.alert("Not signed in", "Please sign in first.");
+      return;
+    }
+    const rows = starters.map((s) => ({ owner: u.user.id, workspace_id: workspaceId, shared: true, name: s.name, targets: s.targets }));
+    const { error } = await supabase.from("target_profiles").insert(rows);
+    if (error) throw error;
+    reload();
+  } catch (e) {
+    Alert.alert("Import error", e.message ?? String(e));
+  }
+}
+
+export default function TargetProfilePicker({ value, onChange }) {
+  const ws = useWorkspace();
+  const scope = useCallback((q) => inWorkspace(q, ws), [ws.current?.id, ws.userId]);
+  return (
+    <SavedPicker
+      table="target_profiles"
+      columns="id,name,targets"
+      value={value}
+      onChange={onChange}
+      noun="profile"
+      placeholder="e.g. Chilli – fruiting"
+      scope={scope}
+      insertExtra={{ shared: true, workspace_id: ws.current?.id }}
+      toForm={toForm}
+      fromForm={fromForm}
+      renderChips={(profiles, reload) =>
+        profiles.length === 0 && (
+          <Pressable onPress={() => addStarters(reload, ws.current?.id)} style={pickerStyles.chip}>
+            <Ionicons name="download-outline" size={14} />
+            <Text>Starter profiles</Text>
+          </Pressable>
+        )
+      }
+      renderFields={(form, setForm) => {
+        const setBound = (k, b, t) => setForm((p) => ({ ...p, [k]: { ...p[k], [b]: t } }));
+        return (
+          <>
+            <View style={styles.rangeRow}>
+              <Text style={[pickerStyles.smallLabel, { width: 90 }]}>ppm</Text>
+              {BOUNDS.map((b) => (
+                <Text key={b} style={[pickerStyles.smallLabel, { flex: 1 }]}>{b}</Text>
+              ))}
+            </View>
+            <ScrollView style={{ maxHeight: 380 }}>
+              {PROFILE_KEYS.map((k) => (
+                <RangeRow key={k} k={k} form={form} setBound={setBound} />
+              ))}
+              <Text style={[pickerStyles.smallLabel, { marginTop: 8 }]}>Ratios</Text>
+              {RATIO_KEYS.map((k) => (
+                <RangeRow key={k} k={k} form={form} setBound={setBound} />
+              ))}
+            </ScrollView>
+          </>
+        );
+      }}
+      footer={<Text style={{ color: "#666", fontSize: 12 }}>Blank min/max = ±15% around opt. Shared with the team.</Text>}
+    />
+  );
+}
+
+function RangeRow({ k, form, setBound }) {
+  return (
+    <View style={styles.rangeRow}>
+      <Text style={{ width: 90, fontWeight: "600" }}>{LABEL[k] || k}</Text>
+      {BOUNDS.map((b) => (
+        <TextInput
+          key={b}
+          value={form?.[k]?.[b] ?? ""}
+          onChangeText={(t) => setBound(k, b, t)}
+          keyboardType="decimal-pad"
+          placeholder="—"
+          style={[pickerStyles.input, styles.rangeInput]}
+        />
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  rangeRow: { flexDirection: "row", alignItems: "center", gap: 6 },
+  rangeInput: { flex: 1, minHeight: 40, paddingHorizontal: 10, marginBottom: 6 },
+});
@@ -0,0 +1,110 @@
+// TeamSettings.js — team currency + number locale (Supabase table "team_settings")
+// - Row shape: { workspace_id, currency: "MYR", locale: "ms-MY", updated_by }
+// - One row per workspace; read when the workspace changes and shared through context
+// - useTeamSettings() → { currency, locale, symbol, dp, money(x, extraDp), number(x, dp), save(patch) }
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { Alert, Text, View } from "react-native";
+import { supabase } from "./supabaseClient";
+import { Chip, EditorModal, pickerStyles as styles } from "./SavedPicker";
+import { useWorkspace } from "./Workspace";
+import { CURRENCIES, DEFAULT_SETTINGS, LOCALES, currencyOf, formatMoney, formatNumber } from "./money";
+
+const build = (s, save) => {
+  const c = currencyOf(s.currency);
+  return {
+    ...s,
+    symbol: c.symbol,
+    dp: c.dp,
+    money: (x, extraDp = 0) => formatMoney(x, s, extraDp),
+    number: (x, dp = 2) => formatNumber(x, dp, s.locale),
+    save,
+  };
+};
+
+const TeamSettingsContext = createContext(build(DEFAULT_SETTINGS, async () => {}));
+
+export function TeamSettingsProvider({ children }) {
+  const ws = useWorkspace();
+  const wsId = ws.current?.id;
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+
+  useEffect(() => {
+    setSettings(DEFAULT_SETTINGS);
+    if (!wsId) return;
+    (async () => {
+      try {
+        const { data, error } = await supabase
+          .from("team_settings").select("currency,locale").eq("workspace_id", wsId).maybeSingle();
+        if (error) throw error;
+        if (data) setSettings({ currency: data.currency || DEFAULT_SETTINGS.currency, locale: data.locale || DEFAULT_SETTINGS.locale });
+      } catch (e) {
+        console.warn("team settings", e.message ?? String(e));
+      }
+    })();
+  }, [wsId]);
+
+  const save = useCallback(async (patch) => {
+    const next = { ...settings, ...patch };
+    try {
+      const { data: u } = await supabase.auth.getUser();
+      const { error } = await supabase
+        .from("team_settings")
+        .upsert({ workspace_id: wsId, ...next, updated_by: u?.user?.id ?? null }, { onConflict: "workspace_id" });
+      if (error) throw error;
+      setSettings(next);
+    } catch (e) {
+      Alert.alert("Settings error", e.message ?? String(e));
+    }
+  }, [settings, wsId]);
+
+  const value = useMemo(() => build(settings, save), [settings, save]);
+  return <TeamSettingsContext.Provider value={value}>{children}</TeamSettingsContext.Provider>;
+}
+
+export const useTeamSettings = () => useContext(TeamSettingsContext);
+
+// Currency / locale picker (opened from the Fertilizers tab header)
+export function TeamSettingsModal({ visible, onClose }) {
+  const team = useTeamSettings();
+  const [currency, setCurrency] = useState(team.currency);
+  const [locale, setLocale] = useState(team.locale);
+
+  useEffect(() => {
+    if (!visible) return;
+    setCurrency(team.currency);
+    setLocale(team.locale);
+  }, [visible]);
+
+  const pickCurrency = (code) => {
+    setCurrency(code);
+    setLocale(CURRENCIES[code].locale);
+  };
+
+  const save = async () => {
+    await team.save({ currency, locale });
+    onClose();
+  };
+
+  return (
+    <EditorModal visible={visible} title="Team currency" onCancel={onClose} onSave={save}>
+      <View style={styles.chips}>
+        {Object.entries(CURRENCIES).map(([code, c]) => (
+          <Chip key={code} active={currency === code} label={`${c.symbol} · ${code}`} onPress={() => pickCurrency(code)} />
+        ))}
+      </View>
+      <Text style={[styles.smallLabel, { marginTop: 12 }]}>Number format</Text>
+      <View style={styles.chips}>
+        {LOCALES.map((l) => (
+          <Chip key={l} active={locale === l} label={l} onPress={() => setLocale(l)} />
+        ))}
+      </View>
+      <Text style={{ color: "#666", fontSize: 12, marginTop: 10 }}>
+        Example: {formatMoney(1234.5, { currency, locale })} · {formatNumber(2.75, 2, locale)} mS/cm
+      </Text>
+      <Text style={{ color: "#666", fontSize: 12, marginTop: 4 }}>
+        Catalog prices are read in this currency; change it before entering prices from another market.
+      </Text>
+    </EditorModal>
+  );
+}
@@ -0,0 +1,68 @@
+// WaterSourcePicker.js — pick / edit named raw water analyses (Supabase table "water_sources")
+// - Row shape: { id, owner, workspace_id, name, analysis: { Ca, Mg, S, K, NO3, Na, Cl, HCO3, Fe, ... } } (ppm)
+// - Used by both mix screens; the selected analysis is added to the dripper totals
+// - Kept per workspace; everyone in it sees the same sources
+// - Chips, load / save / delete: SavedPicker.js
+
+import React, { useCallback } from "react";
+import { ScrollView, StyleSheet, Text, TextInput, View } from "react-native";
+import SavedPicker, { pickerStyles } from "./SavedPicker";
+import { ofWorkspace, useWorkspace } from "./Workspace";
+import { WATER_KEYS } from "./mixCalc";
+
+const LABEL = { NO3: "NO₃-N", HCO3: "HCO₃" };
+
+const toStr = (v) => (v === null || v === undefined ? "" : String(v));
+const numOrNull = (s) => {
+  if (s === "" || s === null || s === undefined) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+};
+
+// form: { k: "str" } per analysis field
+const toForm = (s) => Object.fromEntries(WATER_KEYS.map((k) => [k, toStr(s?.analysis?.[k])]));
+const fromForm = (form) => ({ analysis: Object.fromEntries(WATER_KEYS.map((k) => [k, numOrNull(form[k])])) });
+
+export default function WaterSourcePicker({ value, onChange }) {
+  const ws = useWorkspace();
+  const scope = useCallback((q) => ofWorkspace(q, ws), [ws.current?.id]);
+  return (
+    <SavedPicker
+      table="water_sources"
+      columns="id,name,analysis"
+      value={value}
+      onChange={onChange}
+      noun="water source"
+      placeholder="e.g. Bore 2 (Mar 2025 lab)"
+      scope={scope}
+      insertExtra={{ workspace_id: ws.current?.id }}
+      toForm={toForm}
+      fromForm={fromForm}
+      renderFields={(form, setForm) => (
+        <>
+          <Text style={pickerStyles.smallLabel}>Analysis (ppm)</Text>
+          <ScrollView style={{ maxHeight: 360 }}>
+            <View style={styles.grid}>
+              {WATER_KEYS.map((k) => (
+                <View key={k} style={{ width: "31%", minWidth: 90 }}>
+                  <Text style={pickerStyles.smallLabel}>{LABEL[k] || k}</Text>
+                  <TextInput
+                    value={form[k] ?? ""}
+                    onChangeText={(t) => setForm((p) => ({ ...p, [k]: t }))}
+                    keyboardType="decimal-pad"
+                    placeholder="0"
+                    style={pickerStyles.input}
+                  />
+                </View>
+              ))}
+            </View>
+          </ScrollView>
+        </>
+      )}
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  grid: { flexDirection: "row", flexWrap: "wrap", gap: 8 },
+});
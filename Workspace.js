@@ -0,0 +1,289 @@
+// Workspace.js — farms / organisations the signed-in user belongs to
+// - Tables: workspaces { id, name, created_by }
+//           workspace_members { workspace_id, user_id, email, role: "owner" | "member" }
+//           workspace_invites { id, workspace_id, email, invited_by, accepted_at }
+// - fertilizers and recipes carry workspace_id; `shared` = visible to every member,
+//   otherwise only to its owner (null, from before the flag existed, counts as shared).
+//   suppliers, supplier_products, fertilizer_prices and inventory_moves carry it too (the
+//   last three copied from their fertilizer by the database).
+// - Pending invites for the user's email are accepted on sign-in by the server
+//   (accept_workspace_invites, supabase/migrations).
+// - No workspace yet: one is created. Rows from before workspaces (workspace_id null) were
+//   moved once, by the migration, into the first workspace created; if there was none yet
+//   they stay null, readable from every workspace and writable by their owner.
+// - Children only render once there is a current workspace; a failed load shows Retry.
+// - useWorkspace() → { workspaces, current, userId, switchTo, create, invite, reload }
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { ActivityIndicator, Alert, Modal, Pressable, StyleSheet, Text, TextInput, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "./supabaseClient";
+import { Chip } from "./SavedPicker";
+
+const CURRENT_KEY = "workspace_id";
+
+const WorkspaceContext = createContext({ workspaces: [], current: null, userId: null });
+
+// Rows of the current workspace, plus rows from before workspaces that no workspace took
+export const ofWorkspace = (query, ws) => query.or(`workspace_id.eq.${ws.current?.id},workspace_id.is.null`);
+
+// ...that this user may see: shared ones + their own private ones
+export const inWorkspace = (query, ws) => ofWorkspace(query, ws).or(`shared.eq.true,shared.is.null,owner.eq.${ws.userId}`);
+
+export function WorkspaceProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [workspaces, setWorkspaces] = useState([]); // [{ id, name, role }]
+  const [currentId, setCurrentId] = useState(null);
+  const [ready, setReady] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setError(null);
+      const { data: u } = await supabase.auth.getUser();
+      const me = u?.user;
+      if (!me) throw new Error("Not signed in.");
+      setUser(me);
+
+      const { error: invErr } = await supabase.rpc("accept_workspace_invites");
+      if (invErr) throw invErr;
+
+      const { data: mem, error } = await supabase
+        .from("workspace_members").select("role, workspace:workspaces(id,name)").eq("user_id", me.id);
+      if (error) throw error;
+      let list = (mem ?? []).filter((m) => m.workspace).map((m) => ({ ...m.workspace, role: m.role }));
+      if (list.length === 0) list = [await createWorkspace("My farm", me)];
+      list.sort((a, b) => a.name.localeCompare(b.name));
+
+      setWorkspaces(list);
+      const saved = await AsyncStorage.getItem(CURRENT_KEY);
+      setCurrentId((prev) => [prev, saved].find((id) => id && list.some((w) => w.id === id)) ?? list[0].id);
+    } catch (e) {
+      setError(e.message ?? String(e));
+    } finally {
+      setReady(true);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const switchTo = useCallback(async (id) => {
+    setCurrentId(id);
+    await AsyncStorage.setItem(CURRENT_KEY, id);
+  }, []);
+
+  const create = useCallback(async (name) => {
+    try {
+      const ws = await createWorkspace(name, user);
+      setWorkspaces((p) => [...p, ws].sort((a, b) => a.name.localeCompare(b.name)));
+      await switchTo(ws.id);
+    } catch (e) {
+      Alert.alert("Workspace error", e.message ?? String(e));
+    }
+  }, [user, switchTo]);
+
+  const invite = useCallback(async (email) => {
+    try {
+      const { error } = await supabase
+        .from("workspace_invites").insert([{ workspace_id: currentId, email: email.trim().toLowerCase(), invited_by: user?.id }]);
+      if (error) throw error;
+      Alert.alert("Invite", `${email.trim()} joins the next time they sign in.`);
+      return true;
+    } catch (e) {
+      Alert.alert("Invite error", e.message ?? String(e));
+      return false;
+    }
+  }, [currentId, user]);
+
+  const value = useMemo(() => ({
+    workspaces,
+    current: workspaces.find((w) => w.id === currentId) ?? null,
+    userId: user?.id ?? null,
+    switchTo,
+    create,
+    invite,
+    reload: load,
+  }), [workspaces, currentId, user, switchTo, create, invite, load]);
+
+  if (!ready) {
+    return (
+      <View style={styles.center}>
+        <ActivityIndicator />
+      </View>
+    );
+  }
+  // the screens query and insert with current.id, so nothing renders without one
+  if (!value.current) {
+    return (
+      <View style={styles.center}>
+        <Text style={{ fontWeight: "700", marginBottom: 6 }}>Workspace could not be loaded</Text>
+        <Text style={{ color: "#666", textAlign: "center", marginBottom: 12 }}>{error ?? "No workspace selected."}</Text>
+        <Pressable
+          onPress={() => { setReady(false); load(); }}
+          style={[styles.pillBtn, { backgroundColor: "#222" }]}
+        >
+          <Text style={{ color: "#fff", fontWeight: "600" }}>Retry</Text>
+        </Pressable>
+      </View>
+    );
+  }
+  return <WorkspaceContext.Provider value={value}>{children}</WorkspaceContext.Provider>;
+}
+
+async function createWorkspace(name, me) {
+  const { data, error } = await supabase
+    .from("workspaces").insert([{ name: name.trim(), created_by: me.id }]).select("id,name").single();
+  if (error) throw error;
+  const { error: memErr } = await supabase
+    .from("workspace_members").insert([{ workspace_id: data.id, user_id: me.id, email: me.email, role: "owner" }]);
+  if (memErr) throw memErr;
+  return { ...data, role: "owner" };
+}
+
+export const useWorkspace = () => useContext(WorkspaceContext);
+
+// Header button with the current workspace; opens the switcher (members, invites, new workspace)
+export function WorkspaceButton() {
+  const ws = useWorkspace();
+  const [open, setOpen] = useState(false);
+  return (
+    <>
+      <Pressable
+        onPress={() => setOpen(true)}
+        style={{ paddingHorizontal: 12, flexDirection: "row", alignItems: "center", gap: 4 }}
+        accessibilityLabel="Switch workspace"
+      >
+        <Ionicons name="business-outline" size={18} />
+        <Text style={{ fontWeight: "600", maxWidth: 120 }} numberOfLines={1}>{ws.current?.name ?? "—"}</Text>
+        <Ionicons name="chevron-down" size={14} />
+      </Pressable>
+      <WorkspaceModal visible={open} onClose={() => setOpen(false)} />
+    </>
+  );
+}
+
+function WorkspaceModal({ visible, onClose }) {
+  const ws = useWorkspace();
+  const [members, setMembers] = useState([]);
+  const [pending, setPending] = useState([]);
+  const [newName, setNewName] = useState("");
+  const [email, setEmail] = useState("");
+
+  const loadMembers = useCallback(async () => {
+    if (!ws.current) return;
+    try {
+      const { data: m, error } = await supabase
+        .from("workspace_members").select("user_id,email,role").eq("workspace_id", ws.current.id);
+      if (error) throw error;
+      setMembers(m ?? []);
+      const { data: p, error: pErr } = await supabase
+        .from("workspace_invites").select("id,email").eq("workspace_id", ws.current.id).is("accepted_at", null);
+      if (pErr) throw pErr;
+      setPending(p ?? []);
+    } catch (e) {
+      Alert.alert("Load error", e.message ?? String(e));
+    }
+  }, [ws.current?.id]);
+
+  useEffect(() => {
+    if (visible) loadMembers();
+  }, [visible, loadMembers]);
+
+  const onCreate = async () => {
+    if (!newName.trim()) return;
+    await ws.create(newName);
+    setNewName("");
+  };
+
+  const onInvite = async () => {
+    if (!/^\S+@\S+\.\S+$/.test(email.trim())) {
+      Alert.alert("Invite", "Enter an email address.");
+      return;
+    }
+    if (await ws.invite(email)) {
+      setEmail("");
+      loadMembers();
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.modalCard}>
+          <Text style={styles.modalTitle}>Workspace</Text>
+          <View style={styles.chips}>
+            {ws.workspaces.map((w) => (
+              <Chip key={w.id} active={ws.current?.id === w.id} label={w.name} onPress={() => ws.switchTo(w.id)} />
+            ))}
+          </View>
+          <View style={[styles.row, { marginTop: 8 }]}>
+            <TextInput value={newName} onChangeText={setNewName} placeholder="New workspace, e.g. Farm 2" style={[styles.input, { flex: 1 }]} />
+            <Pressable onPress={onCreate} style={[styles.pillBtn, { backgroundColor: "#222" }]}>
+              <Text style={{ color: "#fff", fontWeight: "600" }}>Create</Text>
+            </Pressable>
+          </View>
+
+          <Text style={[styles.smallLabel, { marginTop: 14 }]}>Members of {ws.current?.name}</Text>
+          {members.map((m) => (
+            <Text key={m.user_id} style={{ paddingVertical: 2 }}>
+              {m.email || m.user_id}{m.role === "owner" ? " · owner" : ""}{m.user_id === ws.userId ? " (you)" : ""}
+            </Text>
+          ))}
+          {pending.map((p) => (
+            <Text key={p.id} style={{ paddingVertical: 2, color: "#888" }}>{p.email} · invited</Text>
+          ))}
+          <View style={[styles.row, { marginTop: 8 }]}>
+            <TextInput
+              value={email}
+              onChangeText={setEmail}
+              placeholder="Invite by email"
+              autoCapitalize="none"
+              keyboardType="email-address"
+              style={[styles.input, { flex: 1 }]}
+            />
+            <Pressable onPress={onInvite} style={[styles.pillBtn, { backgroundColor: "#222" }]}>
+              <Text style={{ color: "#fff", fontWeight: "600" }}>Invite</Text>
+            </Pressable>
+          </View>
+          <Text style={{ color: "#666", fontSize: 12, marginTop: 6 }}>
+            Shared fertilizers and recipes are visible to every member; private ones only to you.
+          </Text>
+
+          <View style={{ flexDirection: "row", justifyContent: "flex-end", marginTop: 12 }}>
+            <Pressable onPress={onClose} style={[styles.pillBtn, { backgroundColor: "#eee" }]}>
+              <Text>Close</Text>
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+// Shared / private badge for list rows
+export function ShareBadge({ shared: flag }) {
+  const shared = flag !== false;
+  return (
+    <View style={[styles.badge, !shared && { borderColor: "#888" }]}>
+      <Ionicons name={shared ? "people-outline" : "lock-closed-outline"} size={11} color={shared ? "#1565c0" : "#888"} />
+      <Text style={{ fontSize: 11, fontWeight: "700", color: shared ? "#1565c0" : "#888" }}>{shared ? "Shared" : "Private"}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  center: { flex: 1, alignItems: "center", justifyContent: "center", padding: 24 },
+  row: { flexDirection: "row", alignItems: "center", gap: 8 },
+  chips: { flexDirection: "row", flexWrap: "wrap", gap: 8, marginTop: 6 },
+  smallLabel: { color: "#555", marginBottom: 6, fontSize: 13 },
+  input: { borderWidth: 1, borderColor: "#ddd", borderRadius: 10, paddingHorizontal: 12, height: 40 },
+  badge: {
+    flexDirection: "row", alignItems: "center", gap: 3, alignSelf: "flex-start",
+    borderWidth: 1, borderColor: "#1565c0", borderRadius: 8, paddingHorizontal: 5, marginTop: 3,
+  },
+  modalBackdrop: { flex: 1, backgroundColor: "rgba(0,0,0,0.3)", justifyContent: "center", padding: 20 },
+  modalCard: { backgroundColor: "#fff", borderRadius: 14, padding: 16 },
+  modalTitle: { fontSize: 18, fontWeight: "700", marginBottom: 8 },
+  pillBtn: { paddingHorizontal: 14, height: 40, alignItems: "center", justifyContent: "center", borderRadius: 10 },
+});
@@ -0,0 +1,69 @@
+jest.mock("../supabaseClient", () => ({ supabase: {} }));
+
+import { buildPreview, guessMapping, parseCsv, rowFor, sheetToText, toCsv } from "../catalogCsv";
+
+const acid = {
+  id: "a1",
+  name: "Nitric acid 60%",
+  kind: "acid",
+  bag_size_kg: 35,
+  density_kg_l: 1.37,
+  container_l: 25,
+  pct_basis: "w/w",
+  acid_type: "nitric",
+  conc_pct: 60,
+  npk: { N: 13.3, NO3: 13.3 },
+  micro: {},
+  forms: { P2O5: "P2O5", Ca: "Ca", Mg: "MgO", S: "S" },
+  solubility_gl: null,
+};
+
+const importText = (text, catalog) => {
+  const { header, rows } = parseCsv(text);
+  return buildPreview({ rows, mapping: guessMapping(header), catalog });
+};
+
+describe("catalogCsv", () => {
+  it("imports its own export unchanged, acid and declared forms included", () => {
+    const preview = importText(toCsv([acid]), [acid]);
+    expect(preview).toHaveLength(1);
+    expect(preview[0].status).toBe("same");
+    expect(preview[0].record).toMatchObject({ acid_type: "nitric", conc_pct: 60, pct_basis: "w/w", "forms.Mg": "MgO" });
+  });
+
+  it("rejects values outside a field's options", () => {
+    const [line] = importText("name,acid_type,forms.Ca\nX,citric,CaO\n", []);
+    expect(line.status).toBe("invalid");
+    expect(line.errors.join()).toMatch(/citric/);
+  });
+
+  it("merges changed forms into the existing object", () => {
+    const [line] = importText("name,forms.Ca\nNitric acid 60%,cao\n", [acid]);
+    expect(line.status).toBe("update");
+    expect(rowFor(line)).toEqual({ forms: { ...acid.forms, Ca: "CaO" } });
+  });
+
+  it("reads sheet cells through the same parser", () => {
+    const text = sheetToText([
+      ["Product", "Bag size", "N %"],
+      ["Calcium nitrate, \"prilled\"", 25, 15.5],
+      ["Empty", null, new Date("2025-03-01T00:00:00Z")],
+    ]);
+    const { header, rows } = parseCsv(text);
+    expect(guessMapping(header)).toEqual(["name", "bag_size_kg", "npk.N"]);
+    expect(rows[0]).toEqual(['Calcium nitrate, "prilled"', "25", "15.5"]);
+    expect(rows[1]).toEqual(["Empty", "", "2025-03-01"]);
+  });
+
+  it("reads thousands groups and decimal commas without guessing", () => {
+    const priceOf = (cell) => importText(`name\tprice_per_bag\nX\t${cell}\n`, [])[0];
+    expect(priceOf("1,250").record.price_per_bag).toBe(1250);
+    expect(priceOf("350,000").record.price_per_bag).toBe(350000);
+    expect(priceOf("1.250,50").record.price_per_bag).toBe(1250.5);
+    expect(priceOf("1,250.50").record.price_per_bag).toBe(1250.5);
+    expect(priceOf("1.250.000").record.price_per_bag).toBe(1250000);
+    expect(priceOf("12,5").record.price_per_bag).toBe(12.5);
+    expect(priceOf("1,25,000").status).toBe("invalid");
+    expect(priceOf("1.250,5,0").status).toBe("invalid");
+  });
+});
@@ -0,0 +1,40 @@
+import { ionBalance } from "../ionBalance";
+import { MOLAR, oxideFactor } from "../units";
+
+// 1 mmol/L of KNO3 in the mixCalc ppm shape
+const kno3 = { K2O: MOLAR.K * oxideFactor("K"), NO3: MOLAR.N, N: MOLAR.N };
+
+describe("ionBalance", () => {
+  it("converts ppm to mmol and meq", () => {
+    const b = ionBalance(kno3);
+    expect(b.ions.K.mmol).toBeCloseTo(1);
+    expect(b.ions.NO3.meq).toBeCloseTo(1);
+    expect(b.cationMeq).toBeCloseTo(1);
+    expect(b.anionMeq).toBeCloseTo(1);
+    expect(b.imbalancePct).toBeCloseTo(0);
+  });
+
+  it("estimates EC from the ionic sum", () => {
+    expect(ionBalance(kno3).ec).toBeCloseTo(0.1);
+    expect(ionBalance(kno3, { ecScale: 1.1 }).ec).toBeCloseTo(0.11);
+  });
+
+  it("counts divalent ions twice", () => {
+    const b = ionBalance({ Ca: MOLAR.Ca, S: MOLAR.S });
+    expect(b.ions.Ca.meq).toBeCloseTo(2);
+    expect(b.ions.SO4.meq).toBeCloseTo(2);
+  });
+
+  it("treats N of unknown form as nitrate and urea as uncharged", () => {
+    expect(ionBalance({ N: MOLAR.N }).ions.NO3.mmol).toBeCloseTo(1);
+    expect(ionBalance({ N: MOLAR.N, Urea: MOLAR.N }).anionMeq).toBeCloseTo(0);
+  });
+
+  it("reports an imbalance when cations are missing", () => {
+    expect(ionBalance({ NO3: MOLAR.N, N: MOLAR.N }).imbalancePct).toBeCloseTo(-200);
+  });
+
+  it("is empty for an empty solution", () => {
+    expect(ionBalance({})).toMatchObject({ cationMeq: 0, anionMeq: 0, imbalancePct: 0, ec: 0 });
+  });
+});
@@ -0,0 +1,47 @@
+import { parseLabel, parsedCount } from "../labelParser";
+
+describe("parseLabel", () => {
+  it("reads an N-P-K triple with + additions", () => {
+    const p = parseLabel("YaraMila 15-9-20 +2MgO +4S +TE");
+    expect(p.npk).toMatchObject({ N: 15, P2O5: 9, K2O: 20, Mg: 2, S: 4 });
+    expect(p.forms).toMatchObject({ Mg: "MgO", S: "S" });
+    expect(p.tags.map((t) => t.tag)).toContain("TE");
+  });
+
+  it("reads number-then-nutrient pairs", () => {
+    const p = parseLabel("Calcinit 15.5 N 26.5 CaO");
+    expect(p.npk).toMatchObject({ N: 15.5, Ca: 26.5 });
+    expect(p.forms.Ca).toBe("CaO");
+  });
+
+  it("pairs a number after a product name with the symbol that follows it", () => {
+    const p = parseLabel("Potassium nitrate 13 N 46 K2O");
+    expect(p.npk).toMatchObject({ N: 13, K2O: 46 });
+    expect(p.npk.NO3).toBeUndefined();
+  });
+
+  it("reads nutrient-then-number pairs", () => {
+    expect(parseLabel("Potassium nitrate K2O 46% N 13%").npk).toEqual({ K2O: 46, N: 13 });
+    const mg = parseLabel("MgO 16% SO3 32%");
+    expect(mg.npk).toEqual({ Mg: 16, S: 32 });
+    expect(mg.forms).toEqual({ Mg: "MgO", S: "SO3" });
+    const ca = parseLabel("CaO 26.5% N 15.5%");
+    expect(ca.npk).toEqual({ Ca: 26.5, N: 15.5 });
+    expect(ca.forms.Ca).toBe("CaO");
+  });
+
+  it("reads label table lines and sums the N forms", () => {
+    const p = parseLabel("Nitrate nitrogen (NO3-N) 14.4%\nAmmoniacal nitrogen (NH4-N) 1.1%\nPhosphorus (P2O5) 10%");
+    expect(p.npk).toMatchObject({ NO3: 14.4, NH4: 1.1, N: 15.5, P2O5: 10 });
+    expect(p.forms.P2O5).toBe("P2O5");
+    expect(p.sources["npk.N"]).toBe("sum of the N forms");
+  });
+
+  it("converts elemental K to K2O", () => {
+    expect(parseLabel("K 10%").npk.K2O).toBeCloseTo(12.05, 1);
+  });
+
+  it("finds nothing in a plain name", () => {
+    expect(parsedCount(parseLabel("Calcium nitrate"))).toBe(0);
+  });
+});
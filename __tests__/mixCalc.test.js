@@ -0,0 +1,160 @@
+import { computeMix, costOf, declaredPct, doseOf, gramsToMl, mlToGrams, nForms, ppmOf, totalNPct, waterPpm } from "../mixCalc";
+import { ionBalance } from "../ionBalance";
+import { oxideFactor } from "../units";
+
+const calNit = {
+  id: "cn", name: "Calcium nitrate", bag_size_kg: 25, price_per_bag: 100,
+  npk: { N: 15.5, NO3: 14.4, NH4: 1.1, Ca: 19 }, micro: {},
+};
+const mkp = {
+  id: "mkp", name: "MKP", bag_size_kg: 25, price_per_bag: 150,
+  npk: { P2O5: 52, K2O: 34 }, micro: {},
+};
+const kieserite = {
+  id: "kies", name: "Kieserite", bag_size_kg: 25, price_per_bag: 50,
+  npk: { Mg: 25, S: 50 }, forms: { Mg: "MgO", S: "SO3" },
+};
+
+describe("doseOf", () => {
+  it("reads grams as the tank total", () => {
+    expect(doseOf(500, { mode: "total", volumeL: 1000 })).toEqual({ gramsTotal: 500, gPerL: 0.5 });
+  });
+
+  it("multiplies g/L by the volume", () => {
+    expect(doseOf(0.5, { mode: "perL", volumeL: 1000 })).toEqual({ gramsTotal: 500, gPerL: 0.5 });
+  });
+
+  it("dilutes a stock tank by the injector ratio", () => {
+    expect(doseOf(10000, { mode: "stock", volumeL: 100, ratio: 100 })).toEqual({ gramsTotal: 10000, gPerL: 1 });
+  });
+
+  it("gives no g/L without a volume", () => {
+    expect(doseOf(500, { mode: "total", volumeL: 0 }).gPerL).toBe(0);
+  });
+});
+
+describe("ppmOf", () => {
+  it("gives 10 ppm per % at 1 g/L", () => {
+    const p = ppmOf(calNit, 1);
+    expect(p.N).toBeCloseTo(155);
+    expect(p.NO3).toBeCloseTo(144);
+    expect(p.NH4).toBeCloseTo(11);
+    expect(p.Ca).toBeCloseTo(190);
+  });
+
+  it("converts declared oxide forms to the result basis", () => {
+    expect(declaredPct(kieserite, "Mg")).toBeCloseTo(25 / oxideFactor("Mg"));
+    expect(declaredPct(kieserite, "S")).toBeCloseTo(50 / oxideFactor("S"));
+    expect(declaredPct({ npk: { P2O5: 10 }, forms: { P2O5: "P" } }, "P2O5")).toBeCloseTo(10 * oxideFactor("P"));
+  });
+
+  it("reads % w/v of liquids through the density", () => {
+    const liquid = { kind: "liquid", density_kg_l: 1.25, pct_basis: "w/v", npk: { N: 10 } };
+    // 10 g per 100 mL is 8 % w/w at 1.25 g/mL
+    expect(ppmOf(liquid, 1).N).toBeCloseTo(80);
+  });
+
+  it("sums N forms when total N is missing", () => {
+    expect(totalNPct({ NO3: 12, NH4: 3 })).toBe(15);
+    expect(totalNPct({ N: 16, NO3: 12 })).toBe(16);
+  });
+});
+
+describe("costOf", () => {
+  it("prices grams from the bag", () => {
+    expect(costOf(calNit, 1000)).toBeCloseTo(4);
+  });
+
+  it("prices liquids per container", () => {
+    const liquid = { kind: "liquid", density_kg_l: 1.2, container_l: 20, price_per_bag: 48 };
+    expect(costOf(liquid, 2400)).toBeCloseTo(4.8);
+  });
+
+  it("is zero without a price or bag size", () => {
+    expect(costOf({ bag_size_kg: 25 }, 1000)).toBe(0);
+    expect(costOf({ price_per_bag: 100 }, 1000)).toBe(0);
+  });
+});
+
+describe("liquids", () => {
+  it("converts mL and grams through the density", () => {
+    const f = { kind: "liquid", density_kg_l: 1.4 };
+    expect(mlToGrams(f, 10)).toBeCloseTo(14);
+    expect(gramsToMl(f, mlToGrams(f, 10))).toBeCloseTo(10);
+  });
+});
+
+describe("waterPpm", () => {
+  it("reports K as K2O and nitrate as N", () => {
+    const w = waterPpm({ K: 10, NO3: 5, Ca: 40, HCO3: 120 });
+    expect(w.K2O).toBeCloseTo(10 * oxideFactor("K"));
+    expect(w.N).toBe(5);
+    expect(w.Ca).toBe(40);
+    expect(w.HCO3).toBe(120);
+  });
+});
+
+describe("computeMix", () => {
+  const catalog = [calNit, mkp, kieserite];
+
+  it("adds fertilizer and water ppm", () => {
+    const r = computeMix({
+      items: [{ fertId: "cn", grams: 1000 }, { fertId: "mkp", grams: 200 }],
+      catalog,
+      dose: { mode: "total", volumeL: 1000 },
+      water: { Ca: 30 },
+    });
+    expect(r.fertPpm.Ca).toBeCloseTo(190);
+    expect(r.ppm.Ca).toBeCloseTo(220);
+    expect(r.ppm.P2O5).toBeCloseTo(104);
+    expect(r.ppm.K2O).toBeCloseTo(68);
+    expect(r.cost).toBeCloseTo(4 + 1.2);
+    expect(r.lines.map((l) => l.gPerL)).toEqual([1, 0.2]);
+  });
+
+  it("skips items that are not in the catalog", () => {
+    const r = computeMix({ items: [{ fertId: "gone", grams: 100 }], catalog, dose: { mode: "total", volumeL: 100 } });
+    expect(r.lines).toHaveLength(0);
+    expect(r.cost).toBe(0);
+  });
+
+  it("floors bicarbonate at zero", () => {
+    const acid = { id: "hno3", name: "Nitric", kind: "acid", acid_type: "nitric", conc_pct: 60, density_kg_l: 1.37 };
+    const r = computeMix({
+      items: [{ fertId: "hno3", grams: 1000 }],
+      catalog: [acid],
+      dose: { mode: "total", volumeL: 1000 },
+      water: { HCO3: 50 },
+    });
+    expect(r.ppm.HCO3).toBe(0);
+    expect(r.ppm.N).toBeGreaterThan(0);
+  });
+
+  it("splits N by form", () => {
+    const r = computeMix({ items: [{ fertId: "cn", grams: 1 }], catalog, dose: { mode: "perL", volumeL: 100 } });
+    const f = nForms(r.ppm);
+    expect(f.NO3).toBeCloseTo(144);
+    expect(f.unspecified).toBeCloseTo(0);
+    expect(f.nh4Share).toBeCloseTo(11 / 155);
+  });
+
+  it("takes EC from ec_per_gl where the catalog has it", () => {
+    const measured = { ...calNit, ec_per_gl: 1.2 };
+    const r = computeMix({ items: [{ fertId: "cn", grams: 1 }], catalog: [measured], dose: { mode: "perL", volumeL: 100, ecScale: 1.1 } });
+    expect(r.ec).toBeCloseTo(1.2 * 1.1);
+  });
+
+  it("uses the ion model for products without ec_per_gl and for the water", () => {
+    const measured = { ...calNit, ec_per_gl: 1.2 };
+    const water = { Ca: 40, HCO3: 60 };
+    const r = computeMix({
+      items: [{ fertId: "cn", grams: 1 }, { fertId: "mkp", grams: 0.2 }],
+      catalog: [measured, mkp],
+      dose: { mode: "perL", volumeL: 100 },
+      water,
+    });
+    const rest = computeMix({ items: [{ fertId: "mkp", grams: 0.2 }], catalog: [mkp], dose: { mode: "perL", volumeL: 100 }, water });
+    expect(r.ec).toBeCloseTo(1.2 + rest.ec);
+    expect(rest.ec).toBeCloseTo(ionBalance(rest.ppm).ec);
+  });
+});
@@ -0,0 +1,33 @@
+import { priceChanges, priceSnapshot, pricedCatalog } from "../priceHistory";
+
+const catalog = [
+  { id: "cn", name: "Calcium nitrate", price_per_bag: 30 },
+  { id: "mkp", name: "MKP", price_per_bag: null },
+];
+const history = [
+  { fertilizer_id: "cn", effective_date: "2025-01-01", price_per_bag: 28 },
+  { fertilizer_id: "cn", effective_date: "2025-06-01", price_per_bag: 32 },
+];
+
+describe("priceHistory", () => {
+  it("prices the catalog from the entry in force on the date", () => {
+    const [cn, mkp] = pricedCatalog(catalog, history, "2025-03-15");
+    expect(cn).toMatchObject({ price_per_bag: 28, price_date: "2025-01-01" });
+    expect(mkp.price_per_bag).toBeNull();
+  });
+
+  it("keeps a missing price as null in the snapshot", () => {
+    expect(priceSnapshot(catalog[1]).price_per_bag).toBeNull();
+  });
+
+  it("lists saved prices that no longer match the history", () => {
+    const priced = pricedCatalog(catalog, history, "2025-07-01");
+    const items = [
+      { fert_id: "cn", name: "Calcium nitrate", price_per_bag: 28 },
+      { fert_id: "mkp", name: "MKP", price_per_bag: 0 }, // saved without a price
+      { fert_id: "mkp", name: "MKP (no snapshot)" },
+    ];
+    expect(priceChanges(items, priced)).toEqual([{ fertId: "cn", name: "Calcium nitrate", was: 28, now: 32 }]);
+    expect(priceChanges([{ fert_id: "cn", price_per_bag: 32 }], priced)).toEqual([]);
+  });
+});
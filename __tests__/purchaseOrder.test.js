@@ -0,0 +1,23 @@
+import { buildPo } from "../purchaseOrder";
+
+const catalog = [{ id: "cn", name: "Calcium nitrate", bag_size_kg: 25, price_per_bag: 30 }];
+const suppliers = [{ id: "s1", name: "Agri Supply" }];
+const needs = [{ fertId: "cn", kg: 900, reason: "low stock" }];
+const lineOf = (offers) => buildPo({ needs, catalog, offers, suppliers }).groups[0].lines[0];
+
+describe("buildPo", () => {
+  it("uses the offer's own bag size and price", () => {
+    const l = lineOf([{ id: "o1", supplier_id: "s1", fertilizer_id: "cn", bag_size_kg: 1000, price_per_bag: 900 }]);
+    expect(l).toMatchObject({ bagKg: 1000, bags: 1, price: 900, total: 900 });
+  });
+
+  it("does not price a bulk bag with the catalog's 25 kg price", () => {
+    const l = lineOf([{ id: "o1", supplier_id: "s1", fertilizer_id: "cn", bag_size_kg: 1000, price_per_bag: null }]);
+    expect(l).toMatchObject({ bagKg: 1000, bags: 1, price: null, total: null });
+  });
+
+  it("falls back to the catalog price for the catalog bag", () => {
+    const l = lineOf([{ id: "o1", supplier_id: "s1", fertilizer_id: "cn", bag_size_kg: null, price_per_bag: null }]);
+    expect(l).toMatchObject({ bagKg: 25, bags: 36, price: 30, total: 1080 });
+  });
+});
@@ -0,0 +1,44 @@
+import { solveRecipe } from "../recipeSolver";
+import { ppmOf } from "../mixCalc";
+
+const calNit = { id: "cn", name: "Calcium nitrate", bag_size_kg: 25, price_per_bag: 100, npk: { N: 15.5, Ca: 19 } };
+const sop = { id: "sop", name: "Potassium sulphate", bag_size_kg: 25, price_per_bag: 120, npk: { K2O: 50, S: 18 } };
+const mgs = { id: "mgs", name: "Magnesium sulphate", bag_size_kg: 25, price_per_bag: 60, npk: { Mg: 9.9, S: 13 } };
+
+describe("solveRecipe", () => {
+  it("hits a single target with a single fertilizer", () => {
+    const r = solveRecipe({ targets: { Ca: 190 }, catalog: [calNit] });
+    expect(r.doses).toHaveLength(1);
+    expect(r.doses[0].gPerL).toBeCloseTo(1, 4);
+    expect(r.residual.Ca.pct).toBeCloseTo(0, 4);
+  });
+
+  it("reaches reachable targets with several fertilizers", () => {
+    const x = { cn: 0.8, sop: 0.5, mgs: 0.4 };
+    const targets = {};
+    for (const f of [calNit, sop, mgs]) {
+      const p = ppmOf(f, x[f.id]);
+      for (const k of ["N", "Ca", "K2O", "Mg"]) targets[k] = (targets[k] || 0) + p[k];
+    }
+    const r = solveRecipe({ targets, catalog: [calNit, sop, mgs] });
+    for (const k of ["N", "Ca", "K2O", "Mg"]) expect(Math.abs(r.residual[k].pct)).toBeLessThan(0.5);
+    for (const d of r.doses) expect(d.gPerL).toBeCloseTo(x[d.fertId], 2);
+  });
+
+  it("never doses a negative amount", () => {
+    // Ca target already exceeded by the water: calcium nitrate drops out
+    const r = solveRecipe({ targets: { Ca: 100 }, catalog: [calNit], options: { baseline: { Ca: 150 } } });
+    expect(r.doses).toHaveLength(0);
+    expect(r.residual.Ca.actual).toBe(150);
+  });
+
+  it("counts what the water already brings", () => {
+    const r = solveRecipe({ targets: { Ca: 190 }, catalog: [calNit], options: { baseline: { Ca: 95 } } });
+    expect(r.doses[0].gPerL).toBeCloseTo(0.5, 4);
+  });
+
+  it("ignores blank and zero targets", () => {
+    const r = solveRecipe({ targets: { Ca: 190, K2O: 0, Mg: "" }, catalog: [calNit, sop] });
+    expect(Object.keys(r.residual)).toEqual(["Ca"]);
+  });
+});
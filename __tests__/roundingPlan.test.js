@@ -0,0 +1,36 @@
+import { planRounding } from "../roundingPlan";
+
+const calNit = { id: "cn", name: "Calcium nitrate", bag_size_kg: 25, npk: { N: 15.5, Ca: 19 } };
+const chelate = { id: "fe", name: "Fe-EDDHA 6%", bag_size_kg: 5, micro: { Fe: 6 } };
+const catalog = [calNit, chelate];
+const dose = { mode: "total", volumeL: 10000 };
+
+describe("planRounding", () => {
+  it("keeps micro-only products instead of rounding them up to a bag", () => {
+    const r = planRounding({
+      lines: [{ fertId: "cn", gramsTotal: 24000 }, { fertId: "fe", gramsTotal: 300 }],
+      catalog,
+      dose,
+      opts: { rounding: "bag" },
+    });
+    const fe = r.lines.find((l) => l.fertId === "fe");
+    expect(fe.kept).toBe("micro");
+    expect(fe.after).toBeCloseTo((300 * r.volumeL) / 10000);
+    expect(Math.abs(r.drift.Fe)).toBeLessThan(0.5);
+  });
+
+  it("reports micro drift", () => {
+    const r = planRounding({ lines: [{ fertId: "fe", gramsTotal: 300 }], catalog, dose, opts: { rounding: "bag" } });
+    expect(r.drift).toHaveProperty("Fe");
+  });
+
+  it("may round a product down to zero units", () => {
+    const r = planRounding({
+      lines: [{ fertId: "cn", gramsTotal: 100000 }, { fertId: "cn", gramsTotal: 5000 }],
+      catalog,
+      dose,
+      opts: { rounding: "bag" },
+    });
+    expect(r.lines.map((l) => l.units)).toEqual([4, 0]);
+  });
+});
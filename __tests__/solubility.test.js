@@ -0,0 +1,27 @@
+import { SAFE_LOAD, checkSolubility } from "../solubility";
+
+const catalog = [{ id: "kn", name: "Potassium nitrate", solubility_gl: 300, solubility_ref_c: 20 }];
+const tank = (gPerLStock) => [{ tank: null, lines: [{ fertId: "kn", gPerLStock }] }];
+
+describe("checkSolubility", () => {
+  it("has no suggestions below SAFE_LOAD", () => {
+    const r = checkSolubility({ tanks: tank(150), catalog, volumeL: 100, ratio: 100 });
+    expect(r.tanks[0].level).toBeNull();
+    expect(r.minVolumeL).toBeNull();
+    expect(r.maxRatio).toBeNull();
+  });
+
+  it("suggests volume and ratio for a tank exactly at SAFE_LOAD", () => {
+    const r = checkSolubility({ tanks: tank(300 * SAFE_LOAD), catalog, volumeL: 100, ratio: 100 });
+    expect(r.tanks[0].level).toBe("caution");
+    expect(r.minVolumeL).toBeCloseTo(100);
+    expect(r.maxRatio).toBe(100);
+  });
+
+  it("scales the suggestions to bring the worst tank back to SAFE_LOAD", () => {
+    const r = checkSolubility({ tanks: tank(360), catalog, volumeL: 100, ratio: 100 });
+    expect(r.tanks[0].level).toBe("danger");
+    expect(r.minVolumeL).toBeCloseTo(150);
+    expect(r.maxRatio).toBe(66);
+  });
+});
@@ -0,0 +1,73 @@
+import { MOLAR, NUTRIENTS, convert, mmolOf, nutrientName, oxideFactor, toElemental } from "../units";
+
+const MACRO_KEYS = ["N", "NO3", "NH4", "P2O5", "K2O", "Ca", "Mg", "S", "Na", "Cl", "HCO3"];
+const MICRO_KEYS = ["Fe", "Mn", "Zn", "Cu", "B", "Mo"];
+
+describe("oxideFactor", () => {
+  it("matches the usual label factors", () => {
+    expect(oxideFactor("P")).toBeCloseTo(2.2914, 3);
+    expect(oxideFactor("K")).toBeCloseTo(1.2046, 3);
+    expect(oxideFactor("Ca")).toBeCloseTo(1.3992, 3);
+    expect(oxideFactor("Mg")).toBeCloseTo(1.6582, 3);
+    expect(oxideFactor("S")).toBeCloseTo(2.4972, 3);
+  });
+
+  it("is 1 for elements without an oxide form", () => {
+    expect(oxideFactor("N")).toBe(1);
+    expect(oxideFactor("Fe")).toBe(1);
+  });
+});
+
+describe("oxide / elemental", () => {
+  it.each(["P2O5", "K2O", "Ca", "Mg", "S"])("round-trips %s through the elemental form", (k) => {
+    const el = convert(k, 100, { form: "elemental" });
+    const back = convert(k, 100, { form: "oxide" });
+    const d = NUTRIENTS[k];
+    expect(back / el).toBeCloseTo(oxideFactor(d.el));
+    expect(el).toBeCloseTo(toElemental(k, 100));
+  });
+
+  it("keeps the stored basis for form label", () => {
+    for (const k of [...MACRO_KEYS, ...MICRO_KEYS]) expect(convert(k, 37.5)).toBeCloseTo(37.5);
+  });
+
+  it("names nutrients after the form shown", () => {
+    expect(nutrientName("P2O5")).toBe("P₂O₅");
+    expect(nutrientName("P2O5", { form: "elemental" })).toBe("P");
+    expect(nutrientName("Ca", { form: "oxide" })).toBe("CaO");
+    expect(nutrientName("P2O5", { unit: "mmol" })).toBe("P");
+  });
+});
+
+describe("ppm / mmol / meq", () => {
+  it.each(MACRO_KEYS)("round-trips %s between ppm and mmol", (k) => {
+    const d = NUTRIENTS[k];
+    const mass = d.mass ?? MOLAR[d.el];
+    const mmol = convert(k, 123, { unit: "mmol" });
+    expect(mmol).toBeCloseTo(mmolOf(k, 123));
+    expect(mmol * mass * (d.oxide ? oxideFactor(d.el) : 1)).toBeCloseTo(123);
+  });
+
+  it.each(MACRO_KEYS)("gives meq as mmol × charge for %s", (k) => {
+    expect(convert(k, 50, { unit: "meq" })).toBeCloseTo(convert(k, 50, { unit: "mmol" }) * NUTRIENTS[k].charge);
+  });
+
+  it("reads one mmol of each ion back", () => {
+    expect(convert("Ca", MOLAR.Ca, { unit: "mmol" })).toBeCloseTo(1);
+    expect(convert("Ca", MOLAR.Ca, { unit: "meq" })).toBeCloseTo(2);
+    expect(convert("K2O", MOLAR.K * oxideFactor("K"), { unit: "mmol" })).toBeCloseTo(1);
+    expect(convert("P2O5", MOLAR.P * oxideFactor("P"), { unit: "meq" })).toBeCloseTo(1);
+    expect(convert("Urea", MOLAR.N, { unit: "meq" })).toBe(0);
+  });
+
+  it.each(MICRO_KEYS)("reports %s in µmol/L for both mmol and meq", (k) => {
+    const umol = (1 / MOLAR[k]) * 1000;
+    expect(convert(k, 1, { unit: "mmol" })).toBeCloseTo(umol);
+    expect(convert(k, 1, { unit: "meq" })).toBeCloseTo(umol);
+  });
+
+  it("passes unknown keys through", () => {
+    expect(convert("EC", 2.1, { unit: "mmol" })).toBe(2.1);
+    expect(mmolOf("EC", 2.1)).toBe(0);
+  });
+});
@@ -0,0 +1,53 @@
+// acidDosing.js — liquid acids: composition and bicarbonate neutralisation (pure JS)
+//
+// Catalog fields for kind "acid" (a liquid, see isLiquid in mixCalc.js):
+//   acid_type     "nitric" | "phosphoric" | "sulfuric"
+//   conc_pct      % w/w of pure acid in the product (e.g. 60)
+//   density_kg_l  kg/L = g/mL of the product (e.g. 1.37)
+//
+// Each mmol of H⁺ neutralises 1 mmol of HCO₃⁻. Phosphoric acid only gives up its
+// first proton at nutrient-solution pH; sulfuric gives up both.
+
+import { MOLAR, NUTRIENTS, oxideFactor } from "./units";
+
+export const ACIDS = {
+  nitric: { label: "Nitric (HNO₃)", molar: 63.01, protons: 1, nutrient: "N", mass: MOLAR.N },
+  phosphoric: { label: "Phosphoric (H₃PO₄)", molar: 97.995, protons: 1, nutrient: "P2O5", mass: MOLAR.P, factor: oxideFactor("P") },
+  sulfuric: { label: "Sulfuric (H₂SO₄)", molar: 98.079, protons: 2, nutrient: "S", mass: MOLAR.S },
+};
+
+const HCO3_MOLAR = NUTRIENTS.HCO3.mass;
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+export const isAcid = (f) => f?.kind === "acid" && !!ACIDS[f?.acid_type];
+
+// % of the product by weight as nutrient (P on the P2O5 basis) and mmol H⁺ per g
+export function acidComposition(f) {
+  const a = ACIDS[f?.acid_type];
+  if (!a) return null;
+  const pure = num(f.conc_pct) / 100; // g acid per g product
+  const mmolAcidPerG = (pure / a.molar) * 1000;
+  return {
+    nutrient: a.nutrient,
+    pct: ((mmolAcidPerG * a.mass * (a.factor || 1)) / 1000) * 100,
+    mmolHPerG: mmolAcidPerG * a.protons,
+  };
+}
+
+// Product needed to bring HCO3 from `hco3` down to `targetHco3` (both mg/L)
+// → { mmolH, gPerL, mlPerL, mlPer1000L } of product per L of irrigation water
+export function acidNeeded(f, { hco3, targetHco3 = 0 } = {}) {
+  const c = acidComposition(f);
+  const density = num(f?.density_kg_l) || 1;
+  const mmolH = Math.max(0, num(hco3) - num(targetHco3)) / HCO3_MOLAR;
+  if (!c || c.mmolHPerG <= 0) return { mmolH, gPerL: 0, mlPerL: 0, mlPer1000L: 0 };
+  const gPerL = mmolH / c.mmolHPerG;
+  const mlPerL = gPerL / density;
+  return { mmolH, gPerL, mlPerL, mlPer1000L: mlPerL * 1000 };
+}
+
+// HCO3 (mg/L) neutralised by gPerL of product
+export function hco3Neutralised(f, gPerL) {
+  const c = acidComposition(f);
+  return c ? gPerL * c.mmolHPerG * HCO3_MOLAR : 0;
+}
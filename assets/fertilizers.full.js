@@ -4,7 +4,10 @@ export default [
     name: "YaraTera Calcinit (15.5-0-0 + 19 Ca)",
     bagSizeKg: 25,
     pricePerBag: 55,
-    npk: { N: 15.5, P2O5: null, K2O: null, Ca: 19, Mg: null, S: null },
+    solubilityGL: 1200,
+    solubilityRefC: 20,
+    solubilityTC: 1.0,
+    npk: { N: 15.5, P2O5: null, K2O: null, Ca: 19, Mg: null, S: null, NO3: 14.4, NH4: 1.1, Urea: null },
   },
   {
     name: "Yara FertiCare Vegetables (7-10-30 + MgO + TE)",
@@ -22,7 +25,10 @@ export default [
     name: "YaraLiva Nitrabor (CaN + B)",
     bagSizeKg: 25,
     pricePerBag: null,
-    npk: { N: 15.4, P2O5: null, K2O: null, Ca: 18.3, Mg: null, S: null },
+    solubilityGL: 1200,
+    solubilityRefC: 20,
+    solubilityTC: 1.0,
+    npk: { N: 15.4, P2O5: null, K2O: null, Ca: 18.3, Mg: null, S: null, NO3: 14.1, NH4: 1.3, Urea: null },
     micro: { B: 0.3 },
   },
   {
@@ -41,24 +47,36 @@ export default [
     name: "YaraTera Krista K Plus (Potassium Nitrate, 13-0-46)",
     bagSizeKg: 25,
     pricePerBag: 170,
-    npk: { N: 13, P2O5: null, K2O: 46, Ca: null, Mg: null, S: null },
+    solubilityGL: 316,
+    solubilityRefC: 20,
+    solubilityTC: 3.5,
+    npk: { N: 13, P2O5: null, K2O: 46, Ca: null, Mg: null, S: null, NO3: 13, NH4: null, Urea: null },
   },
   {
     name: "YaraTera SOP (Potassium Sulphate, 0-0-50 + 18 S)",
     bagSizeKg: 25,
     pricePerBag: 128,
+    solubilityGL: 111,
+    solubilityRefC: 20,
+    solubilityTC: 1.0,
     npk: { N: null, P2O5: null, K2O: 50, Ca: null, Mg: null, S: 18 },
   },
   {
     name: "YaraTera MKP (Mono Potassium Phosphate, 0-52-34)",
     bagSizeKg: 25,
     pricePerBag: 255,
+    solubilityGL: 226,
+    solubilityRefC: 20,
+    solubilityTC: 2.0,
     npk: { N: null, P2O5: 52, K2O: 34, Ca: null, Mg: null, S: null },
   },
   {
     name: "YaraTera Krista MgS (Magnesium Sulphate, MgSO4·7H2O)",
     bagSizeKg: 25,
     pricePerBag: 35,
+    solubilityGL: 710,
+    solubilityRefC: 20,
+    solubilityTC: 1.0,
     npk: { N: null, P2O5: null, K2O: null, Ca: null, Mg: 9.7, S: 13 },
   },
   {
@@ -113,12 +131,35 @@ export default [
     name: "Ag Magnesium (MgSO4·7H2O)",
     bagSizeKg: 25,
     pricePerBag: 29,
+    solubilityGL: 710,
+    solubilityRefC: 20,
+    solubilityTC: 1.0,
     npk: { N: null, P2O5: null, K2O: null, Ca: null, Mg: 9.7, S: 13 },
   },
   {
     name: "Yinong Ammonium Nitrate (34% N)",
     bagSizeKg: 25,
     pricePerBag: null,
-    npk: { N: 34, P2O5: null, K2O: null, Ca: null, Mg: null, S: null },
+    solubilityGL: 1900,
+    solubilityRefC: 20,
+    solubilityTC: 1.5,
+    npk: { N: 34, P2O5: null, K2O: null, Ca: null, Mg: null, S: null, NO3: 17, NH4: 17, Urea: null },
+  },  {
+    name: "Nitric Acid 60%",
+    containerL: 25,
+    pricePerBag: null,
+    kind: "acid",
+    acidType: "nitric",
+    concPct: 60,
+    densityKgL: 1.37,
+  },
+  {
+    name: "Phosphoric Acid 85%",
+    containerL: 25,
+    pricePerBag: null,
+    kind: "acid",
+    acidType: "phosphoric",
+    concPct: 85,
+    densityKgL: 1.69,
   },
 ];
@@ -0,0 +1,79 @@
+// data/targetProfiles.js — starter crop / stage targets (ppm at dripper, EC in mS/cm, ratios)
+const MICRO = {
+  Fe: { min: 1.5, opt: 2, max: 3 },
+  Mn: { min: 0.4, opt: 0.55, max: 0.8 },
+  Zn: { min: 0.25, opt: 0.33, max: 0.5 },
+  Cu: { min: 0.03, opt: 0.05, max: 0.1 },
+  B: { min: 0.25, opt: 0.35, max: 0.5 },
+  Mo: { min: 0.03, opt: 0.05, max: 0.08 },
+};
+// K : Ca : Mg balance in meq (fruiting crops prone to blossom-end rot keep K : Ca low)
+const CATIONS = {
+  K_Ca: { min: 0.6, opt: 0.85, max: 1.1 },
+  K_share: { min: 28, opt: 36, max: 42 },
+  Ca_share: { min: 38, opt: 45, max: 52 },
+  Mg_share: { min: 14, opt: 19, max: 25 },
+};
+
+export default [
+  {
+    name: "Chilli – vegetative",
+    targets: {
+      N: { min: 150, opt: 180, max: 210 },
+      P2O5: { min: 80, opt: 100, max: 120 },
+      K2O: { min: 220, opt: 260, max: 300 },
+      Ca: { min: 140, opt: 170, max: 200 },
+      Mg: { min: 40, opt: 50, max: 60 },
+      S: { min: 50, opt: 70, max: 100 },
+      ...MICRO,
+      EC: { min: 2.0, opt: 2.2, max: 2.5 },
+      N_K2O: { min: 0.6, opt: 0.7, max: 0.85 },
+      ...CATIONS,
+    },
+  },
+  {
+    name: "Chilli – fruiting",
+    targets: {
+      N: { min: 170, opt: 200, max: 230 },
+      P2O5: { min: 90, opt: 110, max: 130 },
+      K2O: { min: 300, opt: 350, max: 400 },
+      Ca: { min: 150, opt: 180, max: 210 },
+      Mg: { min: 45, opt: 55, max: 65 },
+      S: { min: 60, opt: 80, max: 110 },
+      ...MICRO,
+      EC: { min: 2.4, opt: 2.7, max: 3.0 },
+      N_K2O: { min: 0.45, opt: 0.57, max: 0.7 },
+      ...CATIONS,
+    },
+  },
+  {
+    name: "Tomato – fruiting",
+    targets: {
+      N: { min: 180, opt: 210, max: 240 },
+      P2O5: { min: 90, opt: 115, max: 140 },
+      K2O: { min: 350, opt: 420, max: 480 },
+      Ca: { min: 170, opt: 200, max: 230 },
+      Mg: { min: 45, opt: 55, max: 70 },
+      S: { min: 80, opt: 110, max: 150 },
+      ...MICRO,
+      EC: { min: 2.6, opt: 3.0, max: 3.5 },
+      N_K2O: { min: 0.4, opt: 0.5, max: 0.6 },
+      ...CATIONS,
+    },
+  },
+  {
+    name: "Lettuce – vegetative",
+    targets: {
+      N: { min: 130, opt: 150, max: 180 },
+      P2O5: { min: 60, opt: 80, max: 100 },
+      K2O: { min: 180, opt: 220, max: 260 },
+      Ca: { min: 110, opt: 130, max: 160 },
+      Mg: { min: 30, opt: 40, max: 50 },
+      S: { min: 30, opt: 45, max: 70 },
+      ...MICRO,
+      EC: { min: 1.2, opt: 1.5, max: 1.8 },
+      N_K2O: { min: 0.55, opt: 0.68, max: 0.85 },
+      ...CATIONS,
+    },
+  },
+];
@@ -0,0 +1,223 @@
+// catalogCsv.js — fertilizer catalog ⇄ CSV, with column mapping and an import diff (pure JS)
+//
+// Import: parseCsv → guessMapping (editable) → buildPreview against the current catalog.
+// Each preview line is "new", "update" (with a field-level diff), "same" or "invalid".
+// Spreadsheets: .xlsx is read into the same text (sheetToText), or copy the cells and
+// paste them (tab-separated).
+// Export: toCsv writes every catalog field under the same column keys, so an exported
+// file imports back as-is.
+
+import { legacyForms } from "./catalogMigration";
+import { ACIDS } from "./acidDosing";
+import { DECLARED_FORMS } from "./mixCalc";
+
+// field key: top-level column, or "npk.X" / "micro.X" / "forms.X" inside the jsonb objects
+// `options`: the accepted values (matched case-insensitively, stored as written here)
+export const CSV_FIELDS = [
+  { key: "name", label: "Name" },
+  { key: "bag_size_kg", label: "Bag size (kg)", num: true },
+  { key: "price_per_bag", label: "Price per bag", num: true },
+  { key: "kind", label: "Kind (solid / liquid / acid)", options: ["solid", "liquid", "acid"] },
+  { key: "density_kg_l", label: "Density (kg/L)", num: true },
+  { key: "container_l", label: "Container (L)", num: true },
+  { key: "pct_basis", label: "% basis (w/w / w/v)", options: ["w/w", "w/v"] },
+  { key: "acid_type", label: `Acid (${Object.keys(ACIDS).join(" / ")})`, options: Object.keys(ACIDS) },
+  { key: "conc_pct", label: "Acid %", num: true, pct: true },
+  ...["N", "NO3", "NH4", "Urea", "P2O5", "K2O", "Ca", "Mg", "S"].map((k) => ({ key: `npk.${k}`, label: `${k} %`, num: true, pct: true })),
+  ...Object.entries(DECLARED_FORMS).map(([k, opts]) => ({ key: `forms.${k}`, label: `${k} declared as`, options: opts })),
+  ...["Fe", "Mn", "Zn", "Cu", "B", "Mo"].map((k) => ({ key: `micro.${k}`, label: `${k} %`, num: true, pct: true })),
+  { key: "solubility_gl", label: "Solubility (g/L)", num: true },
+  { key: "solubility_ref_c", label: "Solubility °C", num: true },
+  { key: "solubility_tc", label: "Solubility %/°C", num: true },
+  { key: "ec_per_gl", label: "EC per g/L", num: true },
+];
+const FIELD = Object.fromEntries(CSV_FIELDS.map((f) => [f.key, f]));
+const NESTED = ["npk", "micro", "forms"];
+
+// header text → field key
+const norm = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const ALIASES = {
+  name: ["product", "fertilizer", "fertiliser", "productname"],
+  bag_size_kg: ["bag", "bagsize", "bagkg", "pack", "packkg", "packsize"],
+  price_per_bag: ["price", "priceperbag", "bagprice", "cost"],
+  kind: ["type"],
+  density_kg_l: ["density", "sg"],
+  container_l: ["container", "containerl", "volume"],
+  pct_basis: ["basis"],
+  acid_type: ["acid", "acidtype"],
+  conc_pct: ["concentration", "conc"],
+  "npk.NO3": ["no3n", "nitraten"],
+  "npk.NH4": ["nh4n", "ammoniumn"],
+  "npk.Urea": ["urean"],
+  solubility_gl: ["solubility"],
+};
+const LOOKUP = new Map();
+for (const f of CSV_FIELDS) {
+  for (const a of [f.key, f.label, f.key.split(".").pop(), ...(ALIASES[f.key] || [])]) {
+    if (!LOOKUP.has(norm(a))) LOOKUP.set(norm(a), f.key);
+  }
+}
+
+export const guessMapping = (header = []) => header.map((h) => LOOKUP.get(norm(h)) ?? null);
+
+// CSV / TSV text → { header, rows } (quoted fields, "" escapes, ; or tab delimiters)
+export function parseCsv(text = "") {
+  const src = String(text).replace(/^﻿/, "");
+  const first = src.split(/\r?\n/, 1)[0] || "";
+  const count = (c) => first.split(c).length - 1;
+  const delim = count("\t") > 0 ? "\t" : count(";") > count(",") ? ";" : ",";
+
+  const out = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"' && cell === "") quoted = true;
+    else if (c === delim) { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); cell = "";
+      if (row.some((x) => x.trim() !== "")) out.push(row);
+      row = [];
+    } else cell += c;
+  }
+  row.push(cell);
+  if (row.some((x) => x.trim() !== "")) out.push(row);
+
+  const [header = [], ...rows] = out;
+  return { header: header.map((h) => h.trim()), rows, delim };
+}
+
+// "1,5" / "350,000" / "1.250,50" / "12 %" / "" → number | null | NaN (invalid)
+// Both separators: the last one is the decimal. One kind only: "1,250" and "1.250.000" are
+// thousands groups, "1,5" and "1.5" decimals. Anything else is invalid rather than a guess.
+const GROUPED = (sep) => new RegExp(`^[1-9]\\d{0,2}(?:\\${sep}\\d{3})+$`);
+function parseNum(s) {
+  const t = String(s ?? "").trim().replace(/%$/, "").trim();
+  if (t === "") return null;
+  const sign = t.startsWith("-") ? "-" : "";
+  const body = t.slice(sign.length);
+  const comma = body.lastIndexOf(",");
+  const dot = body.lastIndexOf(".");
+  let plain;
+  if (comma >= 0 && dot >= 0) {
+    const [dec, group] = comma > dot ? [",", "."] : [".", ","];
+    const at = Math.max(comma, dot);
+    const int = body.slice(0, at);
+    if (body.slice(at + 1).includes(dec) || !(GROUPED(group).test(int) || /^\d{1,3}$/.test(int))) return NaN;
+    plain = int.split(group).join("") + "." + body.slice(at + 1);
+  } else if (comma >= 0 || dot >= 0) {
+    const sep = comma >= 0 ? "," : ".";
+    const parts = body.split(sep);
+    if (GROUPED(sep).test(body) && (sep === "," || parts.length > 2)) plain = parts.join("");
+    else if (parts.length === 2) plain = parts.join(".");
+    else return NaN;
+  } else plain = body;
+  if (!/^(?:\d+|\d*\.\d+)$/.test(plain)) return NaN;
+  const n = Number(sign + plain);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+const getPath = (f, key) => {
+  const [a, b] = key.split(".");
+  return b ? f?.[a]?.[b] ?? null : f?.[a] ?? null;
+};
+const same = (a, b) =>
+  typeof a === "number" || typeof b === "number"
+    ? a != null && b != null && Math.abs(Number(a) - Number(b)) < 1e-9
+    : String(a ?? "").trim() === String(b ?? "").trim();
+
+// → [{ line, name, status, errors, diff: [{ key, label, from, to }], record, existing }]
+export function buildPreview({ rows = [], mapping = [], catalog = [] } = {}) {
+  const byName = new Map(catalog.map((f) => [norm(f.name), f]));
+  const seen = new Set();
+
+  return rows.map((cells, i) => {
+    const record = {};
+    const errors = [];
+    mapping.forEach((key, col) => {
+      if (!key) return;
+      const field = FIELD[key];
+      const raw = String(cells[col] ?? "").trim();
+      if (field.options) {
+        if (raw === "") return;
+        const opt = field.options.find((o) => o.toLowerCase() === raw.toLowerCase());
+        if (opt) record[key] = opt;
+        else errors.push(`${field.label}: "${raw}" is not ${field.options.join(" / ")}`);
+        return;
+      }
+      if (!field.num) {
+        if (raw !== "") record[key] = raw;
+        return;
+      }
+      const n = parseNum(raw);
+      if (Number.isNaN(n)) errors.push(`${field.label}: "${raw}" is not a number`);
+      else if (n != null && (n < 0 || (field.pct && n > 100))) errors.push(`${field.label}: ${n} is out of range`);
+      else if (n != null) record[key] = n;
+    });
+
+    const name = record.name || "";
+    if (!name) errors.push("Name is empty");
+    if (name && seen.has(norm(name))) errors.push("Name repeats an earlier row");
+    if (name) seen.add(norm(name));
+
+    const existing = name ? byName.get(norm(name)) : null;
+    const base = { line: i + 2, name, errors, record, existing };
+    if (errors.length) return { ...base, status: "invalid", diff: [] };
+    if (!existing) return { ...base, status: "new", diff: [] };
+
+    const diff = Object.keys(record)
+      .filter((k) => k !== "name" && !same(getPath(existing, k), record[k]))
+      .map((k) => ({ key: k, label: FIELD[k].label, from: getPath(existing, k), to: record[k] }));
+    return { ...base, status: diff.length ? "update" : "same", diff };
+  });
+}
+
+// Preview line → insert row (new) or update patch (jsonb objects merged with the existing values)
+export function rowFor(line, owner) {
+  const top = {};
+  const nested = {
+    npk: { ...(line.existing?.npk || {}) },
+    micro: { ...(line.existing?.micro || {}) },
+    forms: { ...(line.existing?.forms || legacyForms({ name: line.name })) },
+  };
+  const keys = line.existing ? line.diff.map((d) => d.key) : Object.keys(line.record);
+  for (const k of keys) {
+    const [a, b] = k.split(".");
+    if (NESTED.includes(a)) nested[a][b] = line.record[k];
+    else top[a] = line.record[k];
+  }
+  if (line.existing) {
+    const patch = { ...top };
+    for (const n of NESTED) if (keys.some((k) => k.startsWith(`${n}.`))) patch[n] = nested[n];
+    return patch;
+  }
+  if (top.bag_size_kg == null && top.container_l && top.density_kg_l) top.bag_size_kg = top.container_l * top.density_kg_l;
+  return { owner, kind: "solid", ...top, ...nested };
+}
+
+// Sheet cells (read-excel-file: rows of string / number / boolean / Date / null) → the
+// tab-separated text parseCsv reads, so a workbook goes through the same mapping and preview
+export function sheetToText(rows = []) {
+  const cell = (v) => {
+    const s = v == null ? "" : v instanceof Date ? v.toISOString().slice(0, 10) : String(v);
+    return /["\t\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map((r) => r.map(cell).join("\t")).join("\n");
+}
+
+// Catalog → CSV text with the import's column keys as header
+export function toCsv(catalog = []) {
+  const esc = (v) => {
+    const s = v == null ? "" : String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [CSV_FIELDS.map((f) => f.key).join(",")];
+  for (const f of catalog) lines.push(CSV_FIELDS.map((c) => esc(getPath(f, c.key))).join(","));
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,45 @@
+// catalogMigration.js — one-time upgrade of fertilizer rows to explicit catalog fields
+// - Rows saved before `forms` existed had MgO inferred from the *name* at calc time.
+//   That guess is made once here, written back, and never repeated by the calculations.
+// - `ec_per_gl` is left blank: EC then comes from the ion model (ionBalance.js).
+// - Each write is audited like any other change (action "migrate").
+
+import { supabase } from "./supabaseClient";
+import { logFertilizerChange } from "./fertilizerAudit";
+
+// Declared forms guessed from label text, e.g. "+2MgO", "+ 3 CaO", "SO3"
+export function legacyForms(f) {
+  const name = f?.name || "";
+  return {
+    P2O5: "P2O5",
+    Ca: /CaO\b/.test(name) ? "CaO" : "Ca",
+    Mg: /MgO/i.test(name) ? "MgO" : "Mg",
+    S: /SO3\b/.test(name) ? "SO3" : "S",
+  };
+}
+
+// Returns rows with `forms` filled in. The patch is written in the background, once per
+// row per session, so loading never waits on it; rows we may not update (someone else's
+// shared row) keep the in-memory value and are not retried on every load.
+const tried = new Set();
+
+export function migrateCatalog(rows = []) {
+  const todo = [];
+  const out = rows.map((f) => {
+    if (f.forms) return f;
+    const row = { ...f, forms: legacyForms(f) };
+    if (!tried.has(f.id)) todo.push([f, row.forms]);
+    return row;
+  });
+  for (const [f, forms] of todo) {
+    tried.add(f.id);
+    supabase
+      .from("fertilizers")
+      .update({ forms })
+      .eq("id", f.id)
+      .then(({ error }) =>
+        error ? console.warn("migrate error", f.name, error.message) : logFertilizerChange(f, { forms }, "migrate")
+      );
+  }
+  return out;
+}
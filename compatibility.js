@@ -0,0 +1,120 @@
+// compatibility.js — rule-based precipitation / compatibility warnings (pure JS)
+//
+// Rules run per solution, i.e. per tank where the products actually meet:
+//   - Ca + sulfate    → gypsum (CaSO4) once the Ca × SO4 product gets near its solubility
+//   - Ca + phosphate  → calcium phosphate; precipitates at far lower levels than gypsum
+//   - Fe chelate + strong acid → chelate breaks down at low pH, Fe drops out
+//
+// Input
+//   items:   [{ fertId, grams, tank? }]   same grams meaning as computeMix
+//   catalog: fertilizer rows
+//   dose:    { mode, volumeL, ratio }     "stock" = products meet at stock strength
+//
+// Output
+//   [{ rule, level: "caution" | "danger", tank, fertIds, title, message }]
+
+import { doseOf, ppmOf } from "./mixCalc";
+import { ionRoles } from "./tankSplit";
+import { mmolOf } from "./units";
+
+// (mmol/L)² products; gypsum dissolves to ~15 mmol/L, so its limit is ~15²
+const LIMITS = {
+  gypsum: { caution: 100, danger: 225 },
+  caPhosphate: { caution: 10, danger: 50 },
+};
+
+// g/L of a product in the solution it is dissolved in (tank, not dripper)
+function solutionGPerL(grams, dose) {
+  const { gramsTotal, gPerL } = doseOf(grams, dose);
+  if (dose.mode !== "stock") return gPerL;
+  const vol = Number(dose.volumeL) || 0;
+  return vol > 0 ? gramsTotal / vol : 0;
+}
+
+function levelOf(product, limits) {
+  if (product >= limits.danger) return "danger";
+  if (product >= limits.caution) return "caution";
+  return null;
+}
+
+export function checkCompatibility({ items = [], catalog = [], dose = {} } = {}) {
+  const byId = new Map(catalog.map((f) => [f.id, f]));
+  const stock = dose.mode === "stock";
+
+  // group resolved items by the solution they end up in
+  const groups = new Map();
+  for (const it of items) {
+    const f = byId.get(it.fertId);
+    if (!f) continue;
+    const tank = it.tank || null;
+    if (!groups.has(tank)) groups.set(tank, []);
+    groups.get(tank).push({ f, roles: ionRoles(f), ppm: ppmOf(f, solutionGPerL(it.grams, dose)) });
+  }
+
+  const out = [];
+  const where = (tank) => (tank ? `tank ${tank}` : stock ? "the stock tank" : "the mix tank");
+  const names = (list) => list.map((x) => x.f.name).join(", ");
+
+  for (const [tank, list] of groups) {
+    const sum = (k) => list.reduce((s, x) => s + x.ppm[k], 0);
+    const caSrc = list.filter((x) => x.roles.calcium);
+    const so4Src = list.filter((x) => x.roles.sulfate && !x.roles.calcium);
+    const pSrc = list.filter((x) => x.roles.phosphate && !x.roles.calcium);
+    const feSrc = list.filter((x) => x.roles.ironChelate);
+    const acidSrc = list.filter((x) => x.roles.acid);
+
+    const caMmol = mmolOf("Ca", sum("Ca"));
+
+    if (caSrc.length && so4Src.length) {
+      const product = caMmol * mmolOf("S", sum("S"));
+      const level = levelOf(product, LIMITS.gypsum);
+      if (level) {
+        out.push({
+          rule: "ca-sulfate",
+          level,
+          tank,
+          fertIds: [...caSrc, ...so4Src].map((x) => x.f.id),
+          title: "Calcium + sulfate",
+          message: `Gypsum (CaSO₄) may precipitate in ${where(tank)}: ${names(caSrc)} with ${names(so4Src)}.`,
+        });
+      }
+    }
+
+    if (caSrc.length && pSrc.length) {
+      const product = caMmol * mmolOf("P2O5", sum("P2O5"));
+      const level = levelOf(product, LIMITS.caPhosphate);
+      if (level) {
+        out.push({
+          rule: "ca-phosphate",
+          level,
+          tank,
+          fertIds: [...caSrc, ...pSrc].map((x) => x.f.id),
+          title: "Calcium + phosphate",
+          message: `Calcium phosphate may precipitate in ${where(tank)}: ${names(caSrc)} with ${names(pSrc)}.`,
+        });
+      }
+    }
+
+    if (feSrc.length && acidSrc.length) {
+      out.push({
+        rule: "fe-acid",
+        level: stock ? "danger" : "caution",
+        tank,
+        fertIds: [...feSrc, ...acidSrc].map((x) => x.f.id),
+        title: "Iron chelate + acid",
+        message: `${names(feSrc)} can break down next to ${names(acidSrc)} in ${where(tank)}; dose the acid separately.`,
+      });
+    }
+  }
+
+  return out;
+}
+
+// { [fertId]: [warning, ...] } for showing warnings on the offending rows
+export function warningsByFert(warnings = []) {
+  const map = {};
+  for (const w of warnings) {
+    for (const id of w.fertIds) (map[id] = map[id] || []).push(w);
+  }
+  return map;
+}
@@ -0,0 +1,18 @@
+// confirm.js — yes / no question that works on web and native
+// - Web: window.confirm (Alert.alert buttons do nothing in react-native-web)
+// - Native: Alert with Cancel and one confirm button; `destructive` styles it red
+
+import { Alert, Platform } from "react-native";
+
+// → Promise<boolean>
+export const confirmAsync = (title, message, { confirmText = "Confirm", destructive = false } = {}) =>
+  new Promise((resolve) => {
+    if (Platform.OS === "web") {
+      resolve(window.confirm(`${title}\n\n${message}`));
+    } else {
+      Alert.alert(title, message, [
+        { text: "Cancel", style: "cancel", onPress: () => resolve(false) },
+        { text: confirmText, style: destructive ? "destructive" : "default", onPress: () => resolve(true) },
+      ], { cancelable: true, onDismiss: () => resolve(false) });
+    }
+  });
@@ -0,0 +1,43 @@
+// costAnalytics.js — fertigation cost per dripper volume, plant, day and hectare (pure JS)
+//
+// Works on a computeMix result: the batch cost is spread over the litres it actually
+// delivers at the dripper (a stock tank delivers volumeL × ratio).
+//   dose:  { mode: "total" | "perL" | "stock", volumeL, ratio }   (mixCalc dose shape)
+//   field: { lPerPlantDay, plants, areaHa }                       (all optional)
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+// Litres of irrigation water one batch makes at the dripper
+export function dripperLitres(dose = {}) {
+  const vol = Math.max(0, num(dose.volumeL));
+  return dose.mode === "stock" ? vol * Math.max(1, num(dose.ratio) || 1) : vol;
+}
+
+// → { dripperL, costPerL, per1000L,
+//     perPlantDay, perDay, perHaWeek, batchDays,   (null when the field inputs are missing)
+//     drivers: [{ fertId, name, cost, share, per1000L }] }   most expensive first
+export function costAnalytics({ cost = 0, lines = [], dose = {}, field = {} } = {}) {
+  const dripperL = dripperLitres(dose);
+  const costPerL = dripperL > 0 ? num(cost) / dripperL : 0;
+  const lPerPlantDay = num(field.lPerPlantDay);
+  const plants = num(field.plants);
+  const areaHa = num(field.areaHa);
+
+  const perPlantDay = lPerPlantDay > 0 ? costPerL * lPerPlantDay : null;
+  const perDay = perPlantDay != null && plants > 0 ? perPlantDay * plants : null;
+  const perHaWeek = perDay != null && areaHa > 0 ? (perDay * 7) / areaHa : null;
+  const batchDays = lPerPlantDay > 0 && plants > 0 ? dripperL / (lPerPlantDay * plants) : null;
+
+  const drivers = lines
+    .filter((l) => num(l.cost) > 0)
+    .map((l) => ({
+      fertId: l.fertId,
+      name: l.name,
+      cost: num(l.cost),
+      share: num(cost) > 0 ? (num(l.cost) / num(cost)) * 100 : 0,
+      per1000L: dripperL > 0 ? (num(l.cost) / dripperL) * 1000 : 0,
+    }))
+    .sort((a, b) => b.cost - a.cost);
+
+  return { dripperL, costPerL, per1000L: costPerL * 1000, perPlantDay, perDay, perHaWeek, batchDays, drivers };
+}
@@ -0,0 +1,121 @@
+// fertilizerAudit.js — change history for fertilizer rows (Supabase "fertilizer_audit")
+// - Row shape: { id, fertilizer_id, workspace_id, action, changes: [{ field, from, to }], snapshot, changed_by, changed_by_email, changed_at }
+//   `snapshot` holds the audited fields as they were *before* the change, so reverting
+//   to "before this change" is a plain update with the snapshot.
+// - npk / micro / forms are diffed per key ("npk.K2O"), so a K2O typo shows up on its own.
+// - Created rows (CSV import) have no snapshot, so they can't be "reverted"; a deleted row's
+//   snapshot is the whole row, so it can be inserted again.
+// - The audit entry is written after the change itself, so a failed entry is returned as
+//   `error` ("saved, but …") rather than thrown as if the save had failed.
+
+import { supabase } from "./supabaseClient";
+import { today } from "./priceHistory";
+
+const TOP = [
+  ["name", "Name"],
+  ["bag_size_kg", "Bag size (kg)"],
+  ["price_per_bag", "Price per bag"],
+  ["kind", "Type"],
+  ["density_kg_l", "Density (kg/L)"],
+  ["container_l", "Container (L)"],
+  ["pct_basis", "% basis"],
+  ["acid_type", "Acid"],
+  ["conc_pct", "Acid %"],
+  ["ec_per_gl", "EC per g/L"],
+  ["solubility_gl", "Solubility (g/L)"],
+  ["solubility_ref_c", "Solubility °C"],
+  ["solubility_tc", "Solubility %/°C"],
+  ["reorder_kg", "Reorder at (kg)"],
+  ["shared", "Shared"],
+];
+const NESTED = ["npk", "micro", "forms"];
+
+export const ACTION_LABEL = { update: "Edited", rename: "Renamed", import: "CSV import", revert: "Reverted", migrate: "Catalog upgrade", delete: "Deleted" };
+
+const same = (a, b) => (a ?? null) === (b ?? null) || (a != null && b != null && String(a) === String(b));
+
+// Audited fields only; the shape stored as `snapshot`
+export function auditedFields(f = {}) {
+  const out = {};
+  for (const [k] of TOP) out[k] = f[k] ?? null;
+  for (const k of NESTED) out[k] = f[k] ? { ...f[k] } : null;
+  return out;
+}
+
+// before/after rows → [{ field, label, from, to }]
+export function diffFertilizer(before = {}, after = {}) {
+  const out = [];
+  for (const [k, label] of TOP) {
+    if (!(k in after)) continue; // not part of this update
+    if (!same(before[k], after[k])) out.push({ field: k, label, from: before[k] ?? null, to: after[k] ?? null });
+  }
+  for (const k of NESTED) {
+    if (!(k in after)) continue;
+    const a = before[k] || {};
+    const b = after[k] || {};
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (!same(a[key], b[key])) out.push({ field: `${k}.${key}`, label: k === "forms" ? `${key} form` : key, from: a[key] ?? null, to: b[key] ?? null });
+    }
+  }
+  return out;
+}
+
+// Record a change (no-op when nothing audited changed). `patch` is what was written;
+// `before` null for a row just created, `patch` null for a row just deleted.
+// → { entry (null when nothing changed), error }; never throws
+export async function logFertilizerChange(before, patch, action = "update") {
+  const id = before?.id ?? patch?.id;
+  const changes = diffFertilizer(before ?? {}, patch ?? auditedFields({}));
+  if (!changes.length) return { entry: null, error: null };
+  const snapshot = !before ? null : !patch ? { ...before } : auditedFields(before);
+  try {
+    const { data: u } = await supabase.auth.getUser();
+    const { data, error } = await supabase
+      .from("fertilizer_audit")
+      .insert([{
+        fertilizer_id: id,
+        workspace_id: (before ?? patch).workspace_id ?? null,
+        action,
+        changes,
+        snapshot,
+        changed_by: u?.user?.id ?? null,
+        changed_by_email: u?.user?.email ?? null,
+      }])
+      .select()
+      .single();
+    if (error) throw error;
+    return { entry: data, error: null };
+  } catch (e) {
+    console.warn("audit error", before?.name ?? patch?.name, e);
+    return { entry: null, error: new Error(`the change history could not be recorded (${e.message ?? String(e)})`) };
+  }
+}
+
+// Put a fertilizer back to how it was before `entry`; the revert is itself audited.
+// A reverted price also goes into the price history from today, since costing reads that.
+// Throws when the row can't be updated; → { data, error } for what failed after it
+export async function revertFertilizer(current, entry) {
+  const patch = auditedFields(entry.snapshot || {});
+  const { data, error } = await supabase
+    .from("fertilizers")
+    .update(patch)
+    .eq("id", current.id)
+    .select()
+    .single();
+  if (error) throw error;
+
+  let priceError = null;
+  if (patch.price_per_bag != null && !same(current.price_per_bag, patch.price_per_bag)) {
+    const { data: u } = await supabase.auth.getUser();
+    const { error: phErr } = await supabase.from("fertilizer_prices").insert([{
+      fertilizer_id: current.id,
+      effective_date: today(),
+      price_per_bag: patch.price_per_bag,
+      supplier: null,
+      created_by: u?.user?.id ?? null,
+    }]);
+    if (phErr) priceError = new Error(`the price could not be added to the price history (${phErr.message})`);
+  }
+  const { error: auditError } = await logFertilizerChange(current, patch, "revert");
+  return { data, error: priceError ?? auditError };
+}
@@ -0,0 +1,61 @@
+// inventory.js — stock on hand from a ledger of moves (pure JS)
+//
+// Supabase table "inventory_moves" (append-only ledger, grams signed):
+//   { id, fertilizer_id, kind: "receipt" | "adjust" | "batch", grams, batch_id, note, created_by, created_at }
+//   receipt  +grams delivered (entered as bags or kg)
+//   adjust   ±grams to bring the book stock to a physical count
+//   batch    −grams used by a batch confirmed as mixed in the Mix / Stock tabs
+// Reorder threshold: fertilizers.reorder_kg (blank = no alert).
+// View "stock_on_hand" { fertilizer_id, grams } sums the ledger in the database
+// (supabase/migrations); the screens read that rather than every move.
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+export const MOVE_LABEL = { receipt: "Received", adjust: "Count adjustment", batch: "Used in batch" };
+
+// moves or stock_on_hand rows → Map(fertilizer_id → grams on hand)
+export function stockOnHand(moves = []) {
+  const out = new Map();
+  for (const m of moves) out.set(m.fertilizer_id, (out.get(m.fertilizer_id) || 0) + num(m.grams));
+  return out;
+}
+
+// → { grams, kg, bags (null without a bag size), low, reorderKg }
+export function stockStatus(f, grams = 0) {
+  const kg = num(grams) / 1000;
+  const bag = num(f?.bag_size_kg);
+  const reorderKg = f?.reorder_kg == null || f.reorder_kg === "" ? null : num(f.reorder_kg);
+  return { grams: num(grams), kg, bags: bag > 0 ? kg / bag : null, low: reorderKg != null && kg <= reorderKg, reorderKg };
+}
+
+// Ledger rows that take a mixed batch out of stock (items: [{ fertId, gramsTotal }] as in computeMix lines)
+export function batchMoves(lines = [], { batchId = null, by = null } = {}) {
+  const grams = new Map();
+  for (const l of lines) {
+    if (!l.fertId || !(num(l.gramsTotal) > 0)) continue;
+    grams.set(l.fertId, (grams.get(l.fertId) || 0) + num(l.gramsTotal));
+  }
+  return [...grams].map(([fertilizer_id, g]) => ({
+    fertilizer_id, kind: "batch", grams: -g, batch_id: batchId, created_by: by,
+  }));
+}
+
+// How many more batches of a saved recipe the stock covers
+// items: recipe.items ([{ fert_id, name, grams }]) → { batches, limiting: { fertId, name }, short: [names with no stock] }
+export function batchesCovered(items = [], onHand = new Map()) {
+  let batches = Infinity;
+  let limiting = null;
+  const short = [];
+  for (const it of items) {
+    const need = num(it.grams);
+    if (!it.fert_id || need <= 0) continue;
+    const have = Math.max(0, num(onHand.get(it.fert_id)));
+    const n = Math.floor(have / need);
+    if (n === 0) short.push(it.name || it.fert_id);
+    if (n < batches) {
+      batches = n;
+      limiting = { fertId: it.fert_id, name: it.name };
+    }
+  }
+  return { batches: Number.isFinite(batches) ? batches : null, limiting, short };
+}
@@ -0,0 +1,53 @@
+// ionBalance.js — ion-based EC estimate and cation/anion balance (pure JS)
+//
+// Takes a ppm object in the mixCalc shape (N forms, P as P2O5, K as K2O, the rest
+// elemental), converts each ion to mmol/L and meq/L and estimates EC from the
+// ionic sum:  EC (mS/cm) ≈ (Σ cation meq/L + Σ anion meq/L) / 2 / 10.
+//
+// Assumptions
+//   - P is present as H2PO4⁻ (nutrient solutions sit around pH 5.5–6)
+//   - N of unknown form counts as nitrate; urea is uncharged
+//   - micros are too small to matter and are left out
+
+import { mmolOf } from "./units";
+
+// ion: ppm-shape key it is read from, charge (molar masses and oxide factors: units.js)
+export const IONS = {
+  NH4: { from: "NH4", charge: 1 },
+  K: { from: "K2O", charge: 1 },
+  Ca: { from: "Ca", charge: 2 },
+  Mg: { from: "Mg", charge: 2 },
+  Na: { from: "Na", charge: 1 },
+  NO3: { from: "NO3", charge: -1 },
+  H2PO4: { from: "P2O5", charge: -1 },
+  SO4: { from: "S", charge: -2 },
+  Cl: { from: "Cl", charge: -1 },
+  HCO3: { from: "HCO3", charge: -1 },
+};
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+// → { ions: { [ion]: { mmol, meq } }, cationMeq, anionMeq, imbalancePct, ec }
+export function ionBalance(ppm = {}, { ecScale = 1 } = {}) {
+  // unspecified N (older catalog rows) is treated as nitrate
+  const known = num(ppm.NO3) + num(ppm.NH4) + num(ppm.Urea);
+  const src = { ...ppm, NO3: num(ppm.NO3) + Math.max(0, num(ppm.N) - known) };
+
+  const ions = {};
+  let cationMeq = 0;
+  let anionMeq = 0;
+  for (const [ion, d] of Object.entries(IONS)) {
+    const mmol = mmolOf(d.from, src[d.from]);
+    const meq = mmol * Math.abs(d.charge);
+    ions[ion] = { mmol, meq };
+    if (d.charge > 0) cationMeq += meq;
+    else anionMeq += meq;
+  }
+
+  const total = cationMeq + anionMeq;
+  // difference relative to the mean of both sums
+  const imbalancePct = total > 0 ? ((cationMeq - anionMeq) / total) * 100 * 2 : 0;
+  const ec = (total / 2 / 10) * (num(ecScale) || 1);
+
+  return { ions, cationMeq, anionMeq, imbalancePct, ec };
+}
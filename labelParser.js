@@ -0,0 +1,162 @@
+// labelParser.js — guaranteed analysis from product names and label text (pure JS)
+//
+// Reads what names and labels already say:
+//   "YaraMila 15-9-20 +2MgO +4S +TE"           N-P-K triple + "+x MgO / +x S" additions
+//   "Calcinit 15.5 N 26.5 CaO"                  "number nutrient" pairs
+//   "Nitrate nitrogen (NO3-N) ... 14.4%"        label table lines, "nutrient ... number %"
+// Oxide / element wording sets the declared form (MgO vs Mg, P2O5 vs P, SO3 vs S).
+// Nothing is saved here: FertilizerDetailScreen pre-fills its fields for review and
+// shows `sources` (the text each value came from) next to them.
+
+import { oxideFactor } from "./units";
+
+// Priority order: specific N forms before total N, oxides before elements of the same key.
+// `words` match in any case, `sym` (chemical symbols) only as written.
+const TOKENS = [
+  { key: "NO3", words: "nitrate[\\s-]*(?:nitrogen)?", sym: "NO3[\\s-]*N?(?![a-z])" },
+  { key: "NH4", words: "ammonia(?:cal|c)?[\\s-]*(?:nitrogen)?|ammonium[\\s-]*(?:nitrogen)?", sym: "NH4[\\s-]*N?(?![a-z])" },
+  { key: "Urea", words: "urea(?:[\\s-]*nitrogen)?" },
+  { key: "P2O5", form: "P2O5", words: "phosphate|phosphorus pentoxide|phosphoric anhydride", sym: "P2O5" },
+  { key: "P2O5", form: "P", words: "phosphorus", sym: "P(?![A-Za-z0-9])" },
+  { key: "K2O", form: "K2O", words: "potash", sym: "K2O" },
+  { key: "K2O", form: "K", words: "potassium", sym: "K(?![A-Za-z0-9])" },
+  { key: "Ca", form: "CaO", words: "calcium oxide", sym: "CaO(?![a-z])" },
+  { key: "Ca", form: "Ca", words: "calcium", sym: "Ca(?![A-Za-z])" },
+  { key: "Mg", form: "MgO", words: "magnesium oxide", sym: "MgO(?![a-z])" },
+  { key: "Mg", form: "Mg", words: "magnesium", sym: "Mg(?![A-Za-z])" },
+  { key: "S", form: "SO3", words: "sulph?ur trioxide|sulfur trioxide", sym: "SO3" },
+  { key: "S", form: "S", words: "sulph?ur|sulfur", sym: "S(?![A-Za-z0-9])" },
+  { key: "Fe", micro: true, words: "iron", sym: "Fe(?![A-Za-z])" },
+  { key: "Mn", micro: true, words: "manganese", sym: "Mn(?![A-Za-z])" },
+  { key: "Zn", micro: true, words: "zinc", sym: "Zn(?![A-Za-z])" },
+  { key: "Cu", micro: true, words: "copper", sym: "Cu(?![A-Za-z])" },
+  { key: "B", micro: true, words: "boron", sym: "B(?![A-Za-z])" },
+  { key: "Mo", micro: true, words: "molybdenum", sym: "Mo(?![A-Za-z])" },
+  { key: "N", words: "nitrogen", sym: "N(?![A-Za-z])" },
+].map((t) => ({
+  ...t,
+  res: [
+    { re: new RegExp(`(?<![A-Za-z])(?:${t.words})`, "gi") },
+    t.sym && { re: new RegExp(`(?<![A-Za-z])${t.sym}`, "g"), bySym: true },
+  ].filter(Boolean),
+}));
+
+// Tags that declare something without a number
+const TAGS = [
+  { tag: "TE", re: /\+\s*(?:TE|T\.E\.|ME)(?![A-Za-z])|trace elements?|micro[\s-]?nutrients?|\+\s*micro/i, note: "Trace elements declared — enter the micro % from the label." },
+  { tag: "chelate", re: /EDTA|DTPA|EDDHA|HBED|EDDHSA|HEEDTA/, note: "Chelated micros." },
+];
+
+const CHELATE = /EDTA|DTPA|EDDHA|HBED|EDDHSA|HEEDTA|chelated?/gi;
+const NUM = /\d+(?:[.,]\d+)?/g;
+const TRIPLE = /(?<![\d.,])(\d+(?:[.,]\d+)?)\s*[-–]\s*(\d+(?:[.,]\d+)?)\s*[-–]\s*(\d+(?:[.,]\d+)?)(?![\d.,])/;
+
+const toNum = (s) => Number(String(s).replace(",", "."));
+const SUB = { "₂": "2", "₃": "3", "₄": "4", "₅": "5" };
+
+// Tokens of one segment, non-overlapping, in text order
+function tokensOf(seg) {
+  const taken = [];
+  const free = (a, b) => !taken.some((t) => a < t.end && b > t.start);
+  for (const t of TOKENS) {
+    for (const { re, bySym } of t.res) {
+      for (const m of seg.matchAll(re)) {
+        const start = m.index;
+        const end = start + m[0].length;
+        if (m[0].trim() && free(start, end)) taken.push({ ...t, start, end, text: m[0], bySym: !!bySym });
+      }
+    }
+  }
+  return taken.sort((a, b) => a.start - b.start);
+}
+
+// → { npk, micro, forms, sources: { "npk.N": "15-9-20", ... }, tags: [{ tag, text, note }] }
+export function parseLabel(text = "") {
+  const out = { npk: {}, micro: {}, forms: {}, sources: {}, tags: [] };
+  let src = String(text).replace(/[₂₃₄₅]/g, (c) => SUB[c]);
+
+  const put = (tok, value, from, form) => {
+    if (!(value >= 0 && value <= 100)) return;
+    const bucket = tok.micro ? "micro" : "npk";
+    const path = `${bucket}.${tok.key}`;
+    if (out.sources[path]) return; // first mention wins
+    // the app stores K as K2O only
+    out[bucket][tok.key] = form === "K" ? +(value * oxideFactor("K")).toFixed(2) : value;
+    if (form && form !== "K") out.forms[tok.key] = form;
+    out.sources[path] = from.trim();
+  };
+
+  // N-P-K triple first, so its numbers aren't read as single values
+  const tri = src.match(TRIPLE);
+  if (tri) {
+    const [N, P2O5, K2O] = tri.slice(1, 4).map(toNum);
+    if ([N, P2O5, K2O].every((v) => v <= 100)) {
+      put({ key: "N" }, N, tri[0]);
+      put({ key: "P2O5" }, P2O5, tri[0]);
+      put({ key: "K2O" }, K2O, tri[0]);
+      src = src.replace(tri[0], " ".repeat(tri[0].length));
+    }
+  }
+
+  for (const t of TAGS) {
+    const m = src.match(t.re);
+    if (m) out.tags.push({ tag: t.tag, text: m[0].trim(), note: t.note });
+  }
+
+  // segments: lines, "; " and ", " (not decimal commas)
+  for (const seg of src.split(/[\n;]|,(?!\d)|\s{3,}(?=\S)/)) {
+    const toks = tokensOf(seg);
+    if (!toks.length) continue;
+    const nums = [...seg.matchAll(NUM)].filter((m) => !toks.some((t) => m.index >= t.start && m.index < t.end));
+    if (!nums.length) continue;
+
+    // Each number pairs with the nutrient named right before it ("MgO 16%") or right after
+    // it ("2 MgO"). With both on offer a symbol beats a word ("Potassium nitrate 13 N" is N),
+    // otherwise the one before wins; a nutrient already paired is not used twice.
+    const used = new Set();
+    let from = 0;
+    for (const m of nums) {
+      const end = m.index + m[0].length;
+      const pct = seg.slice(end).match(/^\s*%/);
+
+      // before: the nutrient named between the previous number and this one; "(P2O5)" after
+      // "Phosphorus" sets the form
+      let before = null;
+      const named = toks.filter((t) => t.start >= from && t.end <= m.index && !used.has(t));
+      from = end;
+      if (named.length) {
+        const last = named[named.length - 1];
+        const run = named.slice(named.findLastIndex((t) => t.key !== last.key) + 1);
+        const gap = seg.slice(last.end, m.index).replace(CHELATE, "");
+        if (/^[\s():=.…\-–A-Za-z]*$/.test(gap) && !/[A-Za-z]{3,}/.test(gap.replace(/\([^)]*\)/g, ""))) {
+          const tok = run[0];
+          const form = run.find((t) => t.form && t.form !== tok.form)?.form ?? tok.form;
+          before = { tok, run, form, from: seg.slice(tok.start, end + (pct ? pct[0].length : 0)) };
+        }
+      }
+
+      // after: a nutrient directly behind the number (a % sign between is fine)
+      let after = null;
+      const next = toks.find((t) => t.start >= end);
+      if (next && !used.has(next) && /^\s*%?\s*$/.test(seg.slice(end, next.start))) {
+        after = { tok: next, run: [next], form: next.form, from: seg.slice(Math.max(0, m.index - 1), next.end).replace(/^[^+\d]/, "") };
+      }
+
+      const pick = before && after && after.tok.bySym && !before.run.some((t) => t.bySym) ? after : before ?? after;
+      if (!pick) continue;
+      pick.run.forEach((t) => used.add(t));
+      put(pick.tok, toNum(m[0]), pick.from, pick.form);
+    }
+  }
+
+  // N forms without a total: total = their sum
+  const forms = ["NO3", "NH4", "Urea"].filter((k) => out.npk[k] != null);
+  if (out.npk.N == null && forms.length) {
+    out.npk.N = +forms.reduce((s, k) => s + out.npk[k], 0).toFixed(2);
+    out.sources["npk.N"] = "sum of the N forms";
+  }
+  return out;
+}
+
+// How many values were found (0 → nothing to pre-fill)
+export const parsedCount = (p) => Object.keys(p?.sources || {}).length;
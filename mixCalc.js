@@ -0,0 +1,206 @@
+// mixCalc.js — shared nutrient / EC / cost engine for the mix screens (pure JS, no React)
+//
+// Input
+//   items:   [{ fertId, grams }]       grams meaning depends on dose.mode (see below)
+//   catalog: [fertilizer rows]         { id, name, bag_size_kg, price_per_bag, npk, micro,
+//                                        forms, ec_per_gl,    (see DECLARED_FORMS)
+//                                        kind, density_kg_l, container_l, pct_basis,  (see isLiquid)
+//                                        acid_type, conc_pct }                        (acidDosing.js)
+//   dose:    { mode, volumeL, ratio, ecScale }
+//     mode "total" → grams = total into a tank of volumeL (tank strength = dripper)
+//     mode "perL"  → grams = g per L of tank (total = grams × volumeL)
+//     mode "stock" → grams = total into a stock tank of volumeL, injected at 1:ratio
+//   water:   raw water analysis { Ca, Mg, S, K, NO3, Na, Cl, HCO3, ... } in ppm (optional)
+//
+// Output
+//   { ppm: { N, P2O5, K2O, Ca, Mg, S, Fe, Mn, Zn, Cu, B, Mo,    // at the dripper
+//            NO3, NH4, Urea,                                    // N by form (see nForms)
+//            Na, Cl, HCO3 },                                    // from raw water; acids lower HCO3
+//     fertPpm, waterPpm,                                          // the two parts of ppm
+//     ec,                                                         // mS/cm × ecScale: Σ f.ec_per_gl × g/L for
+//                                                                 //   products that have it, + ion model of the
+//                                                                 //   rest and the raw water
+//     balance,                                                    // cation/anion meq (ionBalance.js)
+//     cost,                                                       // whole batch, team currency
+//     lines: [{ fertId, name, gramsTotal, gPerL, cost, ec }] }   // per resolved item
+
+import { ionBalance } from "./ionBalance";
+import { acidComposition, hco3Neutralised, isAcid } from "./acidDosing";
+import { oxideFactor } from "./units";
+
+export const MACROS = ["N", "P2O5", "K2O", "Ca", "Mg", "S"];
+export const MICROS = ["Fe", "Mn", "Zn", "Cu", "B", "Mo"];
+
+// Nitrogen forms, stored in npk next to total N (all as % N by weight).
+// Older records only have npk.N; their N counts as "unspecified" form.
+export const N_FORMS = ["NO3", "NH4", "Urea"];
+
+// Ions that only come from raw water; Na and Cl accumulate in recirculating
+// systems, so they get flagged above these ppm
+export const WATER_IONS = ["Na", "Cl", "HCO3"];
+export const ACCUMULATING_LIMITS = { Na: 50, Cl: 70 };
+
+// Fields of a raw water analysis (ppm, elemental; NO3 as NO3-N)
+export const WATER_KEYS = ["Ca", "Mg", "S", "K", "NO3", "Na", "Cl", "HCO3", "Fe", "Mn", "Zn", "Cu", "B"];
+
+export const MgO_TO_Mg = 1 / oxideFactor("Mg"); // 0.603
+export const K_TO_K2O = oxideFactor("K"); // 1.2046
+
+// How a label declares a nutrient: f.forms = { P2O5: "P", Ca: "CaO", Mg: "MgO", S: "SO3" }.
+// The npk value is taken as written and converted to the result basis
+// (P as P2O5, the others elemental). Missing form = the result basis itself.
+export const DECLARED_FORMS = {
+  P2O5: ["P2O5", "P"],
+  Ca: ["Ca", "CaO"],
+  Mg: ["Mg", "MgO"],
+  S: ["S", "SO3"],
+};
+const FORM_FACTOR = {
+  P: oxideFactor("P"), // P → P2O5, 2.2914
+  CaO: 1 / oxideFactor("Ca"), // 0.7147
+  MgO: MgO_TO_Mg,
+  SO3: 1 / oxideFactor("S"), // 0.4005
+};
+
+export const nowBatchId = () => {
+  const d = new Date();
+  const pad = (n) => n.toString().padStart(2, "0");
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(
+    d.getHours()
+  )}${pad(d.getMinutes())}`;
+};
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+const pct = (v) => (v == null || v === "" ? 0 : num(v));
+
+// Physical form. kind "liquid" and "acid" are dosed by volume; the engine still works
+// in grams of product, via density_kg_l (= g/mL). Liquid labels may state % w/v
+// (g per 100 mL, pct_basis "w/v"), which is % w/w × density.
+export const isLiquid = (f) => f?.kind === "liquid" || f?.kind === "acid";
+const densityOf = (f) => num(f?.density_kg_l) || 1;
+export const mlToGrams = (f, ml) => num(ml) * densityOf(f);
+export const gramsToMl = (f, g) => num(g) / densityOf(f);
+const basisFactor = (f) => (isLiquid(f) && f?.pct_basis === "w/v" ? 1 / densityOf(f) : 1);
+
+// npk % of nutrient k on the result basis (w/w), honouring the declared form
+export function declaredPct(f, k) {
+  return pct(f?.npk?.[k]) * (FORM_FACTOR[f?.forms?.[k]] || 1) * basisFactor(f);
+}
+
+export const emptyPpm = () =>
+  Object.fromEntries([...MACROS, ...MICROS, ...N_FORMS, ...WATER_IONS].map((k) => [k, 0]));
+
+// Total N %: declared total, or the sum of the forms when only those are filled
+export function totalNPct(npk = {}) {
+  const n = pct(npk.N);
+  return n > 0 ? n : N_FORMS.reduce((s, k) => s + pct(npk[k]), 0);
+}
+
+// N split at the dripper: { NO3, NH4, Urea, unspecified, nh4Share (0..1 of N) }
+export function nForms(ppm = {}) {
+  const N = num(ppm.N);
+  const known = N_FORMS.reduce((s, k) => s + num(ppm[k]), 0);
+  return {
+    NO3: num(ppm.NO3),
+    NH4: num(ppm.NH4),
+    Urea: num(ppm.Urea),
+    unspecified: Math.max(0, N - known),
+    nh4Share: N > 0 ? num(ppm.NH4) / N : 0,
+  };
+}
+
+// Total grams put into the tank and g/L at the dripper for one item
+export function doseOf(grams, dose = {}) {
+  const g = Math.max(0, num(grams));
+  const vol = Math.max(0, num(dose.volumeL));
+  const ratio = Math.max(1, num(dose.ratio) || 1);
+  switch (dose.mode) {
+    case "perL":
+      return { gramsTotal: g * vol, gPerL: g };
+    case "stock":
+      return { gramsTotal: g, gPerL: vol > 0 ? g / vol / ratio : 0 };
+    default:
+      return { gramsTotal: g, gPerL: vol > 0 ? g / vol : 0 };
+  }
+}
+
+// Cost of a given gram amount from the bag (or container) price.
+// Liquids are priced per container of container_l litres.
+export function costOf(f, grams) {
+  const price = num(f?.price_per_bag);
+  const bagKg = isLiquid(f) && num(f?.container_l) > 0 ? num(f.container_l) * densityOf(f) : num(f?.bag_size_kg);
+  return price > 0 && bagKg > 0 ? num(grams) * (price / (bagKg * 1000)) : 0;
+}
+
+// ppm contributed by one fertilizer at a given g/L.
+// Acids get their nutrient from type and concentration, and a negative HCO3 for
+// the bicarbonate they neutralise (the total is floored at 0 in computeMix).
+export function ppmOf(f, gPerL) {
+  if (isAcid(f)) {
+    const out = emptyPpm();
+    const c = acidComposition(f);
+    out[c.nutrient] = gPerL * c.pct * 10;
+    if (c.nutrient === "N") out.NO3 = out.N;
+    out.HCO3 = -hco3Neutralised(f, gPerL);
+    return out;
+  }
+  const npk = f?.npk || {};
+  const micro = f?.micro || {};
+  const out = emptyPpm();
+  for (const k of MACROS) out[k] = gPerL * declaredPct(f, k) * 10;
+  const basis = basisFactor(f);
+  for (const k of MICROS) out[k] = gPerL * pct(micro[k]) * basis * 10;
+  for (const k of N_FORMS) out[k] = gPerL * pct(npk[k]) * basis * 10;
+  out.N = gPerL * totalNPct(npk) * basis * 10;
+  return out;
+}
+
+// Raw water analysis → ppm in the same shape (K as K2O, nitrate counted as N)
+export function waterPpm(analysis) {
+  const a = analysis || {};
+  const out = emptyPpm();
+  for (const k of ["Ca", "Mg", "S", ...MICROS, ...WATER_IONS]) out[k] = pct(a[k]);
+  out.K2O = pct(a.K) * K_TO_K2O;
+  out.NO3 = pct(a.NO3);
+  out.N = out.NO3;
+  return out;
+}
+
+export function computeMix({ items = [], catalog = [], dose = {}, water = null } = {}) {
+  const byId = new Map(catalog.map((f) => [f.id, f]));
+  const scale = num(dose.ecScale) || 1;
+
+  const fertPpm = emptyPpm();
+  const modelPpm = emptyPpm(); // products without ec_per_gl: their EC comes from the ion model
+  let measuredEc = 0; // Σ g/L × ec_per_gl of the products that have it
+  const lines = [];
+  let cost = 0;
+
+  for (const it of items) {
+    const f = byId.get(it.fertId);
+    if (!f) continue;
+
+    const { gramsTotal, gPerL } = doseOf(it.grams, dose);
+    const part = ppmOf(f, gPerL);
+    for (const k in fertPpm) fertPpm[k] += part[k];
+
+    const lineCost = costOf(f, gramsTotal);
+    const ecPerGl = f.ec_per_gl == null || f.ec_per_gl === "" ? null : num(f.ec_per_gl);
+    if (ecPerGl != null) measuredEc += gPerL * ecPerGl * scale;
+    else for (const k in modelPpm) modelPpm[k] += part[k];
+    const lineEc = ecPerGl != null ? gPerL * ecPerGl * scale : ionBalance(part, { ecScale: scale }).ec;
+    cost += lineCost;
+    lines.push({ fertId: f.id, name: f.name, gramsTotal, gPerL, cost: lineCost, ec: lineEc });
+  }
+
+  const base = waterPpm(water);
+  const ppm = Object.fromEntries(Object.keys(fertPpm).map((k) => [k, fertPpm[k] + base[k]]));
+  ppm.HCO3 = Math.max(0, ppm.HCO3);
+
+  const balance = ionBalance(ppm, { ecScale: scale });
+  const model = Object.fromEntries(Object.keys(modelPpm).map((k) => [k, modelPpm[k] + base[k]]));
+  model.HCO3 = Math.max(0, model.HCO3);
+  const ec = measuredEc + ionBalance(model, { ecScale: scale }).ec;
+
+  return { ppm, fertPpm, waterPpm: base, ec, balance, cost, lines };
+}
@@ -0,0 +1,35 @@
+// mixedBatch.js — take a batch confirmed as mixed out of stock (Mix and Stock tabs)
+// - One "batch" move per fertilizer in the ledger (see inventory.js), once per batch ID per
+//   workspace; loading a saved recipe starts a new batch ID, so it can be mixed again
+// - Asks first, listing the kg that come out
+
+import { Alert } from "react-native";
+import { supabase } from "./supabaseClient";
+import { batchMoves } from "./inventory";
+import { confirmAsync } from "./confirm";
+import { ofWorkspace } from "./Workspace";
+
+// lines: computeMix lines ([{ fertId, gramsTotal }]); nameOf: fertId → display name; ws: useWorkspace()
+export async function markMixed({ lines, batchId, nameOf, ws }) {
+  try {
+    const { data: u } = await supabase.auth.getUser();
+    const user = u?.user;
+    if (!user) { Alert.alert("Not signed in", "Please sign in first."); return; }
+    const moves = batchMoves(lines, { batchId, by: user.id });
+    if (moves.length === 0) { Alert.alert("Mixed", "Add ingredients first."); return; }
+
+    const { data: done, error: selErr } = await ofWorkspace(supabase
+      .from("inventory_moves").select("id").eq("kind", "batch").eq("batch_id", batchId), ws).limit(1);
+    if (selErr) throw selErr;
+    if (done?.length) { Alert.alert("Mixed", `Batch "${batchId}" was already taken out of stock.`); return; }
+
+    const list = moves.map((m) => `${nameOf(m.fertilizer_id) ?? "?"}: ${(-m.grams / 1000).toFixed(2)} kg`).join("\n");
+    if (!(await confirmAsync("Batch mixed?", `Take batch "${batchId}" out of stock:\n${list}`))) return;
+
+    const { error } = await supabase.from("inventory_moves").insert(moves);
+    if (error) throw error;
+    Alert.alert("Mixed", `Stock updated for ${moves.length} fertilizers.`);
+  } catch (e) {
+    Alert.alert("Inventory error", e.message ?? String(e));
+  }
+}
@@ -0,0 +1,45 @@
+// money.js — currency + number formatting for the team's locale (pure JS)
+//
+// settings: { currency: "MYR" | "IDR" | ..., locale: "ms-MY" | "id-ID" | ... }
+// Prices in the catalog and saved recipe costs are plain numbers in the team currency;
+// recipes store the currency code next to the amount (recipes.cost + recipes.currency).
+
+export const CURRENCIES = {
+  MYR: { symbol: "RM", dp: 2, locale: "ms-MY", label: "Malaysian ringgit" },
+  IDR: { symbol: "Rp", dp: 0, locale: "id-ID", label: "Indonesian rupiah" },
+  THB: { symbol: "฿", dp: 2, locale: "th-TH", label: "Thai baht" },
+  SGD: { symbol: "S$", dp: 2, locale: "en-SG", label: "Singapore dollar" },
+  USD: { symbol: "$", dp: 2, locale: "en-US", label: "US dollar" },
+};
+export const LOCALES = ["ms-MY", "id-ID", "en-US", "en-GB", "th-TH"];
+export const DEFAULT_SETTINGS = { currency: "MYR", locale: "ms-MY" };
+
+const cache = new Map();
+const formatter = (locale, dp) => {
+  const key = `${locale}|${dp}`;
+  if (!cache.has(key)) {
+    let f = null;
+    try {
+      f = new Intl.NumberFormat(locale, { minimumFractionDigits: dp, maximumFractionDigits: dp });
+    } catch {
+      // no Intl on this runtime — toFixed below
+    }
+    cache.set(key, f);
+  }
+  return cache.get(key);
+};
+
+export const currencyOf = (code) => CURRENCIES[code] || { symbol: code || "", dp: 2, locale: DEFAULT_SETTINGS.locale };
+
+// 1234.5 → "1.234,50" (id-ID) / "1,234.50" (en-US)
+export function formatNumber(x, dp = 2, locale = DEFAULT_SETTINGS.locale) {
+  const n = Number.isFinite(Number(x)) ? Number(x) : 0;
+  const f = formatter(locale, dp);
+  return f ? f.format(n) : n.toFixed(dp);
+}
+
+// → "RM 12.50", "Rp 12.500"; extraDp for small per-unit figures (per plant per day)
+export function formatMoney(x, settings = DEFAULT_SETTINGS, extraDp = 0) {
+  const c = currencyOf(settings.currency);
+  return `${c.symbol} ${formatNumber(x, c.dp + extraDp, settings.locale || c.locale)}`;
+}
@@ -0,0 +1,70 @@
+// nutrientRatios.js — N:K and K:Ca:Mg ratios from a ppm result (pure JS)
+//
+// Mass ratios use the ppm as shown (N, K2O); the cation ratios use elemental K.
+// meq uses ionBalance.js (N counted per mmol N, whatever its form).
+//
+// Compared keys (stored in a target profile's `targets` next to the ppm keys):
+//   N_K2O     N : K2O by mass            (vegetative high, generative low)
+//   K_Ca      K : Ca in meq              (high K against Ca → blossom-end rot)
+//   K_share, Ca_share, Mg_share          % of K + Ca + Mg meq
+
+import { ionBalance } from "./ionBalance";
+import { mmolOf, toElemental } from "./units";
+import { deviation } from "./targetProfiles";
+
+export const RATIO_KEYS = ["N_K2O", "K_Ca", "K_share", "Ca_share", "Mg_share"];
+export const RATIO_LABEL = {
+  N_K2O: "N : K₂O (mass)",
+  K_Ca: "K : Ca (meq)",
+  K_share: "K share (% meq)",
+  Ca_share: "Ca share (% meq)",
+  Mg_share: "Mg share (% meq)",
+};
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+const div = (a, b) => (b > 0 ? a / b : 0);
+
+// → { N_K2O, N_K_meq, K_Ca, K_Ca_mass, mass: { K, Ca, Mg }, meq: { K, Ca, Mg }, shares: { K, Ca, Mg } }
+export function nutrientRatios(ppm = {}) {
+  const { ions } = ionBalance(ppm);
+  const kMass = toElemental("K2O", ppm.K2O);
+  const nMmol = mmolOf("N", ppm.N);
+
+  const meq = { K: ions.K.meq, Ca: ions.Ca.meq, Mg: ions.Mg.meq };
+  const sum = meq.K + meq.Ca + meq.Mg;
+  const shares = Object.fromEntries(Object.entries(meq).map(([k, v]) => [k, div(v, sum) * 100]));
+
+  return {
+    N_K2O: div(num(ppm.N), num(ppm.K2O)),
+    N_K_meq: div(nMmol, meq.K),
+    K_Ca: div(meq.K, meq.Ca),
+    K_Ca_mass: div(kMass, num(ppm.Ca)),
+    mass: { K: kMass, Ca: num(ppm.Ca), Mg: num(ppm.Mg) },
+    meq,
+    shares,
+  };
+}
+
+// Ratios vs the profile's ranges → { [key]: deviation } (targetProfiles.js shape)
+export function compareRatios(profile, ratios) {
+  const values = {
+    N_K2O: ratios.N_K2O,
+    K_Ca: ratios.K_Ca,
+    K_share: ratios.shares.K,
+    Ca_share: ratios.shares.Ca,
+    Mg_share: ratios.shares.Mg,
+  };
+  const out = {};
+  for (const k of RATIO_KEYS) {
+    const d = deviation(values[k], profile?.targets?.[k]);
+    if (d) out[k] = d;
+  }
+  return out;
+}
+
+// "1 : 0.9 : 0.2" relative to the first value
+export function ratioText(values, dp = 2) {
+  const first = num(values[0]);
+  if (first <= 0) return values.map(() => "–").join(" : ");
+  return values.map((v, i) => (i === 0 ? "1" : (num(v) / first).toFixed(dp))).join(" : ");
+}
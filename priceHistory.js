@@ -0,0 +1,86 @@
+// priceHistory.js — fertilizer prices by effective date (pure JS)
+//
+// Supabase table "fertilizer_prices":
+//   { id, fertilizer_id, effective_date ("YYYY-MM-DD"), price_per_bag, supplier, created_by, created_at }
+// `fertilizers.price_per_bag` stays as the price effective today, so anything that only
+// reads the catalog keeps working; the mix screens re-price the catalog for a batch date.
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : null);
+const pad = (n) => String(n).padStart(2, "0");
+
+// Local calendar date, "YYYY-MM-DD"
+export const today = (d = new Date()) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+export const isDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(String(s || "")) && !Number.isNaN(Date.parse(s));
+
+// oldest first; same day → the later entry wins
+const byDate = (a, b) =>
+  a.effective_date < b.effective_date ? -1 : a.effective_date > b.effective_date ? 1 : String(a.created_at || "").localeCompare(String(b.created_at || ""));
+
+// Entry in force on `date` (latest effective_date ≤ date), or null
+export function priceOn(entries = [], date = today()) {
+  let hit = null;
+  for (const e of [...entries].sort(byDate)) {
+    if (e.effective_date <= date && num(e.price_per_bag) != null) hit = e;
+  }
+  return hit;
+}
+
+// Catalog rows priced for `date`: price_per_bag from the history when there is an entry in
+// force, plus price_date / price_supplier. Rows without history keep their catalog price.
+export function pricedCatalog(catalog = [], history = [], date = today()) {
+  if (!history.length) return catalog;
+  const byFert = new Map();
+  for (const e of history) {
+    if (!byFert.has(e.fertilizer_id)) byFert.set(e.fertilizer_id, []);
+    byFert.get(e.fertilizer_id).push(e);
+  }
+  return catalog.map((f) => {
+    const hit = priceOn(byFert.get(f.id), date);
+    return hit ? { ...f, price_per_bag: num(hit.price_per_bag), price_date: hit.effective_date, price_supplier: hit.supplier || null } : f;
+  });
+}
+
+// → [{ date, price, supplier, change }] oldest first; change = % vs the previous entry
+export function priceTrend(entries = []) {
+  const out = [];
+  for (const e of [...entries].sort(byDate)) {
+    const price = num(e.price_per_bag);
+    if (price == null) continue;
+    const prev = out[out.length - 1];
+    out.push({
+      id: e.id,
+      date: e.effective_date,
+      price,
+      supplier: e.supplier || null,
+      change: prev && prev.price > 0 ? ((price - prev.price) / prev.price) * 100 : null,
+    });
+  }
+  return out;
+}
+
+// Price each saved item was costed with (kept on the recipe's items)
+export function priceSnapshot(f) {
+  if (!f) return {};
+  return {
+    price_per_bag: f.price_per_bag == null ? null : num(f.price_per_bag),
+    price_date: f.price_date ?? null,
+    ...(f.price_supplier ? { supplier: f.price_supplier } : {}),
+  };
+}
+
+// Saved items whose snapshot price differs from the catalog priced for the same date
+// → [{ fertId, name, was, now }]; items saved without a snapshot are skipped
+export function priceChanges(items = [], catalog = []) {
+  const byId = new Map(catalog.map((f) => [f.id, f]));
+  const out = [];
+  for (const it of items) {
+    const f = byId.get(it.fert_id);
+    if (it.price_per_bag === undefined || !f) continue;
+    const was = it.price_per_bag == null ? null : num(it.price_per_bag);
+    const now = f.price_per_bag == null ? null : num(f.price_per_bag);
+    if (!was && !now) continue; // no price then or now (older saves stored 0)
+    if (was == null || now == null || Math.abs(now - was) > 1e-9) out.push({ fertId: f.id, name: it.name || f.name, was, now });
+  }
+  return out;
+}
@@ -0,0 +1,148 @@
+// purchaseOrder.js — purchase order lines grouped by supplier (pure JS)
+//
+// Supabase tables:
+//   suppliers          { id, owner, name, contact, phone, email, notes }
+//   supplier_products  { id, supplier_id, fertilizer_id, sku, bag_size_kg, price_per_bag }
+// Needs come from low stock (inventory.js) or from planned batches of saved recipes; each
+// need goes to the cheapest offer per kg unless the user picked another supplier for it.
+
+import { stockStatus } from "./inventory";
+import { formatNumber } from "./money";
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+// Low-stock items, ordered up to `factor` × their reorder level; `number` formats the reason
+// → [{ fertId, kg, reason }]
+export function lowStockNeeds(catalog = [], onHand = new Map(), { factor = 2, number = formatNumber } = {}) {
+  const out = [];
+  for (const f of catalog) {
+    const s = stockStatus(f, onHand.get(f.id) || 0);
+    if (!s.low) continue;
+    const kg = s.reorderKg * factor - Math.max(0, s.kg);
+    if (kg > 0) out.push({ fertId: f.id, kg, reason: `${number(s.kg, 1)} kg on hand, reorder at ${number(s.reorderKg, 1)} kg` });
+  }
+  return out;
+}
+
+// Planned batches: plan = [{ recipe: { batch_id, items }, batches }]
+// useStock → only what stock on hand doesn't already cover
+export function recipeNeeds(plan = [], onHand = new Map(), { useStock = true } = {}) {
+  const grams = new Map();
+  const from = new Map();
+  for (const { recipe, batches } of plan) {
+    if (!(num(batches) > 0)) continue;
+    for (const it of recipe?.items || []) {
+      if (!it.fert_id || !(num(it.grams) > 0)) continue;
+      grams.set(it.fert_id, (grams.get(it.fert_id) || 0) + num(it.grams) * num(batches));
+      from.set(it.fert_id, [...(from.get(it.fert_id) || []), `${recipe.batch_id || "recipe"} ×${num(batches)}`]);
+    }
+  }
+  const out = [];
+  for (const [fertId, g] of grams) {
+    const have = useStock ? Math.max(0, num(onHand.get(fertId))) : 0;
+    const kg = (g - have) / 1000;
+    if (kg > 0) out.push({ fertId, kg, reason: from.get(fertId).join(", ") });
+  }
+  return out;
+}
+
+const perKg = (o) => (num(o.price_per_bag) > 0 && num(o.bag_size_kg) > 0 ? num(o.price_per_bag) / num(o.bag_size_kg) : Infinity);
+
+// → { groups: [{ supplier | null, lines: [{ fertId, name, sku, bagKg, bags, needKg, qtyKg, price, total, offers, offerId, reason }], total }], total }
+// choice: { [fertId]: offerId | "none" }, bags: { [fertId]: bags typed over the suggestion }
+export function buildPo({ needs = [], catalog = [], offers = [], suppliers = [], choice = {}, bags = {} } = {}) {
+  const fertById = new Map(catalog.map((f) => [f.id, f]));
+  const supById = new Map(suppliers.map((s) => [s.id, s]));
+  const groups = new Map();
+
+  for (const need of needs) {
+    const f = fertById.get(need.fertId);
+    if (!f) continue;
+    const mine = offers.filter((o) => o.fertilizer_id === f.id && supById.has(o.supplier_id));
+    const picked = choice[f.id] === "none"
+      ? null
+      : mine.find((o) => o.id === choice[f.id]) || [...mine].sort((a, b) => perKg(a) - perKg(b))[0] || null;
+
+    const bagKg = num(picked?.bag_size_kg) || num(f.bag_size_kg) || null;
+    // the catalog price is for the catalog bag: only used when the line orders that bag
+    const catalogBag = !num(picked?.bag_size_kg) || num(picked.bag_size_kg) === num(f.bag_size_kg);
+    const price = picked?.price_per_bag != null
+      ? num(picked.price_per_bag)
+      : f.price_per_bag != null && catalogBag ? num(f.price_per_bag) : null;
+    const suggested = bagKg ? Math.ceil(need.kg / bagKg - 1e-9) : null;
+    const nBags = bags[f.id] != null && bags[f.id] !== "" ? Math.max(0, Math.round(num(bags[f.id]))) : suggested;
+    const line = {
+      fertId: f.id,
+      name: f.name,
+      sku: picked?.sku || "",
+      bagKg,
+      bags: nBags,
+      needKg: need.kg,
+      qtyKg: nBags != null && bagKg ? nBags * bagKg : need.kg,
+      price,
+      total: nBags != null && price != null ? nBags * price : null,
+      offers: mine.map((o) => ({ id: o.id, supplier: supById.get(o.supplier_id).name, perKg: perKg(o) })),
+      offerId: picked?.id ?? null,
+      reason: need.reason,
+    };
+
+    const key = picked ? picked.supplier_id : "";
+    if (!groups.has(key)) groups.set(key, { supplier: picked ? supById.get(picked.supplier_id) : null, lines: [], total: 0 });
+    const g = groups.get(key);
+    g.lines.push(line);
+    g.total += line.total ?? 0;
+  }
+
+  const list = [...groups.values()].sort((a, b) =>
+    !a.supplier ? 1 : !b.supplier ? -1 : String(a.supplier.name).localeCompare(String(b.supplier.name))
+  );
+  return { groups: list, total: list.reduce((s, g) => s + g.total, 0) };
+}
+
+// Printable PO, same look as the work orders
+// fmt: { money(x), number(x, dp), symbol }
+export function poHtml(po, { poNo, date, notes, fmt }) {
+  const esc = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const cur = (x) => (x == null ? "—" : fmt.money(x));
+  return `
+<!doctype html><html><head><meta charset="utf-8"/><title>Purchase Order ${esc(poNo)}</title>
+<style>
+body{font-family:system-ui,Segoe UI,Roboto,Arial,sans-serif;padding:24px;color:#111}
+h1{margin:0 0 8px}h2{margin:16px 0 8px}
+table{border-collapse:collapse;width:100%;margin-top:8px}
+th,td{border:1px solid #ddd;padding:8px;text-align:left}th{background:#f7f7f7}
+</style></head><body>
+<h1>Purchase Order</h1>
+<table>
+  <tr><th style="width:160px">PO number</th><td>${esc(poNo)}</td></tr>
+  <tr><th>Date</th><td>${esc(date)}</td></tr>
+  <tr><th>Suppliers</th><td>${po.groups.length}</td></tr>
+  <tr><th>Total</th><td><b>${cur(po.total)}</b></td></tr>
+  ${notes ? `<tr><th>Notes</th><td>${esc(notes)}</td></tr>` : ""}
+</table>
+${po.groups.map((g) => `
+<h2>${g.supplier ? esc(g.supplier.name) : "No supplier assigned"}</h2>
+${g.supplier && (g.supplier.contact || g.supplier.phone || g.supplier.email)
+  ? `<div>${[g.supplier.contact, g.supplier.phone, g.supplier.email].filter(Boolean).map(esc).join(" · ")}</div>` : ""}
+<table><thead><tr><th>#</th><th>Product</th><th>SKU</th><th>Bag (kg)</th><th>Bags</th><th>Qty (kg)</th><th>Price / bag</th><th>Total</th></tr></thead><tbody>
+${g.lines.map((l, i) => `<tr><td>${i + 1}</td><td>${esc(l.name)}</td><td>${esc(l.sku) || "—"}</td><td>${l.bagKg ?? "—"}</td><td><b>${l.bags ?? "—"}</b></td><td>${fmt.number(l.qtyKg, 1)}</td><td>${cur(l.price)}</td><td>${cur(l.total)}</td></tr>`).join("")}
+<tr><td colspan="7"><b>Subtotal</b></td><td><b>${cur(g.total)}</b></td></tr>
+</tbody></table>`).join("")}
+<p style="margin-top:24px">Approved by: ____________________ &nbsp; Date: ____________</p>
+</body></html>`;
+}
+
+// One row per line, for a spreadsheet or the supplier's order form
+export function poCsv(po, { poNo, fmt }) {
+  const esc = (v) => {
+    const s = v == null ? "" : String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const rows = [["po", "supplier", "sku", "product", "bag_size_kg", "bags", "qty_kg", "price_per_bag", "total"]];
+  for (const g of po.groups) {
+    for (const l of g.lines) {
+      rows.push([poNo, g.supplier?.name ?? "", l.sku, l.name, l.bagKg, l.bags, fmt.number(l.qtyKg, 3), l.price, l.total]);
+    }
+  }
+  return rows.map((r) => r.map(esc).join(",")).join("\n") + "\n";
+}
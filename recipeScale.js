@@ -0,0 +1,39 @@
+// recipeScale.js — convert / rescale a recipe at the same dripper ppm (pure JS)
+//
+// Every item is reduced to its g/L at the dripper (doseOf) and rebuilt for the new
+// dose: another tank volume, direct ⇄ stock, or another injector ratio.
+//   from / to: { mode: "total" | "perL" | "stock", volumeL, ratio }   (mixCalc dose shape)
+
+import { doseOf } from "./mixCalc";
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+// Input grams (computeMix meaning for dose.mode) that give gPerL at the dripper
+export function gramsFor(gPerL, dose = {}) {
+  const vol = Math.max(0, num(dose.volumeL));
+  const ratio = Math.max(1, num(dose.ratio) || 1);
+  switch (dose.mode) {
+    case "perL":
+      return gPerL;
+    case "stock":
+      return gPerL * vol * ratio;
+    default:
+      return gPerL * vol;
+  }
+}
+
+// items: [{ fertId, name, grams, ... }]
+// → { lines: [{ ...item, gPerL, before, grams, after }], before, after }
+//   before / after are total grams weighed out; `grams` is the new input value
+export function scaleRecipe({ items = [], from = {}, to = {} } = {}) {
+  const lines = items.map((it) => {
+    const { gramsTotal, gPerL } = doseOf(it.grams, from);
+    const grams = gramsFor(gPerL, to);
+    return { ...it, gPerL, before: gramsTotal, grams, after: doseOf(grams, to).gramsTotal };
+  });
+  return {
+    lines,
+    before: lines.reduce((s, l) => s + l.before, 0),
+    after: lines.reduce((s, l) => s + l.after, 0),
+  };
+}
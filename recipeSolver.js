@@ -0,0 +1,84 @@
+// recipeSolver.js — target-driven solver: "give me grams for these ppm" (pure JS)
+//
+// Input
+//   targets:  { N: 180, K2O: 280, Ca: 160, ... }   ppm at the dripper; blanks/0 are ignored
+//   catalog:  fertilizer rows the solver is allowed to use
+//   options:  { weights: { N: 1, ... }, costWeight: 0, sweeps: 400, baseline: ppm }
+//             baseline = what the raw water already brings (see waterPpm)
+//
+// Minimises  Σ w_k · ((ppm_k − target_k) / target_k)²  +  costWeight · Σ relCost_j · x_j
+// over x_j ≥ 0 (g/L at the dripper) by projected coordinate descent. Each
+// coordinate step is an exact minimisation of the quadratic, clipped at 0.
+//
+// Output
+//   { doses: [{ fertId, name, gPerL }], ppm, residual: { [k]: { target, actual, diff, pct } } }
+
+import { MACROS, MICROS, costOf, emptyPpm, ppmOf } from "./mixCalc";
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+export const SOLVER_NUTRIENTS = [...MACROS, ...MICROS];
+
+export function solveRecipe({ targets = {}, catalog = [], options = {} } = {}) {
+  const keys = SOLVER_NUTRIENTS.filter((k) => num(targets[k]) > 0);
+  const weights = options.weights || {};
+  const costWeight = Math.max(0, num(options.costWeight));
+  const sweeps = options.sweeps || 400;
+  const baseline = options.baseline || emptyPpm();
+
+  // a[k][j] = ppm of nutrient k per 1 g/L of fertilizer j
+  const unit = catalog.map((f) => ppmOf(f, 1));
+  const perG = catalog.map((f) => costOf(f, 1));
+  const maxPerG = Math.max(0, ...perG);
+  const c = perG.map((p) => (maxPerG > 0 ? (costWeight * p) / maxPerG : 0));
+
+  const w = keys.map((k) => {
+    const t = num(targets[k]);
+    const wk = weights[k] == null ? 1 : num(weights[k]);
+    return wk / (t * t);
+  });
+  const t = keys.map((k) => num(targets[k]));
+
+  const x = catalog.map(() => 0);
+  const fit = keys.map((k) => num(baseline[k])); // current ppm per targeted nutrient
+
+  for (let s = 0; s < sweeps; s++) {
+    let moved = 0;
+    for (let j = 0; j < catalog.length; j++) {
+      let g = c[j] / 2;
+      let h = 0;
+      keys.forEach((k, i) => {
+        const a = unit[j][k];
+        if (!a) return;
+        g += w[i] * a * (fit[i] - t[i]);
+        h += w[i] * a * a;
+      });
+      if (h <= 0) continue;
+
+      const next = Math.max(0, x[j] - g / h);
+      const d = next - x[j];
+      if (!d) continue;
+      x[j] = next;
+      keys.forEach((k, i) => { fit[i] += d * unit[j][k]; });
+      moved = Math.max(moved, Math.abs(d));
+    }
+    if (moved < 1e-9) break;
+  }
+
+  const ppm = { ...emptyPpm(), ...baseline };
+  const doses = [];
+  catalog.forEach((f, j) => {
+    if (x[j] <= 0) return;
+    doses.push({ fertId: f.id, name: f.name, gPerL: x[j] });
+    for (const k in ppm) ppm[k] += unit[j][k] * x[j];
+  });
+
+  const residual = {};
+  for (const k of keys) {
+    const target = num(targets[k]);
+    const diff = ppm[k] - target;
+    residual[k] = { target, actual: ppm[k], diff, pct: (diff / target) * 100 };
+  }
+
+  return { doses, ppm, residual };
+}
@@ -0,0 +1,101 @@
+// roundingPlan.js — round ingredients to practical quantities, then re-fit the water (pure JS)
+//
+// Each ingredient's total is rounded to whole bags, half bags or a fixed increment.
+// The rounded recipe is then diluted (tank volume) or injected (ratio) so that the
+// fertilizer ppm lands as close as possible to the original, in a least-squares sense
+// over the macros relative to their totals. Acids are left as they are: their dose is
+// set by the water's bicarbonate, not by the target ppm. Micro-only products (chelates,
+// borax, ...) are kept too: a whole bag of them would multiply the micro dose, so they
+// follow the water like the acids. Other products may round down to zero units.
+//
+// dose: { mode: "total" | "stock", volumeL, ratio }   lines: [{ fertId, gramsTotal, ... }] (extra fields kept)
+// opts: { rounding: "bag" | "half" | "step", stepG, adjust: "volume" | "ratio" }
+//   stepG: grams per increment, or (f) => grams when the increment is in the product's own unit
+
+import { MACROS, MICROS, computeMix, isLiquid, ppmOf } from "./mixCalc";
+import { isAcid } from "./acidDosing";
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+// grams per rounding unit for one product, or null when it can't be rounded
+export function unitGrams(f, { rounding = "bag", stepG } = {}) {
+  if (rounding === "step") {
+    const g = typeof stepG === "function" ? num(stepG(f)) : num(stepG);
+    return g > 0 ? g : null;
+  }
+  const packKg = isLiquid(f) && num(f?.container_l) > 0
+    ? num(f.container_l) * (num(f.density_kg_l) || 1)
+    : num(f?.bag_size_kg);
+  if (packKg <= 0) return null;
+  return (packKg * 1000) / (rounding === "half" ? 2 : 1);
+}
+
+// Products supplying none of the macros
+const microOnly = (f) => {
+  const p = ppmOf(f, 1);
+  return !MACROS.some((k) => p[k] > 0);
+};
+
+// → { lines: [{ ...line, name, before, after, unit, units, fixed, kept: "acid" | "micro" | null }],
+//     volumeL, ratio, ppmBefore, ppmAfter, drift: { [k]: pct } }   drift covers macros and micros
+export function planRounding({ lines = [], catalog = [], dose = {}, water = null, opts = {} } = {}) {
+  const byId = new Map(catalog.map((f) => [f.id, f]));
+  const mode = dose.mode === "stock" ? "stock" : "total";
+  const vol = num(dose.volumeL);
+  const ratio = Math.max(1, num(dose.ratio) || 1);
+
+  const out = lines
+    .filter((l) => byId.has(l.fertId))
+    .map((l) => {
+      const f = byId.get(l.fertId);
+      const kept = isAcid(f) ? "acid" : microOnly(f) ? "micro" : null;
+      const unit = kept ? null : unitGrams(f, opts);
+      if (!unit || l.gramsTotal <= 0) return { ...l, name: f.name, before: l.gramsTotal, after: l.gramsTotal, unit, units: null, fixed: true, kept };
+      const units = Math.round(l.gramsTotal / unit);
+      return { ...l, name: f.name, before: l.gramsTotal, after: units * unit, unit, units, fixed: false, kept };
+    });
+
+  const mix = (key, v, r) =>
+    computeMix({
+      items: out.map((l) => ({ fertId: l.fertId, grams: l[key] })),
+      catalog,
+      dose: { mode, volumeL: v, ratio: r },
+      water,
+    });
+  const before = mix("before", vol, ratio);
+  const sameWater = mix("after", vol, ratio);
+
+  // fertilizer ppm scales with 1/s (s = dilution factor); fit s against the totals
+  let sn = 0;
+  let sd = 0;
+  for (const k of MACROS) {
+    const a = sameWater.fertPpm[k];
+    const b = before.fertPpm[k];
+    const total = before.ppm[k];
+    if (total <= 0) continue;
+    const c = 1 / (total * total);
+    sn += c * a * b;
+    sd += c * b * b;
+  }
+  // only fixed lines (acids, micros) don't dilute; the fit ignores that second-order effect
+  const scale = sd > 0 && sn > 0 ? sn / sd : 1;
+
+  let volumeL = vol;
+  let newRatio = ratio;
+  if (mode === "stock" && opts.adjust === "ratio") newRatio = Math.max(1, Math.round(ratio * scale));
+  else volumeL = Math.max(1, Math.round(vol * scale));
+
+  // fixed lines keep their dripper dose: scale their grams with the water
+  const water2 = mode === "stock" ? volumeL * newRatio : volumeL;
+  const water1 = mode === "stock" ? vol * ratio : vol;
+  for (const l of out) if (l.fixed && water1 > 0) l.after = (l.before * water2) / water1;
+
+  const after = mix("after", volumeL, newRatio);
+  const drift = {};
+  for (const k of [...MACROS, ...MICROS]) {
+    const b = before.ppm[k];
+    if (b > (MICROS.includes(k) ? 0.005 : 0.5)) drift[k] = ((after.ppm[k] - b) / b) * 100;
+  }
+
+  return { lines: out, volumeL, ratio: newRatio, ppmBefore: before.ppm, ppmAfter: after.ppm, drift };
+}
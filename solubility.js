@@ -0,0 +1,62 @@
+// solubility.js — stock tank solubility checks (pure JS)
+//
+// Catalog fields
+//   solubility_gl     g/L of product that dissolves at the reference temperature
+//   solubility_ref_c  reference temperature (°C), default 20
+//   solubility_tc     change per °C in % of solubility_gl, default 1.5
+//
+// Each product uses a fraction of its own solubility (c / s). In a mixed tank the
+// fractions add up, so Σ c/s is the tank's load: ≥ SAFE_LOAD "caution", ≥ 1 "danger".
+// Products without solubility data are skipped.
+
+export const SAFE_LOAD = 0.8;
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+const has = (v) => v !== null && v !== undefined && v !== "";
+
+// g/L soluble at tempC, or null when unknown
+export function solubilityAt(f, tempC) {
+  if (!has(f?.solubility_gl) || num(f.solubility_gl) <= 0) return null;
+  const ref = has(f.solubility_ref_c) ? num(f.solubility_ref_c) : 20;
+  const tc = has(f.solubility_tc) ? num(f.solubility_tc) : 1.5;
+  const t = has(tempC) ? num(tempC) : ref;
+  return Math.max(0, num(f.solubility_gl) * (1 + (tc / 100) * (t - ref)));
+}
+
+const levelOf = (load) => (load >= 1 ? "danger" : load >= SAFE_LOAD ? "caution" : null);
+
+// tanks: [{ tank, lines: [{ fertId, gPerLStock }] }]   (tankSplit shape; tank null = single)
+// → { rows: { [fertId]: { gPerL, limit, load, level } },
+//     tanks: [{ tank, load, level }],
+//     worstLoad, minVolumeL, maxRatio }      suggestions keep the worst tank at SAFE_LOAD
+export function checkSolubility({ tanks = [], catalog = [], tempC, volumeL = 0, ratio = 1 } = {}) {
+  const byId = new Map(catalog.map((f) => [f.id, f]));
+  const rows = {};
+  const out = [];
+  let worstLoad = 0;
+
+  for (const t of tanks) {
+    let load = 0;
+    for (const l of t.lines) {
+      const limit = solubilityAt(byId.get(l.fertId), tempC);
+      if (limit == null) continue;
+      const rowLoad = limit > 0 ? l.gPerLStock / limit : Infinity;
+      rows[l.fertId] = { gPerL: l.gPerLStock, limit, load: rowLoad, level: levelOf(rowLoad) };
+      load += rowLoad;
+    }
+    out.push({ tank: t.tank, load, level: levelOf(load) });
+    worstLoad = Math.max(worstLoad, load);
+  }
+
+  // any tank with a level (caution from SAFE_LOAD on) gets the suggestions
+  const over = out.some((t) => t.level);
+  return {
+    rows,
+    tanks: out,
+    worstLoad,
+    // same grams dissolved in more water
+    minVolumeL: over ? (num(volumeL) * worstLoad) / SAFE_LOAD : null,
+    // same volume and dripper ppm: stock strength scales with the ratio
+    maxRatio: over ? Math.floor((num(ratio) * SAFE_LOAD) / worstLoad) : null,
+  };
+}
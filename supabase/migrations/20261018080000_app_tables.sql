@@ -0,0 +1,185 @@
+-- Tables and columns the app reads and writes, so a new project can apply every migration.
+-- On a project that already has them this is a no-op: tables are created only if missing and
+-- columns added only if missing. Policies, triggers and the stock view are in the later
+-- migrations.
+
+-- Catalog and recipes (the original two tables) --------------------------------------------
+
+create table if not exists public.fertilizers (
+  id uuid primary key default gen_random_uuid(),
+  owner uuid references auth.users (id) on delete set null,
+  shared boolean default true,
+  name text not null,
+  bag_size_kg numeric,
+  price_per_bag numeric,
+  npk jsonb,
+  micro jsonb,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.recipes (
+  id uuid primary key default gen_random_uuid(),
+  owner uuid references auth.users (id) on delete set null,
+  shared boolean default true,
+  batch_id text,
+  house_zone text,
+  operator text,
+  notes text,
+  dose_mode text,
+  volume_l numeric,
+  items jsonb,
+  ppm jsonb,
+  cost_rm numeric,
+  created_at timestamptz not null default now()
+);
+
+-- Workspaces ---------------------------------------------------------------------------------
+
+create table if not exists public.workspaces (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+alter table public.workspaces add column if not exists created_at timestamptz not null default now();
+
+create table if not exists public.workspace_members (
+  workspace_id uuid not null references public.workspaces (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  email text,
+  role text not null default 'member' check (role in ('owner', 'member'))
+);
+
+create table if not exists public.workspace_invites (
+  id uuid primary key default gen_random_uuid(),
+  workspace_id uuid not null references public.workspaces (id) on delete cascade,
+  email text not null,
+  invited_by uuid references auth.users (id) on delete set null,
+  accepted_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- Named water analyses and target profiles (mix screens) --------------------------------------
+
+create table if not exists public.water_sources (
+  id uuid primary key default gen_random_uuid(),
+  owner uuid references auth.users (id) on delete set null,
+  workspace_id uuid references public.workspaces (id) on delete cascade,
+  name text not null,
+  analysis jsonb,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.target_profiles (
+  id uuid primary key default gen_random_uuid(),
+  owner uuid references auth.users (id) on delete set null,
+  workspace_id uuid references public.workspaces (id) on delete cascade,
+  shared boolean default true,
+  name text not null,
+  targets jsonb,
+  created_at timestamptz not null default now()
+);
+
+-- Columns added to the catalog and recipes ------------------------------------------------------
+
+alter table public.fertilizers
+  add column if not exists workspace_id uuid references public.workspaces (id) on delete cascade,
+  add column if not exists forms jsonb,
+  add column if not exists kind text default 'solid',
+  add column if not exists density_kg_l numeric,
+  add column if not exists container_l numeric,
+  add column if not exists pct_basis text,
+  add column if not exists acid_type text,
+  add column if not exists conc_pct numeric,
+  add column if not exists ec_per_gl numeric,
+  add column if not exists solubility_gl numeric,
+  add column if not exists solubility_ref_c numeric,
+  add column if not exists solubility_tc numeric,
+  add column if not exists reorder_kg numeric;
+
+alter table public.recipes
+  add column if not exists workspace_id uuid references public.workspaces (id) on delete cascade,
+  add column if not exists cost numeric,
+  add column if not exists currency text,
+  add column if not exists costed_on date,
+  add column if not exists water_source_id uuid references public.water_sources (id) on delete set null;
+
+alter table public.water_sources add column if not exists workspace_id uuid references public.workspaces (id) on delete cascade;
+alter table public.target_profiles add column if not exists workspace_id uuid references public.workspaces (id) on delete cascade;
+
+-- Price history, stock ledger and change history ------------------------------------------------
+
+create table if not exists public.fertilizer_prices (
+  id uuid primary key default gen_random_uuid(),
+  fertilizer_id uuid not null references public.fertilizers (id) on delete cascade,
+  workspace_id uuid references public.workspaces (id) on delete cascade,
+  effective_date date not null,
+  price_per_bag numeric not null,
+  supplier text,
+  created_by uuid default auth.uid() references auth.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.inventory_moves (
+  id uuid primary key default gen_random_uuid(),
+  fertilizer_id uuid not null references public.fertilizers (id) on delete cascade,
+  workspace_id uuid references public.workspaces (id) on delete cascade,
+  kind text not null check (kind in ('receipt', 'adjust', 'batch')),
+  grams numeric not null,
+  batch_id text,
+  note text,
+  created_by uuid default auth.uid() references auth.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+-- no foreign key to fertilizers: a "delete" entry outlives its row, so it can be restored
+create table if not exists public.fertilizer_audit (
+  id uuid primary key default gen_random_uuid(),
+  fertilizer_id uuid not null,
+  workspace_id uuid references public.workspaces (id) on delete cascade,
+  action text not null,
+  changes jsonb not null default '[]',
+  snapshot jsonb,
+  changed_by uuid default auth.uid() references auth.users (id) on delete set null,
+  changed_by_email text,
+  changed_at timestamptz not null default now()
+);
+alter table public.fertilizer_audit add column if not exists workspace_id uuid references public.workspaces (id) on delete cascade;
+alter table public.fertilizer_audit drop constraint if exists fertilizer_audit_fertilizer_id_fkey;
+
+-- Suppliers --------------------------------------------------------------------------------------
+
+create table if not exists public.suppliers (
+  id uuid primary key default gen_random_uuid(),
+  owner uuid default auth.uid() references auth.users (id) on delete set null,
+  workspace_id uuid references public.workspaces (id) on delete cascade,
+  name text not null,
+  contact text,
+  phone text,
+  email text,
+  notes text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.supplier_products (
+  id uuid primary key default gen_random_uuid(),
+  supplier_id uuid not null references public.suppliers (id) on delete cascade,
+  fertilizer_id uuid not null references public.fertilizers (id) on delete cascade,
+  workspace_id uuid references public.workspaces (id) on delete cascade,
+  sku text,
+  bag_size_kg numeric,
+  price_per_bag numeric,
+  created_by uuid default auth.uid() references auth.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+alter table public.supplier_products add column if not exists created_by uuid default auth.uid() references auth.users (id) on delete set null;
+
+-- Team currency and number format, one row per workspace ---------------------------------------
+
+create table if not exists public.team_settings (
+  workspace_id uuid primary key references public.workspaces (id) on delete cascade,
+  currency text,
+  locale text,
+  updated_by uuid references auth.users (id) on delete set null,
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,248 @@
+-- Workspaces, done on the server where the client can't be trusted:
+--   * accept_workspace_invites(): joins the caller to the workspaces their email was
+--     invited to. The client used to add itself to workspace_members from an invite it
+--     had read itself.
+--   * suppliers, supplier_products, fertilizer_prices and inventory_moves get a
+--     workspace_id. Suppliers take it from the client. The other three copy it from their
+--     fertilizer and follow it when the fertilizer moves.
+--   * team_settings: one row per workspace instead of one row (id = 1) for everyone.
+--   * Row level security for the workspace tables and every table that carries workspace_id.
+--   * stock_on_hand sums per fertilizer and workspace. The screens read this view instead of
+--     the whole inventory_moves ledger, which the API cuts off at its row limit.
+--
+-- Rows from before workspaces (workspace_id null) move once, here, into the first workspace
+-- created. If there is no workspace yet they stay null: readable from every workspace, as
+-- before, and writable by their owner.
+
+-- Members ------------------------------------------------------------------------------
+
+create unique index if not exists workspace_members_workspace_user
+  on public.workspace_members (workspace_id, user_id);
+
+-- security definer, so the member policies below can use it without recursing
+create or replace function public.is_workspace_member(ws uuid)
+returns boolean
+language sql stable security definer set search_path = public as $$
+  select exists (
+    select 1 from workspace_members where workspace_id = ws and user_id = auth.uid()
+  );
+$$;
+
+-- rows in a workspace: its members; rows without one: the user who added them
+create or replace function public.can_write(ws uuid, who uuid)
+returns boolean
+language sql stable security definer set search_path = public as $$
+  select case when ws is null then coalesce(who = auth.uid(), false) else is_workspace_member(ws) end;
+$$;
+
+create or replace function public.accept_workspace_invites()
+returns integer
+language plpgsql security definer set search_path = public as $$
+declare
+  me uuid := auth.uid();
+  my_email text := lower(coalesce(auth.jwt() ->> 'email', ''));
+  inv record;
+  n integer := 0;
+begin
+  if me is null or my_email = '' then
+    return 0;
+  end if;
+  for inv in
+    select id, workspace_id from workspace_invites
+    where lower(email) = my_email and accepted_at is null
+    for update
+  loop
+    insert into workspace_members (workspace_id, user_id, email, role)
+    values (inv.workspace_id, me, my_email, 'member')
+    on conflict (workspace_id, user_id) do nothing;
+    update workspace_invites set accepted_at = now() where id = inv.id;
+    n := n + 1;
+  end loop;
+  return n;
+end;
+$$;
+
+revoke all on function public.accept_workspace_invites() from public;
+grant execute on function public.accept_workspace_invites() to authenticated;
+
+alter table public.workspaces enable row level security;
+drop policy if exists workspaces_select on public.workspaces;
+create policy workspaces_select on public.workspaces for select to authenticated
+  using (created_by = auth.uid() or public.is_workspace_member(id));
+drop policy if exists workspaces_insert on public.workspaces;
+create policy workspaces_insert on public.workspaces for insert to authenticated
+  with check (created_by = auth.uid());
+
+alter table public.workspace_members enable row level security;
+drop policy if exists workspace_members_select on public.workspace_members;
+create policy workspace_members_select on public.workspace_members for select to authenticated
+  using (public.is_workspace_member(workspace_id));
+-- clients only add themselves as owner of a workspace they created; invites go through the RPC
+drop policy if exists workspace_members_insert on public.workspace_members;
+create policy workspace_members_insert on public.workspace_members for insert to authenticated
+  with check (
+    user_id = auth.uid() and role = 'owner'
+    and exists (select 1 from workspaces w where w.id = workspace_id and w.created_by = auth.uid())
+  );
+
+alter table public.workspace_invites enable row level security;
+drop policy if exists workspace_invites_select on public.workspace_invites;
+create policy workspace_invites_select on public.workspace_invites for select to authenticated
+  using (public.is_workspace_member(workspace_id));
+drop policy if exists workspace_invites_insert on public.workspace_invites;
+create policy workspace_invites_insert on public.workspace_invites for insert to authenticated
+  with check (invited_by = auth.uid() and public.is_workspace_member(workspace_id));
+
+-- Workspace columns ------------------------------------------------------------------------
+-- new projects have them from 20261018080000_app_tables; these are for tables made before
+
+alter table public.suppliers add column if not exists workspace_id uuid references public.workspaces (id) on delete cascade;
+alter table public.supplier_products add column if not exists workspace_id uuid references public.workspaces (id) on delete cascade;
+alter table public.fertilizer_prices add column if not exists workspace_id uuid references public.workspaces (id) on delete cascade;
+alter table public.inventory_moves add column if not exists workspace_id uuid references public.workspaces (id) on delete cascade;
+
+-- team_settings made before: the one row goes to the first workspace, the others start from
+-- the defaults; dropping id drops its primary key
+alter table public.team_settings add column if not exists workspace_id uuid references public.workspaces (id) on delete cascade;
+update public.team_settings
+set workspace_id = (select id from public.workspaces order by created_at, id limit 1)
+where workspace_id is null;
+delete from public.team_settings where workspace_id is null;
+alter table public.team_settings drop column if exists id;
+alter table public.team_settings alter column workspace_id set not null;
+create unique index if not exists team_settings_workspace on public.team_settings (workspace_id);
+
+-- new rows take their fertilizer's workspace
+create or replace function public.fill_workspace_from_fertilizer()
+returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  select workspace_id into new.workspace_id from fertilizers where id = new.fertilizer_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists supplier_products_workspace on public.supplier_products;
+create trigger supplier_products_workspace before insert or update of fertilizer_id on public.supplier_products
+  for each row execute function public.fill_workspace_from_fertilizer();
+drop trigger if exists fertilizer_prices_workspace on public.fertilizer_prices;
+create trigger fertilizer_prices_workspace before insert or update of fertilizer_id on public.fertilizer_prices
+  for each row execute function public.fill_workspace_from_fertilizer();
+drop trigger if exists inventory_moves_workspace on public.inventory_moves;
+create trigger inventory_moves_workspace before insert or update of fertilizer_id on public.inventory_moves
+  for each row execute function public.fill_workspace_from_fertilizer();
+
+-- ...and follow it when the fertilizer moves, with its change history
+create or replace function public.move_fertilizer_children()
+returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  update supplier_products set workspace_id = new.workspace_id where fertilizer_id = new.id;
+  update fertilizer_prices set workspace_id = new.workspace_id where fertilizer_id = new.id;
+  update inventory_moves set workspace_id = new.workspace_id where fertilizer_id = new.id;
+  update fertilizer_audit set workspace_id = new.workspace_id where fertilizer_id = new.id;
+  return new;
+end;
+$$;
+
+drop trigger if exists fertilizers_move_children on public.fertilizers;
+create trigger fertilizers_move_children after update of workspace_id on public.fertilizers
+  for each row when (old.workspace_id is distinct from new.workspace_id)
+  execute function public.move_fertilizer_children();
+
+-- Rows from before workspaces --------------------------------------------------------------
+-- once, into the first workspace created (fertilizers take their children with them)
+
+do $$
+declare
+  first_ws uuid := (select id from public.workspaces order by created_at, id limit 1);
+  t text;
+begin
+  if first_ws is null then
+    return;
+  end if;
+  foreach t in array array['fertilizers', 'recipes', 'suppliers', 'water_sources', 'target_profiles'] loop
+    execute format('update public.%I set workspace_id = $1 where workspace_id is null', t) using first_ws;
+  end loop;
+end;
+$$;
+
+-- children of fertilizers claimed before this migration
+update public.supplier_products p set workspace_id = f.workspace_id
+from public.fertilizers f where f.id = p.fertilizer_id and p.workspace_id is distinct from f.workspace_id;
+update public.fertilizer_prices p set workspace_id = f.workspace_id
+from public.fertilizers f where f.id = p.fertilizer_id and p.workspace_id is distinct from f.workspace_id;
+update public.inventory_moves m set workspace_id = f.workspace_id
+from public.fertilizers f where f.id = m.fertilizer_id and m.workspace_id is distinct from f.workspace_id;
+update public.fertilizer_audit a set workspace_id = f.workspace_id
+from public.fertilizers f where f.id = a.fertilizer_id and a.workspace_id is distinct from f.workspace_id;
+
+-- Policies for the scoped tables ------------------------------------------------------------
+-- members read and write their workspace's rows; rows without a workspace stay readable and
+-- are written by the user who added them (the column after the table name)
+
+do $$
+declare
+  t text[];
+begin
+  foreach t slice 1 in array array[
+    ['suppliers', 'owner'],
+    ['supplier_products', 'created_by'],
+    ['fertilizer_prices', 'created_by'],
+    ['inventory_moves', 'created_by'],
+    ['fertilizer_audit', 'changed_by'],
+    ['water_sources', 'owner']
+  ] loop
+    execute format('alter table public.%I enable row level security', t[1]);
+    execute format('drop policy if exists %I on public.%I', t[1] || '_select', t[1]);
+    execute format(
+      'create policy %I on public.%I for select to authenticated using (workspace_id is null or public.is_workspace_member(workspace_id))',
+      t[1] || '_select', t[1]);
+    execute format('drop policy if exists %I on public.%I', t[1] || '_write', t[1]);
+    execute format(
+      'create policy %I on public.%I for all to authenticated using (public.can_write(workspace_id, %I)) with check (public.can_write(workspace_id, %I))',
+      t[1] || '_write', t[1], t[2], t[2]);
+  end loop;
+end;
+$$;
+
+-- ...and for the ones with `shared`: private rows (shared = false) only for their owner;
+-- null, from before the flag, counts as shared
+
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['fertilizers', 'recipes', 'target_profiles'] loop
+    execute format('alter table public.%I enable row level security', t);
+    execute format('drop policy if exists %I on public.%I', t || '_select', t);
+    execute format(
+      'create policy %I on public.%I for select to authenticated using ((workspace_id is null or public.is_workspace_member(workspace_id)) and (shared is not false or owner = auth.uid()))',
+      t || '_select', t);
+    execute format('drop policy if exists %I on public.%I', t || '_write', t);
+    execute format(
+      'create policy %I on public.%I for all to authenticated using (public.can_write(workspace_id, owner) and (shared is not false or owner = auth.uid())) with check (public.can_write(workspace_id, owner) and (shared is not false or owner = auth.uid()))',
+      t || '_write', t);
+  end loop;
+end;
+$$;
+
+alter table public.team_settings enable row level security;
+drop policy if exists team_settings_select on public.team_settings;
+create policy team_settings_select on public.team_settings for select to authenticated
+  using (public.is_workspace_member(workspace_id));
+drop policy if exists team_settings_write on public.team_settings;
+create policy team_settings_write on public.team_settings for all to authenticated
+  using (public.is_workspace_member(workspace_id)) with check (public.is_workspace_member(workspace_id));
+
+-- Stock per fertilizer and workspace -----------------------------------------------------------
+-- security_invoker: the caller's policies on inventory_moves still apply
+
+drop view if exists public.stock_on_hand;
+create view public.stock_on_hand
+with (security_invoker = true) as
+select fertilizer_id, workspace_id, sum(grams)::double precision as grams
+from public.inventory_moves
+group by fertilizer_id, workspace_id;
+
+grant select on public.stock_on_hand to authenticated;
@@ -0,0 +1,69 @@
+// tankSplit.js — A/B(/C) stock tank assignment by compatibility (pure JS)
+//
+// Tank A: calcium sources and iron chelates
+// Tank B: sulfate and phosphate sources, everything else (K/Mg/NH4 salts, micros)
+// Tank C: acids (only when the acid tank is enabled, otherwise B)
+//
+// Each tank holds `volumeL` of stock and is injected at the same 1:ratio, so the
+// dripper ppm of a split recipe is the same as if everything sat in one tank.
+
+import { doseOf } from "./mixCalc";
+import { acidComposition, isAcid } from "./acidDosing";
+
+export const TANKS = ["A", "B", "C"];
+
+const pct = (v) => (v == null || v === "" ? 0 : Number(v) || 0);
+
+// What a fertilizer brings to a concentrated solution
+// (catalog acids by their type, older rows by name)
+export function ionRoles(f) {
+  const npk = f?.npk || {};
+  const micro = f?.micro || {};
+  const name = (f?.name || "").toLowerCase();
+  const acid = isAcid(f) ? acidComposition(f) : null;
+  return {
+    calcium: pct(npk.Ca) > 0,
+    sulfate: acid ? acid.nutrient === "S" : pct(npk.S) > 0,
+    phosphate: acid ? acid.nutrient === "P2O5" : pct(npk.P2O5) > 0,
+    acid: !!acid || /\bacid\b|nitric|phosphoric|sulph?uric|sulfuric/.test(name),
+    ironChelate: /edta|dtpa|eddha|chelat/.test(name) && (pct(micro.Fe) > 0 || /\bfe\b|iron/.test(name)),
+  };
+}
+
+export function autoTank(f, { acidTank = false } = {}) {
+  const r = ionRoles(f);
+  if (r.acid) return acidTank ? "C" : "B";
+  if (r.calcium) return "A";
+  if (r.sulfate || r.phosphate) return "B";
+  if (r.ironChelate) return "A";
+  return "B";
+}
+
+// Effective tank per item: manual override wins, else auto
+export function tankOf(item, f, opts) {
+  const t = item?.tank;
+  if (t && TANKS.includes(t) && (t !== "C" || opts?.acidTank)) return t;
+  return autoTank(f, opts);
+}
+
+// Per-tank grams and stock concentration
+//   items: [{ fertId, grams, tank? }]   grams = total into that item's tank
+//   → [{ tank, lines: [{ fertId, name, grams, gPerLStock }], grams, gPerLStock }]
+export function splitTanks({ items = [], catalog = [], volumeL = 0, ratio = 1, acidTank = false } = {}) {
+  const byId = new Map(catalog.map((f) => [f.id, f]));
+  const used = acidTank ? TANKS : TANKS.slice(0, 2);
+  const out = used.map((tank) => ({ tank, lines: [], grams: 0, gPerLStock: 0 }));
+
+  for (const it of items) {
+    const f = byId.get(it.fertId);
+    if (!f) continue;
+    const tank = tankOf(it, f, { acidTank });
+    const slot = out.find((t) => t.tank === tank);
+    const { gramsTotal } = doseOf(it.grams, { mode: "stock", volumeL, ratio });
+    const gPerLStock = volumeL > 0 ? gramsTotal / volumeL : 0;
+    slot.lines.push({ fertId: f.id, name: f.name, grams: gramsTotal, gPerLStock });
+    slot.grams += gramsTotal;
+    slot.gPerLStock += gPerLStock;
+  }
+  return out;
+}
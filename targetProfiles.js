@@ -0,0 +1,57 @@
+// targetProfiles.js — crop / growth-stage nutrient targets and deviation (pure JS)
+//
+// Profile row (Supabase table "target_profiles"):
+//   { id, owner, shared, name, targets: { [key]: { min, opt, max } } }
+//   keys: MACROS + MICROS in ppm at the dripper (mixCalc basis), and "EC" in mS/cm.
+//   Any of min / opt / max may be blank; a missing bound sits DEFAULT_BAND around opt.
+
+import { MACROS, MICROS } from "./mixCalc";
+
+export const PROFILE_KEYS = [...MACROS, ...MICROS, "EC"];
+export const DEFAULT_BAND = 0.15;
+// outside the range by more than this share of the bound → "danger", else "caution"
+const FAR = 0.2;
+
+const has = (v) => v !== null && v !== undefined && v !== "" && Number.isFinite(Number(v));
+
+// → { min, opt, max } with numbers, or null when the key has no target
+export function rangeOf(t) {
+  if (!t) return null;
+  const opt = has(t.opt) ? Number(t.opt) : null;
+  let min = has(t.min) ? Number(t.min) : null;
+  let max = has(t.max) ? Number(t.max) : null;
+  if (opt == null && min == null && max == null) return null;
+  if (opt != null) {
+    if (min == null) min = opt * (1 - DEFAULT_BAND);
+    if (max == null) max = opt * (1 + DEFAULT_BAND);
+  }
+  return { min, opt: opt ?? (min != null && max != null ? (min + max) / 2 : min ?? max), max };
+}
+
+// actual vs one target → { ...range, actual, pct (vs opt), level: "ok" | "caution" | "danger", dir }
+export function deviation(actual, t) {
+  const r = rangeOf(t);
+  if (!r) return null;
+  const a = Number(actual) || 0;
+  const pct = r.opt > 0 ? ((a - r.opt) / r.opt) * 100 : 0;
+  let level = "ok";
+  let dir = null;
+  if (r.min != null && a < r.min) {
+    dir = "low";
+    level = a < r.min * (1 - FAR) ? "danger" : "caution";
+  } else if (r.max != null && a > r.max) {
+    dir = "high";
+    level = a > r.max * (1 + FAR) ? "danger" : "caution";
+  }
+  return { ...r, actual: a, pct, level, dir };
+}
+
+// Every targeted key of a profile → { [key]: deviation }
+export function compareToProfile(profile, ppm = {}, ec = 0) {
+  const out = {};
+  for (const k of PROFILE_KEYS) {
+    const d = deviation(k === "EC" ? ec : ppm[k], profile?.targets?.[k]);
+    if (d) out[k] = d;
+  }
+  return out;
+}
@@ -0,0 +1,107 @@
+// units.js — the one conversion table for nutrient concentrations (pure JS)
+//
+// Results are computed in the mixCalc "ppm shape": mg/L with P as P2O5, K as K2O and
+// everything else elemental (N forms as N). Everything that needs another basis —
+// oxide/elemental factors, mmol/L, meq/L, the ion balance — derives from this table,
+// so a molar mass is written down exactly once.
+//
+// Display options: { unit: "ppm" | "mmol" | "meq", form: "label" | "oxide" | "elemental" }
+//   ppm  → mg/L; form "label" keeps P2O5 / K2O and the rest elemental (the result basis),
+//          "oxide" shows P, K, Ca, Mg and S all as oxides, "elemental" none of them
+//   mmol → mmol/L of the element (Dutch substrate style); micros in µmol/L
+//   meq  → mmol × charge of the ion it is present as; micros in µmol/L
+
+// molar masses, g/mol
+export const MOLAR = {
+  H: 1.008, C: 12.011, N: 14.007, O: 15.999, Na: 22.99, Mg: 24.305, P: 30.974, S: 32.06,
+  Cl: 35.45, K: 39.098, Ca: 40.078, Mn: 54.938, Fe: 55.845, Cu: 63.546, Zn: 65.38, Mo: 95.95, B: 10.81,
+};
+
+// oxide: atoms of the element and of O per formula unit
+const OXIDE = {
+  P: { label: "P₂O₅", n: 2, o: 5 },
+  K: { label: "K₂O", n: 2, o: 1 },
+  Ca: { label: "CaO", n: 1, o: 1 },
+  Mg: { label: "MgO", n: 1, o: 1 },
+  S: { label: "SO₃", n: 1, o: 3 },
+};
+
+// element mass → oxide mass (P → P2O5 = 2.2914, K → K2O = 1.2046, ...)
+export const oxideFactor = (el) => {
+  const ox = OXIDE[el];
+  return ox ? (ox.n * MOLAR[el] + ox.o * MOLAR.O) / (ox.n * MOLAR[el]) : 1;
+};
+
+// ppm-shape key → { el, oxide: stored as oxide?, charge: of the ion in solution, micro }
+export const NUTRIENTS = {
+  N: { el: "N", charge: 1 }, // counted as NO3⁻ / NH4⁺
+  NO3: { el: "N", charge: 1 },
+  NH4: { el: "N", charge: 1 },
+  Urea: { el: "N", charge: 0 },
+  P2O5: { el: "P", oxide: true, charge: 1 }, // H2PO4⁻ at pH 5.5–6
+  K2O: { el: "K", oxide: true, charge: 1 },
+  Ca: { el: "Ca", charge: 2 },
+  Mg: { el: "Mg", charge: 2 },
+  S: { el: "S", charge: 2 }, // SO4²⁻
+  Na: { el: "Na", charge: 1 },
+  Cl: { el: "Cl", charge: 1 },
+  HCO3: { el: "HCO3", mass: MOLAR.H + MOLAR.C + 3 * MOLAR.O, charge: 1 },
+  Fe: { el: "Fe", micro: true },
+  Mn: { el: "Mn", micro: true },
+  Zn: { el: "Zn", micro: true },
+  Cu: { el: "Cu", micro: true },
+  B: { el: "B", micro: true },
+  Mo: { el: "Mo", micro: true },
+};
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+const massOf = (d) => d.mass ?? MOLAR[d.el];
+
+// ppm-shape value → mg/L of the element
+export function toElemental(key, value) {
+  const d = NUTRIENTS[key];
+  return d?.oxide ? num(value) / oxideFactor(d.el) : num(value);
+}
+
+// mg/L of the element → mmol/L
+export const mmolOf = (key, value) => {
+  const d = NUTRIENTS[key];
+  return d ? toElemental(key, value) / massOf(d) : 0;
+};
+
+export const UNIT_LABEL = { ppm: "ppm", mmol: "mmol/L", meq: "meq/L" };
+export const DEFAULT_UNITS = { unit: "ppm", form: "label" };
+
+const asOxide = (d, form) => !!OXIDE[d.el] && (form === "oxide" || (form === "label" && !!d.oxide));
+
+// ppm-shape value → the display unit
+export function convert(key, value, { unit = "ppm", form = "label" } = {}) {
+  const d = NUTRIENTS[key];
+  if (!d) return num(value);
+  if (unit === "ppm") {
+    const el = toElemental(key, value);
+    return asOxide(d, form) ? el * oxideFactor(d.el) : el;
+  }
+  const mmol = mmolOf(key, value);
+  if (d.micro) return mmol * 1000; // µmol/L
+  return unit === "meq" ? mmol * d.charge : mmol;
+}
+
+// Name of the nutrient as shown ("P₂O₅" / "P"), and the unit next to it
+export function nutrientName(key, { unit = "ppm", form = "label" } = {}) {
+  const d = NUTRIENTS[key];
+  if (!d) return key;
+  if (unit === "ppm" && asOxide(d, form)) return OXIDE[d.el].label;
+  return { NO3: "NO₃-N", NH4: "NH₄-N", Urea: "Urea-N", HCO3: "HCO₃" }[key] || d.el;
+}
+
+export function concUnit(key, { unit = "ppm" } = {}) {
+  return unit !== "ppm" && NUTRIENTS[key]?.micro ? "µmol/L" : UNIT_LABEL[unit];
+}
+
+// Decimal places that suit the unit (ppm macros are whole numbers, mmol needs two)
+export function dpOf(key, { unit = "ppm" } = {}) {
+  const micro = NUTRIENTS[key]?.micro;
+  if (unit === "ppm") return micro ? 2 : 0;
+  return micro ? 1 : 2;
+}